@@ -10,11 +10,16 @@ import createAuthRouter from "./routes/auth.js";
 import createCategoriesRouter from "./routes/categories.js";
 import createItemsRouter from "./routes/items.js";
 import createRecordsRouter from "./routes/records.js";
+import createPurchaseOrdersRouter from "./routes/purchase-orders.js";
 import createAdminRouter from "./routes/admin.js";
 import createJobsRouter from "./routes/jobs.js";
 import createIntegrationsRouter from "./routes/integrations.js";
+import createChannelOrdersRouter from "./routes/channel-orders.js";
 import createDashboardRouter from "./routes/dashboard.js";
 import createReportsRouter from "./routes/reports.js";
+import createPeriodsRouter from "./routes/periods.js";
+import createReturnsRouter from "./routes/returns.js";
+import createKitsRouter from "./routes/kits.js";
 import warehousesRouter from "./routes/warehouses.js";
 import stockTransfersRouter from "./routes/stock-transfers.js";
 import stockAuditsRouter from "./routes/stock-audits.js";
@@ -105,6 +110,16 @@ app.use(
   })
 );
 
+app.use(
+  "/api",
+  createPurchaseOrdersRouter({
+    prisma,
+    requireAuth,
+    asyncHandler,
+    toYmd,
+  })
+);
+
 app.use(
   "/api/admin",
   createAdminRouter({
@@ -129,6 +144,14 @@ app.use(
     asyncHandler,
   })
 );
+app.use(
+  "/api/channel-orders",
+  createChannelOrdersRouter({
+    prisma,
+    requireAuth,
+    asyncHandler,
+  })
+);
 
 app.use(
   "/api/dashboard",
@@ -136,7 +159,7 @@ app.use(
     prisma,
     requireAuth,
     asyncHandler,
-    calcStock,
+    calcStockAndPending,
   })
 );
 
@@ -146,7 +169,33 @@ app.use(
     prisma,
     requireAuth,
     asyncHandler,
-    calcStock,
+  })
+);
+
+app.use(
+  "/api/periods",
+  createPeriodsRouter({
+    prisma,
+    requireAuth,
+    asyncHandler,
+  })
+);
+
+app.use(
+  "/api/returns",
+  createReturnsRouter({
+    prisma,
+    requireAuth,
+    asyncHandler,
+  })
+);
+
+app.use(
+  "/api/kits",
+  createKitsRouter({
+    prisma,
+    requireAuth,
+    asyncHandler,
   })
 );
 
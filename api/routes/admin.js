@@ -1,5 +1,6 @@
 import express from "express";
 import { generateUniqueSku } from "../../utils/sku.js";
+import { reencryptChannelCredentials } from "../services/channelCredentials.js";
 
 export default function createAdminRouter({ prisma, requireAuth, asyncHandler }) {
   const router = express.Router();
@@ -28,5 +29,16 @@ export default function createAdminRouter({ prisma, requireAuth, asyncHandler })
     })
   );
 
+  // POST /api/admin/reencrypt-credentials
+  // 평문/예전 키로 저장된 판매 채널 인증 정보를 현재 키로 다시 암호화
+  router.post(
+    "/reencrypt-credentials",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const result = await reencryptChannelCredentials(prisma, { userId: req.userId });
+      res.json({ ok: true, ...result });
+    })
+  );
+
   return router;
 }
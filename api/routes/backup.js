@@ -2,6 +2,8 @@ import { Router } from "express";
 import { prisma } from "../../lib/prisma.js";
 import { requireAuth } from "../../utils/auth.js";
 import { asyncHandler } from "../../utils/constants.js";
+import { relinkRestoredOrderLines } from "../services/orderImport.js";
+import { findClosedPeriod } from "../services/periodLocks.js";
 
 const router = Router();
 
@@ -13,15 +15,41 @@ router.get(
     const userId = req.userId;
 
     // 모든 데이터 조회
-    const [categories, items, records, warehouses, stockTransfers, stockAudits] =
-      await Promise.all([
-        prisma.category.findMany({ where: { userId } }),
-        prisma.item.findMany({ where: { userId } }),
-        prisma.record.findMany({ where: { userId } }),
-        prisma.warehouse.findMany({ where: { userId } }),
-        prisma.stockTransfer.findMany({ where: { userId } }),
-        prisma.stockAudit.findMany({ where: { userId } }),
-      ]);
+    const [
+      categories,
+      items,
+      records,
+      warehouses,
+      warehouseBins,
+      stockTransfers,
+      stockTransferDocuments,
+      stockAudits,
+      suppliers,
+      purchaseOrders,
+      periodLocks,
+      periodLockEvents,
+      returnAuthorizations,
+      kitComponents,
+      kitAssemblies,
+      channelOrderLines,
+    ] = await Promise.all([
+      prisma.category.findMany({ where: { userId } }),
+      prisma.item.findMany({ where: { userId } }),
+      prisma.record.findMany({ where: { userId } }),
+      prisma.warehouse.findMany({ where: { userId } }),
+      prisma.warehouseBin.findMany({ where: { userId } }),
+      prisma.stockTransfer.findMany({ where: { userId } }),
+      prisma.stockTransferDocument.findMany({ where: { userId } }),
+      prisma.stockAudit.findMany({ where: { userId } }),
+      prisma.supplier.findMany({ where: { userId } }),
+      prisma.purchaseOrder.findMany({ where: { userId } }),
+      prisma.periodLock.findMany({ where: { userId } }),
+      prisma.periodLockEvent.findMany({ where: { userId } }),
+      prisma.returnAuthorization.findMany({ where: { userId } }),
+      prisma.kitComponent.findMany({ where: { userId } }),
+      prisma.kitAssembly.findMany({ where: { userId } }),
+      prisma.channelOrderLine.findMany({ where: { userId } }),
+    ]);
 
     const backup = {
       version: "1.0",
@@ -32,8 +60,18 @@ router.get(
         items,
         records,
         warehouses,
+        warehouseBins,
         stockTransfers,
+        stockTransferDocuments,
         stockAudits,
+        suppliers,
+        purchaseOrders,
+        periodLocks,
+        periodLockEvents,
+        returnAuthorizations,
+        kitComponents,
+        kitAssemblies,
+        channelOrderLines,
       },
     };
 
@@ -56,15 +94,73 @@ router.post(
       });
     }
 
-    const { categories, items, records, warehouses, stockTransfers, stockAudits } =
-      backup.data;
+    const {
+      categories,
+      items,
+      records,
+      warehouses,
+      warehouseBins,
+      stockTransfers,
+      stockTransferDocuments,
+      stockAudits,
+      suppliers,
+      purchaseOrders,
+      periodLocks,
+      returnAuthorizations,
+      kitComponents,
+      kitAssemblies,
+      channelOrderLines,
+    } = backup.data;
+
+    // 마감된 기간은 복원으로도 바꿀 수 없음
+    // - replace: 기존 기록을 모두 지우므로 마감된 기간이 하나라도 있으면 거부
+    // - merge: 백업의 기록/이동 날짜가 마감된 기간에 속하면 거부
+    if (mode === "replace") {
+      const locked = await prisma.periodLock.findFirst({
+        where: { userId },
+        orderBy: { period: "asc" },
+        select: { period: true },
+      });
+      if (locked) {
+        return res.status(409).json({
+          ok: false,
+          error:
+            "마감된 기간이 있어 전체 교체 복원을 할 수 없습니다. 마감을 취소한 뒤 다시 시도해 주세요.",
+          period: locked.period,
+        });
+      }
+    } else {
+      const closed = await findClosedPeriod(prisma, {
+        userId,
+        dates: [
+          ...(records || []).map((r) => r.date),
+          ...(stockTransfers || []).flatMap((t) => [t.dispatchedAt, t.receivedAt, t.cancelledAt]),
+        ],
+      });
+      if (closed) {
+        return res.status(409).json({
+          ok: false,
+          error: `${closed} 기간은 마감되어 복원할 수 없습니다.`,
+          period: closed,
+        });
+      }
+    }
 
     try {
       await prisma.$transaction(async (tx) => {
         // Replace 모드: 기존 데이터 삭제
+        // - 마켓 주문 라인(channelOrderLine)은 남김: 이미 가져온 주문을 다시 판매로 만들지 않도록
+        //   (기록 복원 후 복원된 판매와 다시 연결)
         if (mode === "replace") {
           await tx.stockAudit.deleteMany({ where: { userId } });
+          await tx.stockCountSession.deleteMany({ where: { userId } });
           await tx.stockTransfer.deleteMany({ where: { userId } });
+          await tx.stockTransferDocument.deleteMany({ where: { userId } });
+          await tx.purchaseOrder.deleteMany({ where: { userId } });
+          await tx.supplier.deleteMany({ where: { userId } });
+          await tx.returnAuthorization.deleteMany({ where: { userId } });
+          await tx.kitAssembly.deleteMany({ where: { userId } });
+          await tx.kitComponent.deleteMany({ where: { userId } });
           await tx.record.deleteMany({ where: { userId } });
           await tx.item.deleteMany({ where: { userId } });
           await tx.warehouse.deleteMany({ where: { userId } });
@@ -117,6 +213,42 @@ router.post(
           }
         }
 
+        // 로케이션 복원 (창고 + 코드 기준), 기록/이동이 새 로케이션을 가리키도록 기존 id → 새 id
+        const binMap = {};
+        if (warehouseBins && warehouseBins.length > 0) {
+          const warehouseMap = {};
+          const allWarehouses = await tx.warehouse.findMany({ where: { userId } });
+          allWarehouses.forEach((wh) => {
+            warehouseMap[wh.name] = wh.id;
+          });
+
+          for (const bin of warehouseBins) {
+            const originalWh = warehouses?.find((w) => w.id === bin.warehouseId);
+            const newWhId = originalWh ? warehouseMap[originalWh.name] : null;
+
+            if (!newWhId) continue;
+
+            const fields = {
+              zone: bin.zone ?? null,
+              aisle: bin.aisle ?? null,
+              shelf: bin.shelf ?? null,
+              bin: bin.bin ?? null,
+              description: bin.description ?? null,
+            };
+            const restored = await tx.warehouseBin.upsert({
+              where: {
+                warehouseId_code: {
+                  warehouseId: newWhId,
+                  code: bin.code,
+                },
+              },
+              create: { userId, warehouseId: newWhId, code: bin.code, ...fields },
+              update: fields,
+            });
+            binMap[bin.id] = restored.id;
+          }
+        }
+
         // 품목 복원 (카테고리 매핑 필요)
         if (items && items.length > 0) {
           const categoryMap = {};
@@ -150,15 +282,131 @@ router.post(
           }
         }
 
+        // 세트 구성 복원 (품목 이름/사이즈 기준)
+        if (kitComponents && kitComponents.length > 0) {
+          const itemMap = {};
+          const allItems = await tx.item.findMany({ where: { userId } });
+          allItems.forEach((item) => {
+            itemMap[`${item.name}_${item.size}`] = item.id;
+          });
+          const newItemIdOf = (oldId) => {
+            const originalItem = items?.find((i) => i.id === oldId);
+            return originalItem ? itemMap[`${originalItem.name}_${originalItem.size}`] : null;
+          };
+
+          for (const component of kitComponents) {
+            const kitItemId = newItemIdOf(component.kitItemId);
+            const componentItemId = newItemIdOf(component.componentItemId);
+
+            if (!kitItemId || !componentItemId || kitItemId === componentItemId) continue;
+
+            await tx.kitComponent.upsert({
+              where: {
+                kitItemId_componentItemId: {
+                  kitItemId,
+                  componentItemId,
+                },
+              },
+              create: { userId, kitItemId, componentItemId, quantity: component.quantity },
+              update: { quantity: component.quantity },
+            });
+          }
+        }
+
+        // 공급처 복원
+        if (suppliers && suppliers.length > 0) {
+          for (const supplier of suppliers) {
+            const fields = {
+              contactName: supplier.contactName,
+              email: supplier.email,
+              phone: supplier.phone,
+              address: supplier.address,
+              notes: supplier.notes,
+            };
+            await tx.supplier.upsert({
+              where: {
+                userId_name: {
+                  userId,
+                  name: supplier.name,
+                },
+              },
+              create: { userId, name: supplier.name, ...fields },
+              update: fields,
+            });
+          }
+        }
+
+        // 발주서 복원 (발주 번호 기준), 라인(PURCHASE)이 새 발주서를 가리키도록 기존 id → 새 id
+        const purchaseOrderMap = {};
+        if (purchaseOrders && purchaseOrders.length > 0) {
+          const supplierMap = {};
+          const allSuppliers = await tx.supplier.findMany({ where: { userId } });
+          allSuppliers.forEach((supplier) => {
+            supplierMap[supplier.name] = supplier.id;
+          });
+
+          for (const order of purchaseOrders) {
+            const originalSupplier = order.supplierId
+              ? suppliers?.find((s) => s.id === order.supplierId)
+              : null;
+
+            const restored = await tx.purchaseOrder.upsert({
+              where: {
+                userId_orderNo: {
+                  userId,
+                  orderNo: order.orderNo,
+                },
+              },
+              create: {
+                userId,
+                orderNo: order.orderNo,
+                status: order.status,
+                orderDate: new Date(order.orderDate),
+                expectedDate: order.expectedDate ? new Date(order.expectedDate) : null,
+                currency: order.currency || "KRW",
+                notes: order.notes,
+                closedAt: order.closedAt ? new Date(order.closedAt) : null,
+                supplierId: originalSupplier ? supplierMap[originalSupplier.name] ?? null : null,
+              },
+              update: {},
+            });
+            purchaseOrderMap[order.id] = restored.id;
+          }
+        }
+
+        // 기간 마감 복원 (마감/마감 취소 이력은 복원하지 않음)
+        if (periodLocks && periodLocks.length > 0) {
+          for (const lock of periodLocks) {
+            await tx.periodLock.upsert({
+              where: { userId_period: { userId, period: lock.period } },
+              create: {
+                userId,
+                period: lock.period,
+                notes: lock.notes ?? null,
+                closedAt: lock.closedAt ? new Date(lock.closedAt) : new Date(),
+              },
+              update: {},
+            });
+          }
+        }
+
         // 입출고 기록 복원
+        // 입고(IN)가 발주 라인을, 반품(RETURN)이 원래 판매를, 마켓 주문 라인이 판매를 가리키도록
+        // 기존 id → 새 id (참조되는 기록이 먼저 만들어지도록 id 순서로 복원)
+        const recordIdMap = {};
         if (records && records.length > 0) {
           const itemMap = {};
+          const warehouseMap = {};
           const allItems = await tx.item.findMany({ where: { userId } });
+          const allWarehouses = await tx.warehouse.findMany({ where: { userId } });
           allItems.forEach((item) => {
             itemMap[`${item.name}_${item.size}`] = item.id;
           });
+          allWarehouses.forEach((wh) => {
+            warehouseMap[wh.name] = wh.id;
+          });
 
-          for (const record of records) {
+          for (const record of [...records].sort((a, b) => a.id - b.id)) {
             const originalItem = items?.find((i) => i.id === record.itemId);
             const newItemId = originalItem
               ? itemMap[`${originalItem.name}_${originalItem.size}`]
@@ -166,7 +414,12 @@ router.post(
 
             if (!newItemId) continue;
 
-            await tx.record.create({
+            const originalWh = record.warehouseId
+              ? warehouses?.find((w) => w.id === record.warehouseId)
+              : null;
+            const newWhId = originalWh ? warehouseMap[originalWh.name] ?? null : null;
+
+            const created = await tx.record.create({
               data: {
                 userId,
                 itemId: newItemId,
@@ -175,8 +428,148 @@ router.post(
                 count: record.count,
                 date: new Date(record.date),
                 memo: record.memo,
+                warehouseId: newWhId,
+                binId: record.binId ? binMap[record.binId] ?? null : null,
+                closedCount: record.closedCount ?? null,
+                closeReason: record.closeReason ?? null,
+                closeNotes: record.closeNotes ?? null,
+                closedAt: record.closedAt ? new Date(record.closedAt) : null,
+                expectedDate: record.expectedDate ? new Date(record.expectedDate) : null,
+                reason: record.reason ?? null,
+                purchaseId: record.purchaseId ? recordIdMap[record.purchaseId] ?? null : null,
+                purchaseOrderId: record.purchaseOrderId
+                  ? purchaseOrderMap[record.purchaseOrderId] ?? null
+                  : null,
+                returnOfId: record.returnOfId ? recordIdMap[record.returnOfId] ?? null : null,
+                restocked: record.restocked ?? null,
+                provider: record.provider ?? null,
+                externalOrderId: record.externalOrderId ?? null,
               },
             });
+            recordIdMap[record.id] = created.id;
+          }
+        }
+
+        // 반품 요청 복원 (RMA 번호 기준): 원래 판매(saleId)를 가리키게 만든 뒤
+        // 검수로 생성된 반품(RETURN) 기록을 다시 연결
+        if (returnAuthorizations && returnAuthorizations.length > 0) {
+          const itemMap = {};
+          const warehouseMap = {};
+          const allItems = await tx.item.findMany({ where: { userId } });
+          const allWarehouses = await tx.warehouse.findMany({ where: { userId } });
+          allItems.forEach((item) => {
+            itemMap[`${item.name}_${item.size}`] = item.id;
+          });
+          allWarehouses.forEach((wh) => {
+            warehouseMap[wh.name] = wh.id;
+          });
+          const dateOrNull = (v) => (v ? new Date(v) : null);
+
+          for (const rma of returnAuthorizations) {
+            const originalItem = items?.find((i) => i.id === rma.itemId);
+            const newItemId = originalItem
+              ? itemMap[`${originalItem.name}_${originalItem.size}`]
+              : null;
+
+            if (!newItemId) continue;
+
+            const originalWh = rma.warehouseId
+              ? warehouses?.find((w) => w.id === rma.warehouseId)
+              : null;
+
+            const restored = await tx.returnAuthorization.upsert({
+              where: {
+                userId_rmaNo: {
+                  userId,
+                  rmaNo: rma.rmaNo,
+                },
+              },
+              create: {
+                userId,
+                rmaNo: rma.rmaNo,
+                status: rma.status,
+                quantity: rma.quantity,
+                reason: rma.reason,
+                notes: rma.notes,
+                provider: rma.provider ?? null,
+                externalOrderId: rma.externalOrderId ?? null,
+                restockedQuantity: rma.restockedQuantity ?? null,
+                damagedQuantity: rma.damagedQuantity ?? null,
+                inspectionNotes: rma.inspectionNotes,
+                refundAmount: rma.refundAmount ?? null,
+                rejectReason: rma.rejectReason,
+                requestedAt: dateOrNull(rma.requestedAt) ?? new Date(),
+                receivedAt: dateOrNull(rma.receivedAt),
+                inspectedAt: dateOrNull(rma.inspectedAt),
+                refundedAt: dateOrNull(rma.refundedAt),
+                rejectedAt: dateOrNull(rma.rejectedAt),
+                itemId: newItemId,
+                saleId: rma.saleId ? recordIdMap[rma.saleId] ?? null : null,
+                warehouseId: originalWh ? warehouseMap[originalWh.name] ?? null : null,
+              },
+              update: {},
+            });
+
+            const recordIds = (records || [])
+              .filter((r) => r.returnAuthorizationId === rma.id && recordIdMap[r.id])
+              .map((r) => recordIdMap[r.id]);
+            if (recordIds.length > 0) {
+              await tx.record.updateMany({
+                where: { id: { in: recordIds } },
+                data: { returnAuthorizationId: restored.id },
+              });
+            }
+          }
+        }
+
+        // 세트 조립/해체 복원: 원래 판매/반품(sourceRecordId)을 가리키게 만든 뒤
+        // 조립으로 생성된 기록(ASSEMBLY_IN / ASSEMBLY_OUT)을 다시 연결
+        if (kitAssemblies && kitAssemblies.length > 0) {
+          const itemMap = {};
+          const warehouseMap = {};
+          const allItems = await tx.item.findMany({ where: { userId } });
+          const allWarehouses = await tx.warehouse.findMany({ where: { userId } });
+          allItems.forEach((item) => {
+            itemMap[`${item.name}_${item.size}`] = item.id;
+          });
+          allWarehouses.forEach((wh) => {
+            warehouseMap[wh.name] = wh.id;
+          });
+
+          for (const assembly of kitAssemblies) {
+            const originalItem = items?.find((i) => i.id === assembly.kitItemId);
+            const newItemId = originalItem
+              ? itemMap[`${originalItem.name}_${originalItem.size}`]
+              : null;
+            const recordIds = (records || [])
+              .filter((r) => r.kitAssemblyId === assembly.id && recordIdMap[r.id])
+              .map((r) => recordIdMap[r.id]);
+
+            if (!newItemId || recordIds.length === 0) continue;
+
+            const originalWh = assembly.warehouseId
+              ? warehouses?.find((w) => w.id === assembly.warehouseId)
+              : null;
+
+            const created = await tx.kitAssembly.create({
+              data: {
+                userId,
+                kitItemId: newItemId,
+                type: assembly.type,
+                quantity: assembly.quantity,
+                unitCost: assembly.unitCost ?? null,
+                date: new Date(assembly.date),
+                memo: assembly.memo,
+                warehouseId: originalWh ? warehouseMap[originalWh.name] ?? null : null,
+                sourceRecordId: assembly.sourceRecordId
+                  ? recordIdMap[assembly.sourceRecordId] ?? null
+                  : null,
+              },
+            });
+            await tx.record.updateMany({
+              where: { id: { in: recordIds } },
+              data: { kitAssemblyId: created.id },
+            });
           }
         }
 
@@ -194,6 +587,37 @@ router.post(
             warehouseMap[wh.name] = wh.id;
           });
 
+          // 이동 문서 복원 (참조 번호 기준)
+          const documentMap = {};
+          for (const doc of stockTransferDocuments || []) {
+            const originalFromWh = warehouses?.find((w) => w.id === doc.fromWarehouseId);
+            const originalToWh = warehouses?.find((w) => w.id === doc.toWarehouseId);
+            const newFromWhId = originalFromWh ? warehouseMap[originalFromWh.name] : null;
+            const newToWhId = originalToWh ? warehouseMap[originalToWh.name] : null;
+
+            if (!newFromWhId || !newToWhId) continue;
+
+            const restored = await tx.stockTransferDocument.upsert({
+              where: {
+                userId_referenceNo: {
+                  userId,
+                  referenceNo: doc.referenceNo,
+                },
+              },
+              create: {
+                userId,
+                referenceNo: doc.referenceNo,
+                fromWarehouseId: newFromWhId,
+                toWarehouseId: newToWhId,
+                reason: doc.reason,
+                createdBy: doc.createdBy,
+                status: doc.status,
+              },
+              update: {},
+            });
+            documentMap[doc.id] = restored.id;
+          }
+
           for (const transfer of stockTransfers) {
             const originalItem = items?.find((i) => i.id === transfer.itemId);
             const originalFromWh = warehouses?.find(
@@ -213,15 +637,34 @@ router.post(
 
             if (!newItemId || !newFromWhId || !newToWhId) continue;
 
+            // 출발/도착 시각이 없는 구버전 백업은 생성 시각에 도착한 것으로(마이그레이션과 같은 기준)
+            const legacyAt =
+              !transfer.status || transfer.status === "COMPLETED"
+                ? new Date(transfer.createdAt ?? Date.now())
+                : null;
+
             await tx.stockTransfer.create({
               data: {
                 userId,
                 itemId: newItemId,
                 fromWarehouseId: newFromWhId,
                 toWarehouseId: newToWhId,
+                fromBinId: transfer.fromBinId ? binMap[transfer.fromBinId] ?? null : null,
+                toBinId: transfer.toBinId ? binMap[transfer.toBinId] ?? null : null,
                 quantity: transfer.quantity,
                 reason: transfer.reason,
-                status: transfer.status || "COMPLETED",
+                // 구버전 백업의 COMPLETED 는 도착 완료로 복원
+                ...(!transfer.status || transfer.status === "COMPLETED"
+                  ? { status: "RECEIVED", receivedQuantity: transfer.quantity }
+                  : {
+                      status: transfer.status,
+                      receivedQuantity: transfer.receivedQuantity ?? 0,
+                      receiveNotes: transfer.receiveNotes,
+                    }),
+                dispatchedAt: transfer.dispatchedAt ? new Date(transfer.dispatchedAt) : legacyAt,
+                receivedAt: transfer.receivedAt ? new Date(transfer.receivedAt) : legacyAt,
+                cancelledAt: transfer.cancelledAt ? new Date(transfer.cancelledAt) : null,
+                documentId: transfer.documentId ? documentMap[transfer.documentId] ?? null : null,
               },
             });
           }
@@ -265,6 +708,14 @@ router.post(
             });
           }
         }
+
+        if (mode === "replace") {
+          await relinkRestoredOrderLines(tx, {
+            userId,
+            backupLines: channelOrderLines,
+            recordIdMap,
+          });
+        }
       });
 
       res.json({
@@ -0,0 +1,204 @@
+import express from "express";
+import { OPEN_STATUSES, REVIEW_STATUSES, retryOrderLine } from "../services/orderImport.js";
+
+const PROVIDERS = new Set(["NAVER", "COUPANG", "ELEVENST", "ETC"]);
+const LINE_STATUSES = new Set([
+  "PENDING",
+  "IMPORTED",
+  "UNMAPPED",
+  "FAILED",
+  "CANCELLED",
+  "IGNORED",
+]);
+
+const LINE_INCLUDE = {
+  item: { select: { id: true, name: true, size: true, imageUrl: true, sku: true } },
+  record: { select: { id: true, type: true, date: true, count: true, price: true } },
+};
+
+export default function createChannelOrdersRouter({ prisma, requireAuth, asyncHandler }) {
+  const router = express.Router();
+
+  async function findLine(userId, id) {
+    return prisma.channelOrderLine.findFirst({ where: { id, userId }, include: LINE_INCLUDE });
+  }
+
+  function parseId(raw) {
+    const id = Number(raw);
+    return Number.isInteger(id) && id > 0 ? id : null;
+  }
+
+  // GET /api/channel-orders?status=IMPORTED&provider=NAVER&orderId=123&limit=100
+  router.get(
+    "/",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const where = { userId: req.userId };
+
+      const status = String(req.query.status || "").toUpperCase();
+      if (status) {
+        if (!LINE_STATUSES.has(status)) {
+          return res.status(400).json({ ok: false, message: "invalid status" });
+        }
+        where.status = status;
+      }
+      const provider = String(req.query.provider || "").toUpperCase();
+      if (provider) {
+        if (!PROVIDERS.has(provider)) {
+          return res.status(400).json({ ok: false, message: "provider invalid" });
+        }
+        where.provider = provider;
+      }
+      if (req.query.orderId) where.orderId = String(req.query.orderId).trim();
+
+      const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+      const lines = await prisma.channelOrderLine.findMany({
+        where,
+        orderBy: [{ orderedAt: "desc" }, { id: "desc" }],
+        take: limit,
+        include: LINE_INCLUDE,
+      });
+      res.json({ ok: true, lines });
+    })
+  );
+
+  // GET /api/channel-orders/review (품목을 못 찾았거나 처리하지 못한 라인)
+  router.get(
+    "/review",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const lines = await prisma.channelOrderLine.findMany({
+        where: { userId: req.userId, status: { in: REVIEW_STATUSES } },
+        orderBy: [{ orderedAt: "asc" }, { id: "asc" }],
+        include: LINE_INCLUDE,
+      });
+      res.json({ ok: true, lines });
+    })
+  );
+
+  /**
+   * POST /api/channel-orders/:id/resolve
+   * body: { itemId, remember? }
+   * - 지정한 품목으로 판매(OUT) 생성
+   * - remember: 다음 주문부터 자동으로 찾도록 매핑 저장
+   *   (SKU 가 있으면 ExternalSkuMap, 없으면 상품/옵션 ID 로 ChannelListing)
+   */
+  router.post(
+    "/:id/resolve",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = parseId(req.params.id);
+      if (!id) return res.status(400).json({ ok: false, message: "invalid order line id" });
+      const itemId = parseId(req.body?.itemId);
+      if (!itemId) return res.status(400).json({ ok: false, message: "invalid itemId" });
+
+      const line = await findLine(req.userId, id);
+      if (!line) return res.status(404).json({ ok: false, message: "order line not found" });
+      if (line.marketStatus !== "PAID" || !OPEN_STATUSES.includes(line.status)) {
+        return res.status(409).json({ ok: false, message: "order line is not open" });
+      }
+
+      const item = await prisma.item.findFirst({
+        where: { id: itemId, userId: req.userId },
+        select: { id: true },
+      });
+      if (!item) return res.status(404).json({ ok: false, message: "item not found" });
+
+      if (req.body?.remember) {
+        if (line.sku) {
+          await prisma.externalSkuMap.upsert({
+            where: {
+              userId_provider_externalSku: {
+                userId: req.userId,
+                provider: line.provider,
+                externalSku: line.sku,
+              },
+            },
+            create: { userId: req.userId, provider: line.provider, externalSku: line.sku, itemId },
+            update: { itemId },
+          });
+        } else {
+          const listing = await prisma.channelListing.findUnique({
+            where: {
+              userId_provider_itemId: { userId: req.userId, provider: line.provider, itemId },
+            },
+            select: { id: true },
+          });
+          if (listing) {
+            return res
+              .status(409)
+              .json({ ok: false, message: "item already has a listing for this provider" });
+          }
+          await prisma.channelListing.create({
+            data: {
+              userId: req.userId,
+              provider: line.provider,
+              itemId,
+              channelProductId: line.productId,
+              channelOptionId: line.optionId,
+            },
+          });
+        }
+      }
+
+      const result = await retryOrderLine(prisma, { userId: req.userId, line, itemId });
+      res.json({ ok: true, result, line: await findLine(req.userId, id) });
+    })
+  );
+
+  // POST /api/channel-orders/:id/retry (현재 매핑으로 다시 처리 / 취소 되돌림 재시도)
+  router.post(
+    "/:id/retry",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = parseId(req.params.id);
+      if (!id) return res.status(400).json({ ok: false, message: "invalid order line id" });
+
+      const line = await findLine(req.userId, id);
+      if (!line) return res.status(404).json({ ok: false, message: "order line not found" });
+      if (!REVIEW_STATUSES.includes(line.status)) {
+        return res.status(409).json({ ok: false, message: "order line is not in review" });
+      }
+
+      const result = await retryOrderLine(prisma, { userId: req.userId, line });
+      res.json({ ok: true, result, line: await findLine(req.userId, id) });
+    })
+  );
+
+  // POST /api/channel-orders/:id/ignore (판매를 만들지 않고 대기열에서 제외)
+  // - 반품/교환 라인은 반품 요청 없이 판매를 그대로 두고 검토 완료(IMPORTED)
+  router.post(
+    "/:id/ignore",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = parseId(req.params.id);
+      if (!id) return res.status(400).json({ ok: false, message: "invalid order line id" });
+
+      let result = await prisma.channelOrderLine.updateMany({
+        where: { id, userId: req.userId, recordId: null, status: { in: OPEN_STATUSES } },
+        data: { status: "IGNORED", message: null },
+      });
+      if (result.count !== 1) {
+        result = await prisma.channelOrderLine.updateMany({
+          where: {
+            id,
+            userId: req.userId,
+            marketStatus: "RETURNED",
+            status: "FAILED",
+            recordId: { not: null },
+          },
+          data: { status: "IMPORTED", message: null },
+        });
+      }
+      if (result.count !== 1) {
+        const exists = await findLine(req.userId, id);
+        if (!exists) return res.status(404).json({ ok: false, message: "order line not found" });
+        return res.status(409).json({ ok: false, message: "order line is not open" });
+      }
+
+      res.json({ ok: true, line: await findLine(req.userId, id) });
+    })
+  );
+
+  return router;
+}
@@ -4,7 +4,7 @@ export default function createDashboardRouter({
   prisma,
   requireAuth,
   asyncHandler,
-  calcStock,
+  calcStockAndPending,
 }) {
   const router = Router();
 
@@ -34,6 +34,7 @@ export default function createDashboardRouter({
             select: {
               type: true,
               count: true,
+              restocked: true,
             },
           },
         },
@@ -43,7 +44,7 @@ export default function createDashboardRouter({
       let lowStockCount = 0;
       const lowStockItemsList = [];
       for (const item of items) {
-        const stock = calcStock(item.records);
+        const { stock } = calcStockAndPending(item.records);
         if (stock <= lowStockThreshold) {
           lowStockCount++;
           lowStockItemsList.push({
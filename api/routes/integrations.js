@@ -1,7 +1,34 @@
 import express from "express";
+import {
+  decryptCredentials,
+  encryptCredentials,
+  mergeCredentials,
+  serializeConnection,
+} from "../services/channelCredentials.js";
+import { getProviderClient } from "../../integrations/providers/index.js";
 
 const PROVIDERS = new Set(["NAVER", "COUPANG", "ELEVENST", "ETC"]);
 
+// 연결 점검 실패 메시지: 마켓 응답 본문은 저장/반환하지 않고 오류 코드별 고정 문구만
+const TEST_ERROR_MESSAGES = {
+  CREDENTIALS_MISSING: "required credentials are missing",
+  CREDENTIALS_INVALID: "credentials are invalid",
+  CREDENTIALS_UNREADABLE: "stored credentials could not be decrypted",
+  UNAUTHORIZED: "marketplace rejected the credentials",
+  RATE_LIMITED: "marketplace rate limit exceeded",
+  REJECTED: "marketplace rejected the request",
+  NETWORK: "marketplace could not be reached",
+  HTTP_ERROR: "marketplace returned an error",
+  UNSUPPORTED: "connection test is not supported",
+};
+
+function testErrorOf(e) {
+  const code = TEST_ERROR_MESSAGES[e?.code] ? e.code : "PROVIDER_ERROR";
+  const status = Number.isInteger(e?.status) ? e.status : null;
+  const message = TEST_ERROR_MESSAGES[code] ?? "connection test failed";
+  return { code, status, message: status ? `${message} (HTTP ${status})` : message };
+}
+
 export default function createIntegrationsRouter({ prisma, requireAuth, asyncHandler }) {
   const router = express.Router();
 
@@ -14,7 +41,7 @@ export default function createIntegrationsRouter({ prisma, requireAuth, asyncHan
         where: { userId: req.userId },
         orderBy: [{ provider: "asc" }],
       });
-      res.json({ ok: true, connections });
+      res.json({ ok: true, connections: connections.map(serializeConnection) });
     })
   );
 
@@ -28,13 +55,39 @@ export default function createIntegrationsRouter({ prisma, requireAuth, asyncHan
         return res.status(400).json({ ok: false, message: "provider invalid" });
       }
 
-      const credentials = req.body?.credentials;
-      if (!credentials || typeof credentials !== "object") {
+      const input = req.body?.credentials;
+      if (!input || typeof input !== "object" || Array.isArray(input)) {
         return res.status(400).json({ ok: false, message: "credentials required" });
       }
+      const invalid = Object.values(input).some(
+        (v) => v !== null && typeof v !== "string" && typeof v !== "number"
+      );
+      if (invalid) {
+        return res.status(400).json({ ok: false, message: "credentials invalid" });
+      }
 
       const isActive = req.body?.isActive !== undefined ? Boolean(req.body.isActive) : true;
 
+      const existing = await prisma.channelConnection.findUnique({
+        where: { userId_provider: { userId: req.userId, provider } },
+      });
+      let current = {};
+      if (existing) {
+        // 복호화할 수 없는 값(키 누락 등)을 덮어쓰면 저장된 인증 정보가 사라지므로 거부
+        // (키를 되돌리거나, 연결을 삭제한 뒤 다시 등록)
+        try {
+          current = decryptCredentials(existing.credentials, existing);
+        } catch {
+          return res
+            .status(409)
+            .json({ ok: false, message: "stored credentials could not be decrypted" });
+        }
+      }
+      const credentials = encryptCredentials(mergeCredentials(current, input), {
+        userId: req.userId,
+        provider,
+      });
+
       const connection = await prisma.channelConnection.upsert({
         where: {
           userId_provider: {
@@ -51,10 +104,70 @@ export default function createIntegrationsRouter({ prisma, requireAuth, asyncHan
         update: {
           credentials,
           isActive,
+          // 인증 정보가 바뀌었으니 이전 점검 결과는 무효
+          lastCheckedAt: null,
+          lastStatus: null,
+          lastError: null,
         },
       });
 
-      res.json({ ok: true, connection });
+      res.json({ ok: true, connection: serializeConnection(connection) });
+    })
+  );
+
+  // POST /api/integrations/:provider/test
+  // 마켓 인증/상태 확인 API 를 호출하고 결과를 연결에 기록(비활성 연결도 점검 가능)
+  router.post(
+    "/:provider/test",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const provider = String(req.params.provider || "").toUpperCase();
+      if (!PROVIDERS.has(provider)) {
+        return res.status(400).json({ ok: false, message: "provider invalid" });
+      }
+
+      const connection = await prisma.channelConnection.findUnique({
+        where: { userId_provider: { userId: req.userId, provider } },
+      });
+      if (!connection) {
+        return res.status(404).json({ ok: false, message: "connection not found" });
+      }
+
+      let failure = null;
+      try {
+        let credentials;
+        try {
+          credentials = decryptCredentials(connection.credentials, connection);
+        } catch {
+          throw Object.assign(new Error("credentials unreadable"), {
+            code: "CREDENTIALS_UNREADABLE",
+          });
+        }
+        await getProviderClient(provider, { credentials }).testConnection();
+      } catch (e) {
+        failure = testErrorOf(e);
+      }
+      const lastError = failure ? `${failure.code}: ${failure.message}` : null;
+
+      const updated = await prisma.channelConnection.update({
+        where: { id: connection.id },
+        data: {
+          lastCheckedAt: new Date(),
+          lastStatus: lastError ? "FAILED" : "OK",
+          lastError,
+        },
+      });
+
+      res.json({
+        ok: true,
+        test: {
+          status: updated.lastStatus,
+          code: failure?.code ?? null,
+          httpStatus: failure?.status ?? null,
+          error: failure?.message ?? null,
+        },
+        connection: serializeConnection(updated),
+      });
     })
   );
 
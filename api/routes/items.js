@@ -1,13 +1,45 @@
 import express from "express";
 import { generateUniqueSku } from "../../utils/sku.js";
+import {
+  buildItemLedger,
+  compareLedgerEntries,
+  decodeLedgerCursor,
+  encodeLedgerCursor,
+} from "../services/ledger.js";
+import { findClosedPeriod, findClosedPeriodForItem } from "../services/periodLocks.js";
+import {
+  createKitSale,
+  disassembleReturnedKit,
+  getKitComponents,
+  planKitSale,
+} from "../services/kits.js";
+import { stockDeltaOf } from "../utils/records.js";
+import { syncPurchaseOrderStatus } from "../services/purchases.js";
+import { getReturnableQuantity, OPEN_RETURN_STATUSES } from "../services/returns.js";
 import {
   computeTargetQuantities,
   enqueueInventorySync,
   getCentralStock,
 } from "../services/inventorySync.js";
+import {
+  getBinBalances,
+  getBinStock,
+  getDefaultWarehouseId,
+  getInTransitQuantities,
+  getStockBalances,
+  getWarehouseStock,
+  lockItemStock,
+} from "../services/warehouseStock.js";
 
 const PROVIDERS = new Set(["NAVER", "COUPANG", "ELEVENST", "ETC"]);
 
+// 날짜 입력: 없으면 null, 잘못된 값이면 undefined
+function parseDateOrNull(v) {
+  if (v == null || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
 export default function createItemsRouter({
   prisma,
   requireAuth,
@@ -18,6 +50,143 @@ export default function createItemsRouter({
 }) {
   const router = express.Router();
 
+  // warehouseId 입력 검증: undefined(미입력) / null(미지정) / 내 창고 id
+  // 보관 처리된 창고는 새로 지정할 수 없음(keepId: 수정 시 기존 창고는 그대로 허용)
+  async function resolveWarehouseId(userId, raw, { keepId } = {}) {
+    if (raw === undefined) return { ok: true, value: undefined };
+    if (raw === null || raw === "") return { ok: true, value: null };
+
+    const id = Number(raw);
+    if (!Number.isFinite(id) || id <= 0) return { ok: false, message: "invalid warehouseId" };
+
+    const warehouse = await prisma.warehouse.findFirst({
+      where: { id, userId },
+      select: { id: true, archivedAt: true },
+    });
+    if (!warehouse) return { ok: false, message: "warehouse not found" };
+    if (warehouse.archivedAt && id !== keepId) return { ok: false, message: "warehouse is archived" };
+    return { ok: true, value: id };
+  }
+
+  // binId 입력 검증: 로케이션은 창고가 지정된 기록에만, 같은 창고의 로케이션만 허용
+  async function resolveBinId(userId, warehouseId, raw) {
+    if (raw === undefined) return { ok: true, value: undefined };
+    if (raw === null || raw === "") return { ok: true, value: null };
+
+    const id = Number(raw);
+    if (!Number.isFinite(id) || id <= 0) return { ok: false, message: "invalid binId" };
+    if (!warehouseId) return { ok: false, message: "binId requires warehouseId" };
+
+    const bin = await prisma.warehouseBin.findFirst({
+      where: { id, userId, warehouseId },
+      select: { id: true },
+    });
+    if (!bin) return { ok: false, message: "bin not found" };
+    return { ok: true, value: id };
+  }
+
+  // RETURN 검증: 원래 판매(OUT)가 같은 품목이어야 하고, 반품 수량 합(검수 전 반품 요청 포함)이 판매 수량을 넘을 수 없음
+  // excludeId: 수정 중인 반품 기록(자기 자신은 합계에서 제외)
+  // db: 트랜잭션 안에서 lockItemStock 뒤에 다시 확인할 때(반품 요청 생성과 겹치지 않도록)
+  async function checkReturn(userId, itemId, { returnOfId, count, excludeId, db = prisma }) {
+    const sale = await db.record.findFirst({
+      where: { id: returnOfId, userId, itemId, type: "OUT" },
+      select: { id: true, count: true },
+    });
+    if (!sale) return { ok: false, message: "original sale (OUT) not found" };
+
+    const returnable = await getReturnableQuantity(db, { userId, sale, excludeRecordId: excludeId });
+    if (count > returnable) {
+      return { ok: false, message: `return exceeds sold quantity (returnable ${returnable})` };
+    }
+    return { ok: true };
+  }
+
+  // 판매 채널 입력 검증(OUT 에만): provider 와 마켓 주문 번호
+  // - 반환: { ok: true, value: { provider, externalOrderId } | undefined(미입력) } | { ok: false, message }
+  function resolveSaleChannel(type, body, existing) {
+    if (body?.provider === undefined && body?.externalOrderId === undefined) {
+      return { ok: true, value: type === "OUT" ? undefined : { provider: null, externalOrderId: null } };
+    }
+    if (type !== "OUT") return { ok: false, message: "provider is only allowed on OUT records" };
+
+    const rawProvider = body.provider !== undefined ? body.provider : existing?.provider ?? null;
+    const provider = rawProvider == null || rawProvider === "" ? null : String(rawProvider).toUpperCase();
+    if (provider && !PROVIDERS.has(provider)) return { ok: false, message: "provider invalid" };
+
+    const rawOrderId =
+      body.externalOrderId !== undefined ? body.externalOrderId : existing?.externalOrderId ?? null;
+    const externalOrderId =
+      rawOrderId == null || String(rawOrderId).trim() === "" ? null : String(rawOrderId).trim();
+    return { ok: true, value: { provider, externalOrderId } };
+  }
+
+  // 재고가 줄어드는 기록의 재고 체크(전체 → 창고 → 로케이션), 부족하면 400 응답 본문
+  // - 트랜잭션 안에서 lockItemStock 뒤에 호출해야 동시에 들어온 출고/이동과 겹치지 않음
+  // - exclude: 수정할 때 기존 기록({ delta, warehouseId, binId })의 영향은 빼고 계산
+  async function checkOutgoingStock(
+    db,
+    { userId, itemId, warehouseId, binId, outgoing, verb, exclude }
+  ) {
+    const excludedDelta = exclude?.delta ?? 0;
+    const sameWarehouse = exclude != null && exclude.warehouseId === warehouseId;
+    const sameBin = sameWarehouse && exclude.binId === binId;
+
+    const stockNow = (await calcStock(db, userId, itemId)) - excludedDelta;
+    if (outgoing > stockNow) {
+      return {
+        ok: false,
+        message: `재고 부족: 현재 재고(${stockNow})보다 많이 ${verb}할 수 없습니다.`,
+        stock: stockNow,
+      };
+    }
+
+    if (warehouseId) {
+      const warehouseStock =
+        (await getWarehouseStock({ prisma: db, userId, itemId, warehouseId })) -
+        (sameWarehouse ? excludedDelta : 0);
+      if (outgoing > warehouseStock) {
+        return {
+          ok: false,
+          message: `재고 부족: 창고 재고(${warehouseStock})보다 많이 ${verb}할 수 없습니다.`,
+          stock: stockNow,
+          warehouseStock,
+        };
+      }
+    }
+
+    if (binId) {
+      const binStock =
+        (await getBinStock({ prisma: db, userId, itemId, warehouseId, binId })) -
+        (sameBin ? excludedDelta : 0);
+      if (outgoing > binStock) {
+        return {
+          ok: false,
+          message: `재고 부족: 로케이션 재고(${binStock})보다 많이 ${verb}할 수 없습니다.`,
+          stock: stockNow,
+          binStock,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // 판매(OUT)에 연결된 반품 수량 합(검수 전 반품 요청 포함)
+  async function getReturnedCount(userId, saleId) {
+    const [returned, pending] = await Promise.all([
+      prisma.record.aggregate({
+        where: { userId, type: "RETURN", returnOfId: saleId },
+        _sum: { count: true },
+      }),
+      prisma.returnAuthorization.aggregate({
+        where: { userId, saleId, status: { in: OPEN_RETURN_STATUSES } },
+        _sum: { quantity: true },
+      }),
+    ]);
+    return (returned._sum.count ?? 0) + (pending._sum.quantity ?? 0);
+  }
+
   // categoryId 필터 적용
   // GET /api/items?categoryId=123
   router.get(
@@ -254,6 +423,26 @@ export default function createItemsRouter({
       });
       if (!existing) return res.status(404).json({ ok: false, message: "item not found" });
 
+      // 마감된 기간의 기록이 있는 품목은 삭제할 수 없음
+      const closed = await findClosedPeriodForItem(prisma, { userId: req.userId, itemId: id });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
+      // 세트 구성품이거나 조립/해체 기록이 있는 품목은 삭제하면 다른 품목 재고가 어긋남
+      const [componentOf, assemblyRecord] = await Promise.all([
+        prisma.kitComponent.findFirst({
+          where: { userId: req.userId, componentItemId: id },
+          select: { id: true },
+        }),
+        prisma.record.findFirst({
+          where: { userId: req.userId, itemId: id, kitAssemblyId: { not: null } },
+          select: { id: true },
+        }),
+      ]);
+      if (componentOf) return res.status(400).json({ ok: false, message: "item is a kit component" });
+      if (assemblyRecord) return res.status(400).json({ ok: false, message: "item has kit assemblies" });
+
       await prisma.record.deleteMany({ where: { userId: req.userId, itemId: id } });
       await prisma.item.delete({ where: { id } });
 
@@ -396,6 +585,109 @@ export default function createItemsRouter({
     })
   );
 
+  // GET /api/items/:itemId/stock-by-warehouse
+  router.get(
+    "/:itemId/stock-by-warehouse",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const itemId = Number(req.params.itemId);
+      if (!Number.isFinite(itemId) || itemId <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid itemId" });
+      }
+
+      const item = await prisma.item.findFirst({
+        where: { id: itemId, userId: req.userId },
+        select: { id: true },
+      });
+      if (!item) return res.status(404).json({ ok: false, message: "item not found" });
+
+      const [balances, inTransitRows, warehouses, stock] = await Promise.all([
+        getStockBalances({ prisma, userId: req.userId, itemId }),
+        getInTransitQuantities({ prisma, userId: req.userId, itemId }),
+        prisma.warehouse.findMany({
+          where: { userId: req.userId },
+          orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+          select: { id: true, name: true, location: true, archivedAt: true },
+        }),
+        calcStock(prisma, req.userId, itemId),
+      ]);
+
+      const qtyByWarehouse = new Map(balances.map((b) => [b.warehouseId, b.quantity]));
+
+      res.json({
+        ok: true,
+        itemId,
+        stock,
+        warehouses: warehouses
+          .map((w) => ({
+            warehouseId: w.id,
+            name: w.name,
+            location: w.location,
+            archived: Boolean(w.archivedAt),
+            quantity: qtyByWarehouse.get(w.id) ?? 0,
+          }))
+          // 보관 처리된 창고는 재고가 남아있을 때만 표시
+          .filter((w) => !w.archived || w.quantity !== 0),
+        // 창고 미지정 기록으로 남아있는 재고
+        unassigned: qtyByWarehouse.get(null) ?? 0,
+        // 출발 창고에서 빠졌지만 아직 도착하지 않은 수량
+        inTransit: inTransitRows[0]?.quantity ?? 0,
+      });
+    })
+  );
+
+  // GET /api/items/:itemId/locations
+  // 품목이 놓인 로케이션 목록(수량 많은 순) - 피킹 위치 안내용
+  router.get(
+    "/:itemId/locations",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const itemId = Number(req.params.itemId);
+      if (!Number.isFinite(itemId) || itemId <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid itemId" });
+      }
+
+      const item = await prisma.item.findFirst({
+        where: { id: itemId, userId: req.userId },
+        select: { id: true },
+      });
+      if (!item) return res.status(404).json({ ok: false, message: "item not found" });
+
+      const balances = (await getBinBalances({ prisma, userId: req.userId, itemId })).filter(
+        (b) => b.warehouseId != null && b.quantity !== 0
+      );
+
+      const [warehouses, bins] = await Promise.all([
+        prisma.warehouse.findMany({
+          where: { userId: req.userId, id: { in: balances.map((b) => b.warehouseId) } },
+          select: { id: true, name: true },
+        }),
+        prisma.warehouseBin.findMany({
+          where: {
+            userId: req.userId,
+            id: { in: balances.map((b) => b.binId).filter((id) => id != null) },
+          },
+          select: { id: true, code: true },
+        }),
+      ]);
+      const warehouseMap = new Map(warehouses.map((w) => [w.id, w]));
+      const binMap = new Map(bins.map((b) => [b.id, b]));
+
+      const locations = balances
+        .map((b) => ({
+          warehouseId: b.warehouseId,
+          warehouseName: warehouseMap.get(b.warehouseId)?.name ?? null,
+          // binId=null: 창고에는 있지만 로케이션이 지정되지 않은 재고
+          binId: b.binId,
+          binCode: b.binId ? binMap.get(b.binId)?.code ?? null : null,
+          quantity: b.quantity,
+        }))
+        .sort((a, b) => b.quantity - a.quantity);
+
+      res.json({ ok: true, itemId, locations });
+    })
+  );
+
   /* ================= DETAIL (디테일 페이지) ================= */
   // GET /api/items/:itemId/records
   router.get(
@@ -431,6 +723,13 @@ export default function createItemsRouter({
               date: true,
               memo: true,
               purchaseId: true,
+              warehouseId: true,
+              binId: true,
+              closedCount: true,
+              reason: true,
+              returnOfId: true,
+              restocked: true,
+              expectedDate: true,
             },
           },
         },
@@ -460,6 +759,94 @@ export default function createItemsRouter({
     })
   );
 
+  /* ================= LEDGER (수불부) ================= */
+  // GET /api/items/:itemId/ledger?from=YYYY-MM-DD&to=YYYY-MM-DD&warehouseId=1&cursor=...&limit=100
+  // - 재고 기록과 재고 이동을 시간순으로, 누적 잔량(balance)과 이동평균 단가(averageCost)를 붙여서 반환
+  // - from 이전 항목은 openingBalance 로 합산, to 이후 기록은 읽지 않음
+  // - cursor: 직전 페이지의 nextCursor(날짜~키), 그 항목이 그새 지워졌으면 같은 정렬 위치 다음부터
+  router.get(
+    "/:itemId/ledger",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const itemId = Number(req.params.itemId);
+      if (!Number.isFinite(itemId) || itemId <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid itemId" });
+      }
+
+      const item = await prisma.item.findFirst({
+        where: { id: itemId, userId: req.userId },
+        select: { id: true, name: true, size: true, sku: true },
+      });
+      if (!item) return res.status(404).json({ ok: false, message: "item not found" });
+
+      const parseDay = (raw) => {
+        if (raw == null || raw === "") return undefined;
+        const d = /^\d{4}-\d{2}-\d{2}$/.test(String(raw)) ? new Date(`${raw}T00:00:00.000Z`) : null;
+        return d && !Number.isNaN(d.getTime()) ? d : null;
+      };
+      const from = parseDay(req.query.from);
+      const toStart = parseDay(req.query.to);
+      if (from === null || toStart === null) {
+        return res.status(400).json({ ok: false, message: "from/to must be YYYY-MM-DD" });
+      }
+      // to 는 그날 끝까지 포함
+      const to = toStart ? new Date(toStart.getTime() + 24 * 60 * 60 * 1000) : undefined;
+
+      let warehouseId;
+      if (req.query.warehouseId != null && req.query.warehouseId !== "") {
+        warehouseId = Number(req.query.warehouseId);
+        if (!Number.isFinite(warehouseId) || warehouseId <= 0) {
+          return res.status(400).json({ ok: false, message: "invalid warehouseId" });
+        }
+        const warehouse = await prisma.warehouse.findFirst({
+          where: { id: warehouseId, userId: req.userId },
+          select: { id: true },
+        });
+        if (!warehouse) return res.status(404).json({ ok: false, message: "warehouse not found" });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeLedgerCursor(req.query.cursor);
+        if (!cursor) return res.status(400).json({ ok: false, message: "invalid cursor" });
+      }
+
+      const { method, entries } = await buildItemLedger({
+        prisma,
+        userId: req.userId,
+        itemId,
+        warehouseId,
+        until: to,
+      });
+
+      const before = from ? entries.filter((e) => e.date < from) : [];
+      const inRange = entries.filter((e) => (!from || e.date >= from) && (!to || e.date < to));
+      const openingBalance = before.length > 0 ? before[before.length - 1].balance : 0;
+      const closingBalance = inRange.length > 0 ? inRange[inRange.length - 1].balance : openingBalance;
+
+      let start = 0;
+      if (cursor) {
+        const index = inRange.findIndex((e) => compareLedgerEntries(e, cursor) > 0);
+        start = index < 0 ? inRange.length : index;
+      }
+      const page = inRange.slice(start, start + limit);
+      const hasMore = start + limit < inRange.length;
+
+      res.json({
+        ok: true,
+        item,
+        warehouseId: warehouseId ?? null,
+        costingMethod: method,
+        openingBalance,
+        closingBalance,
+        entries: page,
+        nextCursor: hasMore ? encodeLedgerCursor(page[page.length - 1]) : null,
+      });
+    })
+  );
+
   /* ================= RECORDS (디테일 CRUD) ================= */
   // POST /api/items/:itemId/records
   router.post(
@@ -477,6 +864,20 @@ export default function createItemsRouter({
       });
       if (!item) return res.status(404).json({ ok: false, message: "item not found" });
 
+      const date = parseDateOrNull(req.body?.date);
+      const expectedDate = parseDateOrNull(req.body?.expectedDate);
+      if (date === undefined || expectedDate === undefined) {
+        return res.status(400).json({ ok: false, message: "invalid date" });
+      }
+
+      const closed = await findClosedPeriod(prisma, {
+        userId: req.userId,
+        dates: [date ?? new Date()],
+      });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
       let normalized;
       try {
         normalized = normalizeRecordInput(req.body);
@@ -484,32 +885,62 @@ export default function createItemsRouter({
         return res.status(400).json({ ok: false, message: String(e?.message || e) });
       }
 
-      // OUT 재고 부족 체크
-      if (normalized.type === "OUT") {
-        const stockNow = await calcStock(prisma, req.userId, itemId);
-        if (normalized.count > stockNow) {
-          return res.status(400).json({
-            ok: false,
-            message: `재고 부족: 현재 재고(${stockNow})보다 많이 판매할 수 없습니다.`,
-            stock: stockNow,
-          });
-        }
+      if (normalized.type === "RETURN") {
+        const ret = await checkReturn(req.userId, itemId, {
+          returnOfId: normalized.returnOfId,
+          count: normalized.count,
+        });
+        if (!ret.ok) return res.status(400).json({ ok: false, message: ret.message });
       }
 
-      const { date, memo } = req.body;
+      const channel = resolveSaleChannel(normalized.type, req.body);
+      if (!channel.ok) return res.status(400).json({ ok: false, message: channel.message });
+
+      const wh = await resolveWarehouseId(req.userId, req.body?.warehouseId);
+      if (!wh.ok) return res.status(400).json({ ok: false, message: wh.message });
+      // PURCHASE는 재고에 반영되지 않으므로 창고를 갖지 않음
+      // warehouseId 를 보내지 않으면 기본 창고로
+      const warehouseId =
+        normalized.type === "PURCHASE"
+          ? null
+          : wh.value !== undefined
+            ? wh.value
+            : await getDefaultWarehouseId({ prisma, userId: req.userId });
+
+      const bin = await resolveBinId(req.userId, warehouseId, req.body?.binId);
+      if (!bin.ok) return res.status(400).json({ ok: false, message: bin.message });
+      const binId = bin.value ?? null;
+
+      // 세트 판매는 세트 재고 + 구성품으로 만들 수 있는 수량까지(모자란 만큼 자동 조립)
+      const kitComponents = await getKitComponents(prisma, { userId: req.userId, kitItemId: itemId });
+      const isKitSale = kitComponents.length > 0 && normalized.type === "OUT";
+
+      // 재고가 줄어드는 기록(OUT / WRITE_OFF / ADJUSTMENT(-))은 재고를 잠그고 체크한 뒤 같은 트랜잭션에서 생성
+      const outgoing = -stockDeltaOf(normalized);
+      const verb = normalized.type === "OUT" ? "판매" : "차감";
+
+      const { memo } = req.body;
 
       //  일반 create로 IN을 만들 때 purchaseId는 받지 않음(실수 방지)
       // 입고처리는 /api/purchases/:purchaseId/arrive 로만 처리하는게 안전
-      const created = await prisma.record.create({
+      const createArgs = {
         data: {
           userId: req.userId,
           itemId,
           type: normalized.type,
           price: normalized.price,
           count: normalized.count,
-          date: date ? new Date(date) : new Date(),
+          date: date ?? new Date(),
           memo: memo != null && String(memo).trim() !== "" ? String(memo) : null,
           purchaseId: null,
+          warehouseId,
+          binId,
+          reason: normalized.reason,
+          returnOfId: normalized.returnOfId,
+          restocked: normalized.restocked,
+          ...(channel.value ?? {}),
+          // 입고 예정일은 PURCHASE 에만
+          expectedDate: normalized.type === "PURCHASE" ? expectedDate : null,
         },
         select: {
           id: true,
@@ -520,8 +951,87 @@ export default function createItemsRouter({
           date: true,
           memo: true,
           purchaseId: true,
+          warehouseId: true,
+          binId: true,
+          closedCount: true,
+          reason: true,
+          returnOfId: true,
+          restocked: true,
+          expectedDate: true,
         },
-      });
+      };
+
+      // 세트 판매는 자동 조립과 함께, 반품(재입고)은 자동 조립된 세트 판매였으면 자동 해체와 함께 한 트랜잭션으로
+      let created;
+      if (isKitSale) {
+        // 세트와 구성품 재고를 잠근 뒤 계획(로케이션 기준 포함)하고 같은 트랜잭션에서 조립/판매
+        const result = await prisma.$transaction(async (tx) => {
+          const lockIds = [itemId, ...kitComponents.map((c) => c.componentItemId)];
+          for (const id of [...new Set(lockIds)].sort((a, b) => a - b)) {
+            await lockItemStock(tx, id);
+          }
+
+          const plan = await planKitSale(tx, {
+            userId: req.userId,
+            kitItemId: itemId,
+            count: normalized.count,
+            warehouseId,
+            binId,
+            components: kitComponents,
+          });
+          if (!plan.ok) return { available: plan.available };
+          return {
+            record: await createKitSale(tx, {
+              userId: req.userId,
+              kitItemId: itemId,
+              plan,
+              ...createArgs,
+            }),
+          };
+        });
+        if (!result.record) {
+          return res.status(400).json({
+            ok: false,
+            message: `재고 부족: 세트 판매 가능 수량(${result.available})보다 많이 판매할 수 없습니다.`,
+            available: result.available,
+          });
+        }
+        created = result.record;
+      } else if (normalized.type === "RETURN") {
+        const result = await prisma.$transaction(async (tx) => {
+          await lockItemStock(tx, itemId);
+          const ret = await checkReturn(req.userId, itemId, {
+            returnOfId: normalized.returnOfId,
+            count: normalized.count,
+            db: tx,
+          });
+          if (!ret.ok) return { message: ret.message };
+
+          const record = await tx.record.create(createArgs);
+          await disassembleReturnedKit(tx, { userId: req.userId, record });
+          return { record };
+        });
+        if (!result.record) return res.status(400).json({ ok: false, message: result.message });
+        created = result.record;
+      } else if (outgoing > 0) {
+        const result = await prisma.$transaction(async (tx) => {
+          await lockItemStock(tx, itemId);
+          const shortage = await checkOutgoingStock(tx, {
+            userId: req.userId,
+            itemId,
+            warehouseId,
+            binId,
+            outgoing,
+            verb,
+          });
+          if (shortage) return { shortage };
+          return { record: await tx.record.create(createArgs) };
+        });
+        if (result.shortage) return res.status(400).json(result.shortage);
+        created = result.record;
+      } else {
+        created = await prisma.record.create(createArgs);
+      }
 
       const detail = await prisma.record.findMany({
         where: { userId: req.userId, itemId },
@@ -535,6 +1045,13 @@ export default function createItemsRouter({
           date: true,
           memo: true,
           purchaseId: true,
+          warehouseId: true,
+          binId: true,
+          closedCount: true,
+          reason: true,
+          returnOfId: true,
+          restocked: true,
+          expectedDate: true,
         },
       });
 
@@ -560,14 +1077,55 @@ export default function createItemsRouter({
 
       const existing = await prisma.record.findFirst({
         where: { id, itemId, userId: req.userId },
-        select: { id: true, type: true, count: true, price: true, date: true, memo: true, purchaseId: true },
+        select: {
+          id: true,
+          type: true,
+          count: true,
+          price: true,
+          date: true,
+          memo: true,
+          purchaseId: true,
+          warehouseId: true,
+          binId: true,
+          purchaseOrderId: true,
+          purchase: { select: { purchaseOrderId: true } },
+          transferId: true,
+          auditId: true,
+          closedAt: true,
+          reason: true,
+          returnOfId: true,
+          restocked: true,
+          provider: true,
+          externalOrderId: true,
+          returnAuthorizationId: true,
+          kitAssemblyId: true,
+          kitAssemblies: { select: { id: true } },
+        },
       });
       if (!existing) return res.status(404).json({ ok: false, message: "record not found" });
 
+      const date = parseDateOrNull(req.body?.date);
+      const expectedDate = parseDateOrNull(req.body?.expectedDate);
+      if (date === undefined || expectedDate === undefined) {
+        return res.status(400).json({ ok: false, message: "invalid date" });
+      }
+
+      // 원래 날짜와 바꾸려는 날짜 모두 마감되지 않은 기간이어야 함
+      const closed = await findClosedPeriod(prisma, {
+        userId: req.userId,
+        dates: [existing.date, date],
+      });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
       const mergedBody = {
         type: req.body.type != null ? req.body.type : existing.type,
         count: req.body.count != null ? req.body.count : existing.count,
         price: req.body.price !== undefined ? req.body.price : existing.price,
+        reason: req.body.reason !== undefined ? req.body.reason : existing.reason,
+        returnOfId: req.body.returnOfId != null ? req.body.returnOfId : existing.returnOfId,
+        restock: req.body.restock ?? req.body.restocked ?? existing.restocked,
       };
 
       let normalized;
@@ -577,34 +1135,106 @@ export default function createItemsRouter({
         return res.status(400).json({ ok: false, message: String(e?.message || e) });
       }
 
-      // OUT 업데이트 재고 체크
-      if (normalized.type === "OUT") {
-        const stockNow = await calcStock(prisma, req.userId, itemId);
-        const stockExcludingThis =
-          String(existing.type).toUpperCase() === "OUT" ? stockNow + existing.count : stockNow;
+      if (existing.purchaseOrderId && normalized.type !== "PURCHASE") {
+        return res.status(400).json({ ok: false, message: "purchase order line must stay PURCHASE" });
+      }
+      // 마감된 구매는 마감 수량이 어긋나지 않도록 다시 열기 전까지 수량/유형 변경 불가
+      if (existing.closedAt && (normalized.type !== "PURCHASE" || normalized.count !== existing.count)) {
+        return res.status(400).json({ ok: false, message: "purchase is closed (reopen first)" });
+      }
+      // 반품이 연결된 판매는 반품 수량 밑으로 줄이거나 유형을 바꿀 수 없음
+      if (existing.type === "OUT") {
+        const returnedCount = await getReturnedCount(req.userId, id);
+        if (returnedCount > 0 && (normalized.type !== "OUT" || normalized.count < returnedCount)) {
+          return res.status(400).json({ ok: false, message: "sale has returns" });
+        }
+      }
+      // 재고 이동(미착 손실 등)/실사 마감으로 생긴 기록은 그 문서에서 관리
+      if (existing.transferId) {
+        return res.status(400).json({ ok: false, message: "record is linked to a stock transfer" });
+      }
+      if (existing.auditId) {
+        return res.status(400).json({ ok: false, message: "record is linked to a stock audit" });
+      }
+      // 반품 요청(RMA) 검수로 생긴 기록은 반품 요청에서 관리
+      if (existing.returnAuthorizationId) {
+        return res.status(400).json({ ok: false, message: "record is linked to a return authorization" });
+      }
+      // 세트 조립/해체로 생긴 기록은 조립/해체 문서에서 관리
+      if (existing.kitAssemblyId) {
+        return res.status(400).json({ ok: false, message: "record is linked to a kit assembly" });
+      }
+      if (normalized.type === "RETURN") {
+        const ret = await checkReturn(req.userId, itemId, {
+          returnOfId: normalized.returnOfId,
+          count: normalized.count,
+          excludeId: id,
+        });
+        if (!ret.ok) return res.status(400).json({ ok: false, message: ret.message });
+      }
+
+      const channel = resolveSaleChannel(normalized.type, req.body, existing);
+      if (!channel.ok) return res.status(400).json({ ok: false, message: channel.message });
 
-        if (normalized.count > stockExcludingThis) {
-          return res.status(400).json({
-            ok: false,
-            message: `재고 부족: 현재 재고(${stockExcludingThis})보다 많이 판매할 수 없습니다.`,
-            stock: stockExcludingThis,
-          });
+      const wh = await resolveWarehouseId(req.userId, req.body?.warehouseId, {
+        keepId: existing.warehouseId,
+      });
+      if (!wh.ok) return res.status(400).json({ ok: false, message: wh.message });
+      const nextWarehouseId =
+        normalized.type === "PURCHASE" ? null : wh.value !== undefined ? wh.value : existing.warehouseId;
+
+      const bin = await resolveBinId(req.userId, nextWarehouseId, req.body?.binId);
+      if (!bin.ok) return res.status(400).json({ ok: false, message: bin.message });
+      // 창고가 바뀌면 기존 로케이션은 유지할 수 없음
+      const nextBinId =
+        bin.value !== undefined
+          ? bin.value
+          : nextWarehouseId === existing.warehouseId
+            ? existing.binId
+            : null;
+
+      // 자동 조립/해체가 연결된 세트 판매/반품은 가격/메모/채널만 수정 가능(수량 등은 삭제 후 다시 입력)
+      if (existing.kitAssemblies.length > 0) {
+        const changed =
+          normalized.type !== existing.type ||
+          normalized.count !== existing.count ||
+          normalized.restocked !== existing.restocked ||
+          normalized.returnOfId !== existing.returnOfId ||
+          nextWarehouseId !== existing.warehouseId ||
+          nextBinId !== existing.binId ||
+          (date && date.getTime() !== existing.date.getTime());
+        if (changed) {
+          return res.status(400).json({ ok: false, message: "record is linked to a kit assembly" });
         }
       }
 
+      const outgoing = -stockDeltaOf(normalized);
+      const verb = normalized.type === "OUT" ? "판매" : "차감";
+
       const nextPurchaseId = existing.purchaseId;
 
-      const { date, memo } = req.body;
+      const { memo } = req.body;
 
-      const updated = await prisma.record.update({
+      const updateArgs = {
         where: { id },
         data: {
           type: normalized.type,
           count: normalized.count,
           price: normalized.price,
-          ...(date ? { date: new Date(date) } : {}),
+          ...(date ? { date } : {}),
           ...(memo !== undefined ? { memo: memo ? String(memo) : null } : {}),
           purchaseId: nextPurchaseId,
+          warehouseId: nextWarehouseId,
+          binId: nextBinId,
+          reason: normalized.reason,
+          returnOfId: normalized.returnOfId,
+          restocked: normalized.restocked,
+          ...(channel.value ?? {}),
+          ...(normalized.type !== "PURCHASE"
+            ? { expectedDate: null }
+            : req.body.expectedDate !== undefined
+              ? { expectedDate }
+              : {}),
         },
         select: {
           id: true,
@@ -615,8 +1245,71 @@ export default function createItemsRouter({
           date: true,
           memo: true,
           purchaseId: true,
+          warehouseId: true,
+          binId: true,
+          closedCount: true,
+          reason: true,
+          returnOfId: true,
+          restocked: true,
+          expectedDate: true,
         },
-      });
+      };
+
+      // 재고가 줄어드는 기록으로 수정할 때는 재고를 잠그고 체크한 뒤 같은 트랜잭션에서 수정
+      // (기존 기록의 영향은 잠근 뒤 다시 읽어서 빼고 계산)
+      let updated;
+      if (outgoing > 0) {
+        const result = await prisma.$transaction(async (tx) => {
+          await lockItemStock(tx, itemId);
+          const current = await tx.record.findUnique({
+            where: { id },
+            select: { type: true, count: true, restocked: true, warehouseId: true, binId: true },
+          });
+          if (!current) return { missing: true };
+
+          const shortage = await checkOutgoingStock(tx, {
+            userId: req.userId,
+            itemId,
+            warehouseId: nextWarehouseId,
+            binId: nextBinId,
+            outgoing,
+            verb,
+            exclude: {
+              delta: stockDeltaOf(current),
+              warehouseId: current.warehouseId,
+              binId: current.binId,
+            },
+          });
+          if (shortage) return { shortage };
+          return { record: await tx.record.update(updateArgs) };
+        });
+        if (result.missing) return res.status(404).json({ ok: false, message: "record not found" });
+        if (result.shortage) return res.status(400).json(result.shortage);
+        updated = result.record;
+      } else if (normalized.type === "RETURN") {
+        // 반품 가능 수량은 품목을 잠근 뒤 다시 확인(반품 요청 생성과 겹치지 않도록)
+        const result = await prisma.$transaction(async (tx) => {
+          await lockItemStock(tx, itemId);
+          const ret = await checkReturn(req.userId, itemId, {
+            returnOfId: normalized.returnOfId,
+            count: normalized.count,
+            excludeId: id,
+            db: tx,
+          });
+          if (!ret.ok) return { message: ret.message };
+          return { record: await tx.record.update(updateArgs) };
+        });
+        if (!result.record) return res.status(400).json({ ok: false, message: result.message });
+        updated = result.record;
+      } else {
+        updated = await prisma.record.update(updateArgs);
+      }
+
+      // 발주서 라인/입고 수량이 바뀌면 발주서 상태 다시 계산
+      await syncPurchaseOrderStatus(
+        prisma,
+        existing.purchaseOrderId ?? existing.purchase?.purchaseOrderId
+      );
 
       const detail = await prisma.record.findMany({
         where: { userId: req.userId, itemId },
@@ -630,6 +1323,13 @@ export default function createItemsRouter({
           date: true,
           memo: true,
           purchaseId: true,
+          warehouseId: true,
+          binId: true,
+          closedCount: true,
+          reason: true,
+          returnOfId: true,
+          restocked: true,
+          expectedDate: true,
         },
       });
 
@@ -655,11 +1355,45 @@ export default function createItemsRouter({
 
       const existing = await prisma.record.findFirst({
         where: { id, itemId, userId: req.userId },
-        select: { id: true },
+        select: {
+          id: true,
+          date: true,
+          transferId: true,
+          auditId: true,
+          returnAuthorizationId: true,
+          kitAssemblyId: true,
+          purchaseOrderId: true,
+          purchase: { select: { purchaseOrderId: true } },
+        },
       });
       if (!existing) return res.status(404).json({ ok: false, message: "record not found" });
 
+      const closed = await findClosedPeriod(prisma, { userId: req.userId, dates: [existing.date] });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+      if (existing.purchaseOrderId) {
+        return res.status(400).json({ ok: false, message: "record is linked to a purchase order" });
+      }
+      if (existing.transferId) {
+        return res.status(400).json({ ok: false, message: "record is linked to a stock transfer" });
+      }
+      if (existing.auditId) {
+        return res.status(400).json({ ok: false, message: "record is linked to a stock audit" });
+      }
+      if (existing.returnAuthorizationId) {
+        return res.status(400).json({ ok: false, message: "record is linked to a return authorization" });
+      }
+      if (existing.kitAssemblyId) {
+        return res.status(400).json({ ok: false, message: "record is linked to a kit assembly" });
+      }
+      if ((await getReturnedCount(req.userId, id)) > 0) {
+        return res.status(400).json({ ok: false, message: "sale has returns" });
+      }
+
+      // 세트 판매/반품에 연결된 자동 조립/해체는 함께 삭제(cascade)
       await prisma.record.delete({ where: { id } });
+      await syncPurchaseOrderStatus(prisma, existing.purchase?.purchaseOrderId);
 
       const detail = await prisma.record.findMany({
         where: { userId: req.userId, itemId },
@@ -673,6 +1407,13 @@ export default function createItemsRouter({
           date: true,
           memo: true,
           purchaseId: true,
+          warehouseId: true,
+          binId: true,
+          closedCount: true,
+          reason: true,
+          returnOfId: true,
+          restocked: true,
+          expectedDate: true,
         },
       });
 
@@ -1,5 +1,8 @@
 import express from "express";
 import { runInventorySyncJobs } from "../services/inventorySync.js";
+import { importChannelOrders } from "../services/orderImport.js";
+
+const PROVIDERS = new Set(["NAVER", "COUPANG", "ELEVENST"]);
 
 export default function createJobsRouter({ prisma, requireAuth, asyncHandler }) {
   const router = express.Router();
@@ -19,5 +22,54 @@ export default function createJobsRouter({ prisma, requireAuth, asyncHandler })
     })
   );
 
+  /**
+   * POST /api/jobs/order-import/run
+   * body: { provider? } (생략하면 활성 연결 전체)
+   * - 연결마다 결과를 따로 반환(한 마켓 오류로 나머지를 멈추지 않음)
+   */
+  router.post(
+    "/order-import/run",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const provider = req.body?.provider ? String(req.body.provider).toUpperCase() : null;
+      if (provider && !PROVIDERS.has(provider)) {
+        return res.status(400).json({ ok: false, message: "provider invalid" });
+      }
+
+      const connections = await prisma.channelConnection.findMany({
+        where: {
+          userId: req.userId,
+          isActive: true,
+          provider: provider ?? { in: [...PROVIDERS] },
+        },
+        orderBy: { provider: "asc" },
+        select: { provider: true },
+      });
+      if (provider && connections.length === 0) {
+        return res.status(409).json({ ok: false, message: "channel not connected" });
+      }
+
+      const results = [];
+      for (const connection of connections) {
+        try {
+          const summary = await importChannelOrders({
+            prisma,
+            userId: req.userId,
+            provider: connection.provider,
+          });
+          results.push({ provider: connection.provider, ok: true, ...summary });
+        } catch (e) {
+          results.push({
+            provider: connection.provider,
+            ok: false,
+            code: e.code ?? null,
+            message: e.message,
+          });
+        }
+      }
+      res.json({ ok: true, results });
+    })
+  );
+
   return router;
 }
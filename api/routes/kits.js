@@ -0,0 +1,387 @@
+import express from "express";
+import {
+  deleteKitAssembly,
+  getKitAvailability,
+  getKitComponents,
+  runKitAssembly,
+} from "../services/kits.js";
+import { findClosedPeriod } from "../services/periodLocks.js";
+import { resolveArrivalWarehouseId } from "../services/purchases.js";
+
+const ITEM_SELECT = { id: true, name: true, size: true, imageUrl: true, sku: true, barcode: true };
+const ASSEMBLY_TYPES = new Set(["ASSEMBLE", "DISASSEMBLE"]);
+
+const ASSEMBLY_INCLUDE = {
+  kitItem: { select: ITEM_SELECT },
+  warehouse: { select: { id: true, name: true } },
+  records: {
+    orderBy: { id: "asc" },
+    select: {
+      id: true,
+      itemId: true,
+      type: true,
+      count: true,
+      price: true,
+      date: true,
+      binId: true,
+      item: { select: { id: true, name: true, size: true, sku: true } },
+    },
+  },
+};
+
+export default function createKitsRouter({ prisma, requireAuth, asyncHandler }) {
+  const router = express.Router();
+
+  // warehouseId 쿼리 검증: 없으면 전체 재고 기준
+  async function resolveWarehouseQuery(userId, raw) {
+    if (raw == null || raw === "") return { ok: true, value: undefined };
+    const id = Number(raw);
+    if (!Number.isFinite(id) || id <= 0) return { ok: false, message: "invalid warehouseId" };
+
+    const warehouse = await prisma.warehouse.findFirst({
+      where: { id, userId },
+      select: { id: true },
+    });
+    if (!warehouse) return { ok: false, message: "warehouse not found" };
+    return { ok: true, value: id };
+  }
+
+  // 로케이션 검증: 조립/해체 창고의 로케이션만 허용
+  async function resolveBin(userId, warehouseId, raw) {
+    if (raw == null || raw === "") return { ok: true, value: null };
+    const id = Number(raw);
+    if (!Number.isFinite(id) || id <= 0) return { ok: false, message: "invalid binId" };
+    if (!warehouseId) return { ok: false, message: "binId requires warehouse" };
+
+    const bin = await prisma.warehouseBin.findFirst({
+      where: { id, userId, warehouseId },
+      select: { id: true },
+    });
+    if (!bin) return { ok: false, message: "bin not found" };
+    return { ok: true, value: id };
+  }
+
+  async function loadKit(userId, item, warehouseId) {
+    const components = await getKitComponents(prisma, { userId, kitItemId: item.id });
+    const availability = await getKitAvailability(prisma, {
+      userId,
+      kitItemId: item.id,
+      warehouseId,
+      components,
+    });
+    return { item, ...availability };
+  }
+
+  // GET /api/kits?warehouseId=1
+  // 세트 목록 + 판매 가능 수량
+  router.get(
+    "/",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const wh = await resolveWarehouseQuery(req.userId, req.query.warehouseId);
+      if (!wh.ok) return res.status(400).json({ ok: false, message: wh.message });
+
+      const items = await prisma.item.findMany({
+        where: { userId: req.userId, kitComponents: { some: {} } },
+        orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+        select: ITEM_SELECT,
+      });
+
+      const kits = [];
+      for (const item of items) {
+        kits.push(await loadKit(req.userId, item, wh.value));
+      }
+
+      res.json({ ok: true, warehouseId: wh.value ?? null, kits });
+    })
+  );
+
+  // GET /api/kits/assemblies?kitItemId=1&type=ASSEMBLE&auto=0
+  // - auto=0: 미리 조립/해체한 문서만, auto=1: 판매/반품 때 자동으로 만든 문서만
+  router.get(
+    "/assemblies",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const where = { userId: req.userId };
+
+      if (req.query.kitItemId) {
+        const kitItemId = Number(req.query.kitItemId);
+        if (!Number.isFinite(kitItemId) || kitItemId <= 0) {
+          return res.status(400).json({ ok: false, message: "invalid kitItemId" });
+        }
+        where.kitItemId = kitItemId;
+      }
+      const type = String(req.query.type || "").toUpperCase();
+      if (type) {
+        if (!ASSEMBLY_TYPES.has(type)) {
+          return res.status(400).json({ ok: false, message: "type must be ASSEMBLE or DISASSEMBLE" });
+        }
+        where.type = type;
+      }
+      if (req.query.auto === "0") where.sourceRecordId = null;
+      if (req.query.auto === "1") where.sourceRecordId = { not: null };
+
+      const assemblies = await prisma.kitAssembly.findMany({
+        where,
+        orderBy: [{ date: "desc" }, { id: "desc" }],
+        take: 200,
+        include: {
+          kitItem: { select: ITEM_SELECT },
+          warehouse: { select: { id: true, name: true } },
+        },
+      });
+      res.json({ ok: true, assemblies });
+    })
+  );
+
+  // GET /api/kits/assemblies/:id
+  router.get(
+    "/assemblies/:id",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid assembly id" });
+      }
+
+      const assembly = await prisma.kitAssembly.findFirst({
+        where: { id, userId: req.userId },
+        include: ASSEMBLY_INCLUDE,
+      });
+      if (!assembly) return res.status(404).json({ ok: false, message: "assembly not found" });
+
+      res.json({ ok: true, assembly });
+    })
+  );
+
+  // DELETE /api/kits/assemblies/:id
+  // 미리 조립/해체한 문서만 삭제 가능(만들어진 재고가 남아 있어야 함)
+  router.delete(
+    "/assemblies/:id",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid assembly id" });
+      }
+
+      const assembly = await prisma.kitAssembly.findFirst({
+        where: { id, userId: req.userId },
+        select: { id: true, date: true, warehouseId: true, sourceRecordId: true },
+      });
+      if (!assembly) return res.status(404).json({ ok: false, message: "assembly not found" });
+      if (assembly.sourceRecordId) {
+        return res.status(400).json({ ok: false, message: "assembly is linked to a record" });
+      }
+
+      const closed = await findClosedPeriod(prisma, { userId: req.userId, dates: [assembly.date] });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
+      const result = await prisma.$transaction((tx) =>
+        deleteKitAssembly(tx, { userId: req.userId, assembly })
+      );
+      if (!result.ok) {
+        return res.status(400).json({
+          ok: false,
+          message: "재고 부족: 조립/해체로 만든 재고가 이미 사용되어 삭제할 수 없습니다.",
+          shortages: result.shortages,
+        });
+      }
+
+      res.status(204).end();
+    })
+  );
+
+  /**
+   * POST /api/kits/:kitItemId/assemble    // 구성품 → 세트 재고
+   * POST /api/kits/:kitItemId/disassemble // 세트 재고 → 구성품
+   * body: { quantity, warehouseId?, binId?, date?, memo? }  // warehouseId 생략 시 기본 창고
+   * - 조립 단가는 구성품 원가 합(계정의 원가 계산 방식)
+   */
+  const assembleHandler = (type) =>
+    asyncHandler(async (req, res) => {
+      const kitItemId = Number(req.params.kitItemId);
+      if (!Number.isFinite(kitItemId) || kitItemId <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid kitItemId" });
+      }
+
+      const quantity = Number(req.body?.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ ok: false, message: "quantity must be a positive integer" });
+      }
+
+      const item = await prisma.item.findFirst({
+        where: { id: kitItemId, userId: req.userId },
+        select: { id: true },
+      });
+      if (!item) return res.status(404).json({ ok: false, message: "item not found" });
+
+      const components = await getKitComponents(prisma, { userId: req.userId, kitItemId });
+      if (components.length === 0) {
+        return res.status(400).json({ ok: false, message: "item is not a kit" });
+      }
+
+      const date = req.body?.date ? new Date(req.body.date) : new Date();
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ ok: false, message: "invalid date" });
+      }
+      const closed = await findClosedPeriod(prisma, { userId: req.userId, dates: [date] });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
+      const wh = await resolveArrivalWarehouseId(prisma, {
+        userId: req.userId,
+        raw: req.body?.warehouseId,
+      });
+      if (!wh.ok) return res.status(400).json({ ok: false, message: wh.message });
+      const bin = await resolveBin(req.userId, wh.value, req.body?.binId);
+      if (!bin.ok) return res.status(400).json({ ok: false, message: bin.message });
+
+      const memo =
+        req.body?.memo != null && String(req.body.memo).trim() !== "" ? String(req.body.memo) : null;
+
+      const result = await prisma.$transaction((tx) =>
+        runKitAssembly(tx, {
+          userId: req.userId,
+          type,
+          kitItemId,
+          quantity,
+          components,
+          warehouseId: wh.value,
+          binId: bin.value,
+          date,
+          memo,
+        })
+      );
+      if (!result.ok) {
+        return res.status(400).json({
+          ok: false,
+          message:
+            type === "ASSEMBLE"
+              ? "재고 부족: 구성품 재고가 모자라 조립할 수 없습니다."
+              : "재고 부족: 세트 재고보다 많이 해체할 수 없습니다.",
+          shortages: result.shortages,
+        });
+      }
+
+      const assembly = await prisma.kitAssembly.findUnique({
+        where: { id: result.assembly.id },
+        include: ASSEMBLY_INCLUDE,
+      });
+      res.status(201).json({ ok: true, assembly });
+    });
+
+  router.post("/:kitItemId/assemble", requireAuth, assembleHandler("ASSEMBLE"));
+  router.post("/:kitItemId/disassemble", requireAuth, assembleHandler("DISASSEMBLE"));
+
+  // GET /api/kits/:kitItemId?warehouseId=1
+  router.get(
+    "/:kitItemId",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const kitItemId = Number(req.params.kitItemId);
+      if (!Number.isFinite(kitItemId) || kitItemId <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid kitItemId" });
+      }
+
+      const item = await prisma.item.findFirst({
+        where: { id: kitItemId, userId: req.userId },
+        select: ITEM_SELECT,
+      });
+      if (!item) return res.status(404).json({ ok: false, message: "item not found" });
+
+      const wh = await resolveWarehouseQuery(req.userId, req.query.warehouseId);
+      if (!wh.ok) return res.status(400).json({ ok: false, message: wh.message });
+
+      res.json({ ok: true, kit: await loadKit(req.userId, item, wh.value) });
+    })
+  );
+
+  /**
+   * PUT /api/kits/:kitItemId
+   * body: { components: [{ itemId, quantity }] }  // 세트 1개 기준, 빈 배열이면 세트 해제
+   * - 구성을 바꿔도 지난 판매의 자동 조립 기록은 그대로 유지
+   * - 세트는 다른 세트의 구성품이 될 수 없음
+   */
+  router.put(
+    "/:kitItemId",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const kitItemId = Number(req.params.kitItemId);
+      if (!Number.isFinite(kitItemId) || kitItemId <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid kitItemId" });
+      }
+
+      const item = await prisma.item.findFirst({
+        where: { id: kitItemId, userId: req.userId },
+        select: ITEM_SELECT,
+      });
+      if (!item) return res.status(404).json({ ok: false, message: "item not found" });
+
+      if (!Array.isArray(req.body?.components)) {
+        return res.status(400).json({ ok: false, message: "components must be an array" });
+      }
+
+      const components = [];
+      const seen = new Set();
+      for (const raw of req.body.components) {
+        const componentItemId = Number(raw?.itemId);
+        const quantity = Number(raw?.quantity ?? 1);
+        if (!Number.isFinite(componentItemId) || componentItemId <= 0) {
+          return res.status(400).json({ ok: false, message: "invalid component itemId" });
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          return res.status(400).json({ ok: false, message: "component quantity must be a positive integer" });
+        }
+        if (componentItemId === kitItemId) {
+          return res.status(400).json({ ok: false, message: "kit cannot contain itself" });
+        }
+        if (seen.has(componentItemId)) {
+          return res.status(400).json({ ok: false, message: "duplicate component" });
+        }
+        seen.add(componentItemId);
+        components.push({ componentItemId, quantity });
+      }
+
+      if (components.length > 0) {
+        const ids = components.map((c) => c.componentItemId);
+        const [owned, nestedKit, usedAsComponent] = await Promise.all([
+          prisma.item.count({ where: { userId: req.userId, id: { in: ids } } }),
+          prisma.kitComponent.findFirst({
+            where: { userId: req.userId, kitItemId: { in: ids } },
+            select: { kitItemId: true },
+          }),
+          prisma.kitComponent.findFirst({
+            where: { userId: req.userId, componentItemId: kitItemId },
+            select: { kitItemId: true },
+          }),
+        ]);
+        if (owned !== ids.length) {
+          return res.status(404).json({ ok: false, message: "component item not found" });
+        }
+        if (nestedKit) {
+          return res.status(400).json({ ok: false, message: "a kit cannot be a component" });
+        }
+        if (usedAsComponent) {
+          return res.status(400).json({ ok: false, message: "item is a component of another kit" });
+        }
+      }
+
+      await prisma.$transaction(async (tx) => {
+        await tx.kitComponent.deleteMany({ where: { userId: req.userId, kitItemId } });
+        if (components.length > 0) {
+          await tx.kitComponent.createMany({
+            data: components.map((c) => ({ userId: req.userId, kitItemId, ...c })),
+          });
+        }
+      });
+
+      res.json({ ok: true, kit: await loadKit(req.userId, item) });
+    })
+  );
+
+  return router;
+}
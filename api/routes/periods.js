@@ -0,0 +1,123 @@
+import express from "express";
+import { PERIOD_REGEX } from "../services/periodLocks.js";
+
+function trimOrNull(v) {
+  return v != null && String(v).trim() !== "" ? String(v).trim() : null;
+}
+
+export default function createPeriodsRouter({ prisma, requireAuth, asyncHandler }) {
+  const router = express.Router();
+
+  // GET /api/periods
+  // 마감된 기간 목록 + 마감/마감 취소 이력
+  router.get(
+    "/",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const [locks, events] = await Promise.all([
+        prisma.periodLock.findMany({
+          where: { userId: req.userId },
+          orderBy: { period: "desc" },
+        }),
+        prisma.periodLockEvent.findMany({
+          where: { userId: req.userId },
+          orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+          take: 200,
+        }),
+      ]);
+
+      res.json({ ok: true, locks, events });
+    })
+  );
+
+  // GET /api/periods/:period/events
+  router.get(
+    "/:period/events",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const period = String(req.params.period);
+      if (!PERIOD_REGEX.test(period)) {
+        return res.status(400).json({ ok: false, message: "period must be YYYY-MM" });
+      }
+
+      const events = await prisma.periodLockEvent.findMany({
+        where: { userId: req.userId, period },
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      });
+      res.json({ ok: true, period, events });
+    })
+  );
+
+  /**
+   * POST /api/periods/:period/close
+   * body: { notes? }
+   * - 이번 달까지만 마감 가능(미래 기간은 불가)
+   */
+  router.post(
+    "/:period/close",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const period = String(req.params.period);
+      if (!PERIOD_REGEX.test(period)) {
+        return res.status(400).json({ ok: false, message: "period must be YYYY-MM" });
+      }
+      if (period > new Date().toISOString().slice(0, 7)) {
+        return res.status(400).json({ ok: false, message: "cannot close a future period" });
+      }
+
+      const existing = await prisma.periodLock.findUnique({
+        where: { userId_period: { userId: req.userId, period } },
+        select: { id: true },
+      });
+      if (existing) return res.status(409).json({ ok: false, message: "period already closed" });
+
+      const notes = trimOrNull(req.body?.notes);
+      const lock = await prisma.$transaction(async (tx) => {
+        const created = await tx.periodLock.create({
+          data: { userId: req.userId, period, notes },
+        });
+        await tx.periodLockEvent.create({
+          data: { userId: req.userId, period, action: "CLOSE", reason: notes },
+        });
+        return created;
+      });
+
+      res.status(201).json({ ok: true, lock });
+    })
+  );
+
+  /**
+   * POST /api/periods/:period/reopen
+   * body: { reason }  // 필수: 이력에 남김
+   */
+  router.post(
+    "/:period/reopen",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const period = String(req.params.period);
+      if (!PERIOD_REGEX.test(period)) {
+        return res.status(400).json({ ok: false, message: "period must be YYYY-MM" });
+      }
+
+      const reason = trimOrNull(req.body?.reason);
+      if (!reason) return res.status(400).json({ ok: false, message: "reason required" });
+
+      const reopened = await prisma.$transaction(async (tx) => {
+        const deleted = await tx.periodLock.deleteMany({
+          where: { userId: req.userId, period },
+        });
+        if (deleted.count === 0) return false;
+
+        await tx.periodLockEvent.create({
+          data: { userId: req.userId, period, action: "REOPEN", reason },
+        });
+        return true;
+      });
+      if (!reopened) return res.status(404).json({ ok: false, message: "period is not closed" });
+
+      res.json({ ok: true, period });
+    })
+  );
+
+  return router;
+}
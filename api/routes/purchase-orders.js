@@ -0,0 +1,633 @@
+import express from "express";
+import { makeSku } from "../../utils/sku.js";
+import {
+  arrivePurchase,
+  closePurchase,
+  PURCHASE_CLOSE_REASONS,
+  resolveArrivalWarehouseId,
+  syncPurchaseOrderStatus,
+  withArrivals,
+} from "../services/purchases.js";
+import { findClosedPeriod } from "../services/periodLocks.js";
+
+const PO_STATUSES = new Set(["OPEN", "PARTIALLY_RECEIVED", "RECEIVED", "CLOSED"]);
+
+const LINE_SELECT = {
+  id: true,
+  itemId: true,
+  price: true,
+  count: true,
+  date: true,
+  memo: true,
+  closedCount: true,
+  closeReason: true,
+  closeNotes: true,
+  closedAt: true,
+  expectedDate: true,
+  item: {
+    select: { id: true, name: true, size: true, imageUrl: true, sku: true, barcode: true },
+  },
+};
+
+const ORDER_INCLUDE = {
+  supplier: { select: { id: true, name: true } },
+  lines: {
+    where: { type: "PURCHASE" },
+    orderBy: { id: "asc" },
+    select: LINE_SELECT,
+  },
+};
+
+function trimOrNull(v) {
+  return v != null && String(v).trim() !== "" ? String(v).trim() : null;
+}
+
+function parseDateOrNull(v) {
+  if (v == null || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+export default function createPurchaseOrdersRouter({ prisma, requireAuth, asyncHandler, toYmd }) {
+  const router = express.Router();
+
+  // 라인별 입고/남은 수량과 합계를 붙여서 반환
+  async function presentOrder(order) {
+    const lines = await withArrivals(prisma, { userId: order.userId, lines: order.lines });
+    return {
+      ...order,
+      lines,
+      totalCount: lines.reduce((sum, line) => sum + line.count, 0),
+      arrivedCount: lines.reduce((sum, line) => sum + line.arrived, 0),
+      totalAmount: lines.reduce((sum, line) => sum + (line.price ?? 0) * line.count, 0),
+    };
+  }
+
+  async function generateOrderNo(userId) {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      const orderNo = makeSku("PO");
+      const exists = await prisma.purchaseOrder.findFirst({
+        where: { userId, orderNo },
+        select: { id: true },
+      });
+      if (!exists) return orderNo;
+    }
+
+    throw new Error("Failed to generate unique order number");
+  }
+
+  /* ================= SUPPLIERS ================= */
+  // GET /api/suppliers
+  router.get(
+    "/suppliers",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const suppliers = await prisma.supplier.findMany({
+        where: { userId: req.userId },
+        orderBy: [{ name: "asc" }, { id: "asc" }],
+      });
+
+      res.json({ ok: true, suppliers });
+    })
+  );
+
+  // POST /api/suppliers  body: { name, contactName?, email?, phone?, address?, notes? }
+  router.post(
+    "/suppliers",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const name = trimOrNull(req.body?.name);
+      if (!name) return res.status(400).json({ ok: false, message: "name required" });
+
+      const dup = await prisma.supplier.findFirst({
+        where: { userId: req.userId, name },
+        select: { id: true },
+      });
+      if (dup) return res.status(409).json({ ok: false, message: "이미 등록된 공급처입니다." });
+
+      const supplier = await prisma.supplier.create({
+        data: {
+          userId: req.userId,
+          name,
+          contactName: trimOrNull(req.body?.contactName),
+          email: trimOrNull(req.body?.email),
+          phone: trimOrNull(req.body?.phone),
+          address: trimOrNull(req.body?.address),
+          notes: trimOrNull(req.body?.notes),
+        },
+      });
+
+      res.status(201).json({ ok: true, supplier });
+    })
+  );
+
+  // PUT /api/suppliers/:id
+  router.put(
+    "/suppliers/:id",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid supplier id" });
+      }
+
+      const existing = await prisma.supplier.findFirst({
+        where: { id, userId: req.userId },
+        select: { id: true },
+      });
+      if (!existing) return res.status(404).json({ ok: false, message: "supplier not found" });
+
+      const data = {};
+      if (req.body?.name !== undefined) {
+        const name = trimOrNull(req.body.name);
+        if (!name) return res.status(400).json({ ok: false, message: "name required" });
+
+        const dup = await prisma.supplier.findFirst({
+          where: { userId: req.userId, name, NOT: { id } },
+          select: { id: true },
+        });
+        if (dup) return res.status(409).json({ ok: false, message: "이미 등록된 공급처입니다." });
+        data.name = name;
+      }
+      for (const key of ["contactName", "email", "phone", "address", "notes"]) {
+        if (req.body?.[key] !== undefined) data[key] = trimOrNull(req.body[key]);
+      }
+
+      const supplier = await prisma.supplier.update({ where: { id }, data });
+
+      res.json({ ok: true, supplier });
+    })
+  );
+
+  // DELETE /api/suppliers/:id (발주서가 있으면 삭제 불가)
+  router.delete(
+    "/suppliers/:id",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid supplier id" });
+      }
+
+      const existing = await prisma.supplier.findFirst({
+        where: { id, userId: req.userId },
+        select: { id: true },
+      });
+      if (!existing) return res.status(404).json({ ok: false, message: "supplier not found" });
+
+      const orderCount = await prisma.purchaseOrder.count({ where: { supplierId: id } });
+      if (orderCount > 0) {
+        return res.status(400).json({ ok: false, message: "supplier has purchase orders" });
+      }
+
+      await prisma.supplier.delete({ where: { id } });
+
+      res.json({ ok: true });
+    })
+  );
+
+  /* ================= PURCHASE ORDERS ================= */
+  // GET /api/purchase-orders?status=OPEN&supplierId=1
+  router.get(
+    "/purchase-orders",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const status = String(req.query.status || "").toUpperCase();
+      const supplierId = Number(req.query.supplierId);
+
+      const where = { userId: req.userId };
+      if (PO_STATUSES.has(status)) where.status = status;
+      if (Number.isFinite(supplierId) && supplierId > 0) where.supplierId = supplierId;
+
+      const orders = await prisma.purchaseOrder.findMany({
+        where,
+        orderBy: [{ orderDate: "desc" }, { id: "desc" }],
+        include: ORDER_INCLUDE,
+      });
+
+      const presented = [];
+      for (const order of orders) {
+        presented.push(await presentOrder(order));
+      }
+
+      res.json({ ok: true, orders: presented });
+    })
+  );
+
+  // GET /api/purchase-orders/:id
+  router.get(
+    "/purchase-orders/:id",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid purchase order id" });
+      }
+
+      const order = await prisma.purchaseOrder.findFirst({
+        where: { id, userId: req.userId },
+        include: ORDER_INCLUDE,
+      });
+      if (!order) return res.status(404).json({ ok: false, message: "purchase order not found" });
+
+      res.json({ ok: true, order: await presentOrder(order) });
+    })
+  );
+
+  /**
+   * POST /api/purchase-orders
+   * body: {
+   *   supplierId?, orderNo?, orderDate?, expectedDate?, currency?, notes?,
+   *   lines: [{ itemId, count, price, memo?, expectedDate? }]
+   * }
+   * - 각 라인은 PURCHASE 기록으로 저장(기존 매입/입고 흐름과 동일하게 pendingIn 에 반영)
+   * - 라인 입고 예정일을 생략하면 발주서의 expectedDate 를 따름
+   */
+  router.post(
+    "/purchase-orders",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const rawLines = Array.isArray(req.body?.lines) ? req.body.lines : [];
+      if (rawLines.length === 0) {
+        return res.status(400).json({ ok: false, message: "lines required" });
+      }
+
+      const lines = rawLines.map((line) => ({
+        itemId: Number(line?.itemId),
+        count: Number(line?.count),
+        price: Number(line?.price),
+        memo: trimOrNull(line?.memo),
+        expectedDate: parseDateOrNull(line?.expectedDate),
+      }));
+      if (
+        lines.some(
+          (line) =>
+            !Number.isFinite(line.itemId) ||
+            line.itemId <= 0 ||
+            !Number.isInteger(line.count) ||
+            line.count <= 0 ||
+            !Number.isFinite(line.price) ||
+            line.price <= 0
+        )
+      ) {
+        return res.status(400).json({ ok: false, message: "each line requires itemId, count(>0), price(>0)" });
+      }
+
+      const itemIds = [...new Set(lines.map((line) => line.itemId))];
+      const itemCount = await prisma.item.count({
+        where: { id: { in: itemIds }, userId: req.userId },
+      });
+      if (itemCount !== itemIds.length) {
+        return res.status(404).json({ ok: false, message: "item not found" });
+      }
+
+      let supplierId = null;
+      if (req.body?.supplierId != null && req.body.supplierId !== "") {
+        supplierId = Number(req.body.supplierId);
+        const supplier = await prisma.supplier.findFirst({
+          where: { id: supplierId, userId: req.userId },
+          select: { id: true },
+        });
+        if (!supplier) return res.status(400).json({ ok: false, message: "supplier not found" });
+      }
+
+      const orderDate = parseDateOrNull(req.body?.orderDate);
+      const expectedDate = parseDateOrNull(req.body?.expectedDate);
+      if (
+        orderDate === undefined ||
+        expectedDate === undefined ||
+        lines.some((line) => line.expectedDate === undefined)
+      ) {
+        return res.status(400).json({ ok: false, message: "invalid date" });
+      }
+
+      let orderNo = trimOrNull(req.body?.orderNo);
+      if (orderNo) {
+        const dup = await prisma.purchaseOrder.findFirst({
+          where: { userId: req.userId, orderNo },
+          select: { id: true },
+        });
+        if (dup) return res.status(409).json({ ok: false, message: "이미 사용 중인 발주 번호입니다." });
+      } else {
+        orderNo = await generateOrderNo(req.userId);
+      }
+
+      const date = orderDate ?? new Date();
+      const closed = await findClosedPeriod(prisma, { userId: req.userId, dates: [date] });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
+      const order = await prisma.purchaseOrder.create({
+        data: {
+          userId: req.userId,
+          supplierId,
+          orderNo,
+          orderDate: date,
+          expectedDate,
+          currency: trimOrNull(req.body?.currency)?.toUpperCase() || "KRW",
+          notes: trimOrNull(req.body?.notes),
+          lines: {
+            create: lines.map((line) => ({
+              userId: req.userId,
+              itemId: line.itemId,
+              type: "PURCHASE",
+              price: Math.floor(line.price),
+              count: line.count,
+              date,
+              memo: line.memo,
+              expectedDate: line.expectedDate ?? expectedDate,
+            })),
+          },
+        },
+        include: ORDER_INCLUDE,
+      });
+
+      res.status(201).json({ ok: true, order: await presentOrder(order) });
+    })
+  );
+
+  // PUT /api/purchase-orders/:id  body: { supplierId?, orderDate?, expectedDate?, currency?, notes? }
+  router.put(
+    "/purchase-orders/:id",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid purchase order id" });
+      }
+
+      const existing = await prisma.purchaseOrder.findFirst({
+        where: { id, userId: req.userId },
+        select: { id: true, orderDate: true },
+      });
+      if (!existing) return res.status(404).json({ ok: false, message: "purchase order not found" });
+
+      const data = {};
+      if (req.body?.supplierId !== undefined) {
+        if (req.body.supplierId == null || req.body.supplierId === "") {
+          data.supplierId = null;
+        } else {
+          const supplierId = Number(req.body.supplierId);
+          const supplier = await prisma.supplier.findFirst({
+            where: { id: supplierId, userId: req.userId },
+            select: { id: true },
+          });
+          if (!supplier) return res.status(400).json({ ok: false, message: "supplier not found" });
+          data.supplierId = supplierId;
+        }
+      }
+      for (const key of ["orderDate", "expectedDate"]) {
+        if (req.body?.[key] === undefined) continue;
+        const d = parseDateOrNull(req.body[key]);
+        if (d === undefined || (key === "orderDate" && d === null)) {
+          return res.status(400).json({ ok: false, message: "invalid date" });
+        }
+        data[key] = d;
+      }
+      if (req.body?.currency !== undefined) {
+        data.currency = trimOrNull(req.body.currency)?.toUpperCase() || "KRW";
+      }
+      if (req.body?.notes !== undefined) data.notes = trimOrNull(req.body.notes);
+
+      // 발주일을 바꾸면 라인(PURCHASE) 날짜도 함께 바뀌므로 이전/새 날짜 모두 마감되지 않아야 함
+      const moveDate = data.orderDate && data.orderDate.getTime() !== existing.orderDate.getTime();
+      if (moveDate) {
+        const lines = await prisma.record.findMany({
+          where: { purchaseOrderId: id, type: "PURCHASE" },
+          select: { date: true },
+        });
+        const closed = await findClosedPeriod(prisma, {
+          userId: req.userId,
+          dates: [existing.orderDate, data.orderDate, ...lines.map((line) => line.date)],
+        });
+        if (closed) {
+          return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+        }
+      }
+
+      const order = await prisma.$transaction(async (tx) => {
+        if (moveDate) {
+          await tx.record.updateMany({
+            where: { purchaseOrderId: id, type: "PURCHASE" },
+            data: { date: data.orderDate },
+          });
+        }
+        // 입고 예정일을 바꾸면 아직 마감되지 않은 라인의 예정일도 함께 변경
+        if (data.expectedDate !== undefined) {
+          await tx.record.updateMany({
+            where: { purchaseOrderId: id, type: "PURCHASE", closedAt: null },
+            data: { expectedDate: data.expectedDate },
+          });
+        }
+        return tx.purchaseOrder.update({
+          where: { id },
+          data,
+          include: ORDER_INCLUDE,
+        });
+      });
+
+      res.json({ ok: true, order: await presentOrder(order) });
+    })
+  );
+
+  /**
+   * POST /api/purchase-orders/:id/arrive
+   * body: {
+   *   lines?: [{ lineId, count? }],  // 생략하면 남은 수량 전부
+   *   date?: "YYYY-MM-DD", memo?, warehouseId?
+   * }
+   * - 라인별로 /api/purchases/:purchaseId/arrive 와 같은 규칙(부분입고/일괄입고)
+   */
+  router.post(
+    "/purchase-orders/:id/arrive",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid purchase order id" });
+      }
+
+      const order = await prisma.purchaseOrder.findFirst({
+        where: { id, userId: req.userId },
+        select: {
+          id: true,
+          closedAt: true,
+          lines: {
+            where: { type: "PURCHASE" },
+            orderBy: { id: "asc" },
+            select: { id: true, itemId: true, count: true, purchaseOrderId: true },
+          },
+        },
+      });
+      if (!order) return res.status(404).json({ ok: false, message: "purchase order not found" });
+      if (order.closedAt) {
+        return res.status(400).json({ ok: false, message: "purchase order is closed" });
+      }
+
+      const lineMap = new Map(order.lines.map((line) => [line.id, line]));
+      let requests;
+      if (Array.isArray(req.body?.lines)) {
+        requests = req.body.lines.map((line) => ({
+          lineId: Number(line?.lineId),
+          count: line?.count === "" || line?.count == null ? null : Number(line.count),
+        }));
+        if (requests.some((r) => !lineMap.has(r.lineId))) {
+          return res.status(400).json({ ok: false, message: "line not found" });
+        }
+        if (requests.some((r) => r.count != null && (!Number.isFinite(r.count) || r.count <= 0))) {
+          return res.status(400).json({ ok: false, message: "invalid count" });
+        }
+      } else {
+        requests = order.lines.map((line) => ({ lineId: line.id, count: null }));
+      }
+
+      const wh = await resolveArrivalWarehouseId(prisma, {
+        userId: req.userId,
+        raw: req.body?.warehouseId,
+      });
+      if (!wh.ok) return res.status(400).json({ ok: false, message: wh.message });
+
+      const dateOnly = toYmd(req.body?.date) || toYmd(new Date());
+      const date = new Date(dateOnly + "T00:00:00");
+      const memo = trimOrNull(req.body?.memo);
+
+      const closed = await findClosedPeriod(prisma, { userId: req.userId, dates: [date] });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
+      // 잠금 순서를 고정해서 데드락 방지
+      requests.sort((a, b) => lineMap.get(a.lineId).itemId - lineMap.get(b.lineId).itemId);
+
+      const arrivals = await prisma.$transaction(async (tx) => {
+        const created = [];
+        for (const r of requests) {
+          const arrival = await arrivePurchase(tx, {
+            userId: req.userId,
+            purchase: lineMap.get(r.lineId),
+            count: r.count,
+            date,
+            memo,
+            warehouseId: wh.value,
+          });
+          if (arrival) created.push({ lineId: r.lineId, ...arrival });
+        }
+        return created;
+      });
+
+      if (arrivals.length === 0) {
+        return res.json({ ok: true, message: "already fully arrived", arrivals: [] });
+      }
+
+      const updated = await prisma.purchaseOrder.findUnique({
+        where: { id },
+        include: ORDER_INCLUDE,
+      });
+
+      res.status(201).json({
+        ok: true,
+        arrivals: arrivals.map((a) => ({
+          lineId: a.lineId,
+          count: a.count,
+          remaining: a.remaining,
+          inRecord: a.record,
+        })),
+        order: await presentOrder(updated),
+      });
+    })
+  );
+
+  // POST /api/purchase-orders/:id/close  body: { reason?: SHORT_SHIPPED|CANCELLED|LOST, notes? }
+  // - 남은 수량이 있는 라인은 모두 같은 사유로 마감(기본 CANCELLED), 더 이상 입고하지 않음
+  router.post(
+    "/purchase-orders/:id/close",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid purchase order id" });
+      }
+
+      const reason = req.body?.reason ? String(req.body.reason).toUpperCase() : "CANCELLED";
+      if (!PURCHASE_CLOSE_REASONS.has(reason)) {
+        return res.status(400).json({ ok: false, message: "invalid reason (SHORT_SHIPPED/CANCELLED/LOST)" });
+      }
+
+      const existing = await prisma.purchaseOrder.findFirst({
+        where: { id, userId: req.userId },
+        select: {
+          id: true,
+          closedAt: true,
+          lines: {
+            where: { type: "PURCHASE", closedAt: null },
+            select: { id: true, itemId: true, purchaseOrderId: true },
+          },
+        },
+      });
+      if (!existing) return res.status(404).json({ ok: false, message: "purchase order not found" });
+      if (existing.closedAt) {
+        return res.status(400).json({ ok: false, message: "purchase order is already closed" });
+      }
+
+      const notes = trimOrNull(req.body?.notes);
+      const now = new Date();
+      const lines = [...existing.lines].sort((a, b) => a.itemId - b.itemId);
+
+      await prisma.$transaction(async (tx) => {
+        for (const line of lines) {
+          await closePurchase(tx, { userId: req.userId, purchase: line, reason, notes, now });
+        }
+        await tx.purchaseOrder.update({ where: { id }, data: { closedAt: now } });
+        await syncPurchaseOrderStatus(tx, id);
+      });
+
+      const order = await prisma.purchaseOrder.findUnique({
+        where: { id },
+        include: ORDER_INCLUDE,
+      });
+
+      res.json({ ok: true, order: await presentOrder(order) });
+    })
+  );
+
+  // DELETE /api/purchase-orders/:id (입고된 라인이 있으면 삭제 불가)
+  router.delete(
+    "/purchase-orders/:id",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid purchase order id" });
+      }
+
+      const existing = await prisma.purchaseOrder.findFirst({
+        where: { id, userId: req.userId },
+        select: { id: true, lines: { select: { date: true } } },
+      });
+      if (!existing) return res.status(404).json({ ok: false, message: "purchase order not found" });
+
+      const closed = await findClosedPeriod(prisma, {
+        userId: req.userId,
+        dates: existing.lines.map((line) => line.date),
+      });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
+      const arrivalCount = await prisma.record.count({
+        where: { userId: req.userId, type: "IN", purchase: { purchaseOrderId: id } },
+      });
+      if (arrivalCount > 0) {
+        return res.status(400).json({ ok: false, message: "purchase order has arrivals" });
+      }
+
+      // 라인(PURCHASE 기록)은 cascade 로 함께 삭제
+      await prisma.purchaseOrder.delete({ where: { id } });
+
+      res.json({ ok: true });
+    })
+  );
+
+  return router;
+}
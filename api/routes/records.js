@@ -1,4 +1,13 @@
 import express from "express";
+import {
+  arrivePurchase,
+  closePurchase,
+  PURCHASE_CLOSE_REASONS,
+  reopenPurchase,
+  resolveArrivalWarehouseId,
+  withArrivals,
+} from "../services/purchases.js";
+import { findClosedPeriod } from "../services/periodLocks.js";
 
 export default function createRecordsRouter({
   prisma,
@@ -14,10 +23,11 @@ export default function createRecordsRouter({
    *  구매(PURCHASE) 기준 "입고 처리" API
    *
    * POST /api/purchases/:purchaseId/arrive
-   * body: { count?: number, date?: "YYYY-MM-DD", memo?: string }
+   * body: { count?: number, date?: "YYYY-MM-DD", memo?: string, warehouseId?: number }
    *
    * - count 없으면: 남은 수량 전부(=일괄입고)
    * - count 있으면: 그만큼만(=부분입고)
+   * - warehouseId 없으면: 기본 창고로 입고
    * - IN record 생성(type=IN, price=null, purchaseId=해당 구매 id)
    */
   router.post(
@@ -31,64 +41,67 @@ export default function createRecordsRouter({
 
       const purchase = await prisma.record.findFirst({
         where: { id: purchaseId, userId: req.userId },
-        select: { id: true, type: true, itemId: true, count: true, date: true },
+        select: {
+          id: true,
+          type: true,
+          itemId: true,
+          count: true,
+          date: true,
+          purchaseOrderId: true,
+          purchaseOrder: { select: { closedAt: true } },
+          closedAt: true,
+        },
       });
       if (!purchase) return res.status(404).json({ ok: false, message: "purchase not found" });
       if (String(purchase.type).toUpperCase() !== "PURCHASE") {
         return res.status(400).json({ ok: false, message: "record is not PURCHASE" });
       }
+      if (purchase.purchaseOrder?.closedAt) {
+        return res.status(400).json({ ok: false, message: "purchase order is closed" });
+      }
+      if (purchase.closedAt) {
+        return res.status(400).json({ ok: false, message: "purchase is closed" });
+      }
 
-      // 이미 이 PURCHASE로 입고된 수량 합
-      const arrived = await prisma.record.aggregate({
-        where: { userId: req.userId, itemId: purchase.itemId, type: "IN", purchaseId },
-        _sum: { count: true },
+      const wh = await resolveArrivalWarehouseId(prisma, {
+        userId: req.userId,
+        raw: req.body?.warehouseId,
       });
-      const arrivedSum = arrived?._sum?.count ?? 0;
-      const remaining = Math.max(0, (purchase.count ?? 0) - arrivedSum);
-
-      if (remaining <= 0) {
-        return res.json({ ok: true, message: "already fully arrived", remaining: 0 });
-      }
+      if (!wh.ok) return res.status(400).json({ ok: false, message: wh.message });
 
       const reqCountRaw = req.body?.count;
       const reqCountNum = reqCountRaw === "" || reqCountRaw == null ? null : Number(reqCountRaw);
 
-      const count =
-        reqCountNum == null
-          ? remaining // 일괄입고
-          : Math.max(1, Math.min(remaining, Math.floor(reqCountNum))); // 부분입고
-
       const dateStr = req.body?.date;
       const dateOnly = toYmd(dateStr) || toYmd(new Date());
       const date = new Date(dateOnly + "T00:00:00");
 
+      const closed = await findClosedPeriod(prisma, { userId: req.userId, dates: [date] });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
       const memo =
         req.body?.memo != null && String(req.body.memo).trim() !== ""
           ? String(req.body.memo)
           : null;
 
-      const createdIn = await prisma.record.create({
-        data: {
+      const arrival = await prisma.$transaction((tx) =>
+        arrivePurchase(tx, {
           userId: req.userId,
-          itemId: purchase.itemId,
-          type: "IN",
-          price: null,
-          count,
+          purchase,
+          count: Number.isFinite(reqCountNum) ? reqCountNum : null,
           date,
           memo,
-          purchaseId,
-        },
-        select: {
-          id: true,
-          itemId: true,
-          type: true,
-          price: true,
-          count: true,
-          date: true,
-          memo: true,
-          purchaseId: true,
-        },
-      });
+          warehouseId: wh.value,
+        })
+      );
+
+      if (!arrival) {
+        return res.json({ ok: true, message: "already fully arrived", remaining: 0 });
+      }
+
+      const createdIn = arrival.record;
 
       // 디테일 다시 계산해서 돌려줌(프론트 편하게)
       const detail = await prisma.record.findMany({
@@ -103,22 +116,22 @@ export default function createRecordsRouter({
           date: true,
           memo: true,
           purchaseId: true,
+          warehouseId: true,
+          binId: true,
+          closedCount: true,
+          reason: true,
+          returnOfId: true,
+          restocked: true,
+          expectedDate: true,
         },
       });
 
       const { stock, pendingIn } = calcStockAndPending(detail);
 
-      const arrived2 = await prisma.record.aggregate({
-        where: { userId: req.userId, itemId: purchase.itemId, type: "IN", purchaseId },
-        _sum: { count: true },
-      });
-      const arrivedSum2 = arrived2?._sum?.count ?? 0;
-      const remaining2 = Math.max(0, (purchase.count ?? 0) - arrivedSum2);
-
       res.status(201).json({
         ok: true,
         inRecord: createdIn,
-        remaining: remaining2,
+        remaining: arrival.remaining,
         stock,
         pendingIn,
         records: detail,
@@ -126,8 +139,268 @@ export default function createRecordsRouter({
     })
   );
 
+  /* ================= PURCHASE CLOSE ================= */
+  // 구매 기록 조회 + 디테일 재계산 공통 처리
+  async function findPurchase(userId, purchaseId) {
+    return prisma.record.findFirst({
+      where: { id: purchaseId, userId, type: "PURCHASE" },
+      select: {
+        id: true,
+        itemId: true,
+        count: true,
+        purchaseOrderId: true,
+        purchaseOrder: { select: { closedAt: true } },
+        closedAt: true,
+      },
+    });
+  }
+
+  async function purchaseDetail(userId, itemId) {
+    const detail = await prisma.record.findMany({
+      where: { userId, itemId },
+      orderBy: [{ date: "asc" }, { id: "asc" }],
+      select: {
+        id: true,
+        itemId: true,
+        type: true,
+        price: true,
+        count: true,
+        date: true,
+        memo: true,
+        purchaseId: true,
+        warehouseId: true,
+        binId: true,
+        closedCount: true,
+        reason: true,
+        returnOfId: true,
+        restocked: true,
+        closeReason: true,
+        closedAt: true,
+        expectedDate: true,
+      },
+    });
+    return { records: detail, ...calcStockAndPending(detail) };
+  }
+
+  /**
+   * POST /api/purchases/:purchaseId/close
+   * body: { reason: "SHORT_SHIPPED" | "CANCELLED" | "LOST", notes?: string }
+   *
+   * - 남은 수량(주문 - 입고)을 closedCount 로 확정 → pendingIn 에서 빠짐
+   * - 원래 주문 수량(count)은 그대로 두어 매입 리포트에는 영향 없음
+   */
+  router.post(
+    "/purchases/:purchaseId/close",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const purchaseId = Number(req.params.purchaseId);
+      if (!Number.isFinite(purchaseId) || purchaseId <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid purchaseId" });
+      }
+
+      const reason = String(req.body?.reason || "").toUpperCase();
+      if (!PURCHASE_CLOSE_REASONS.has(reason)) {
+        return res.status(400).json({ ok: false, message: "invalid reason (SHORT_SHIPPED/CANCELLED/LOST)" });
+      }
+
+      const purchase = await findPurchase(req.userId, purchaseId);
+      if (!purchase) return res.status(404).json({ ok: false, message: "purchase not found" });
+      if (purchase.closedAt) {
+        return res.status(400).json({ ok: false, message: "purchase is already closed" });
+      }
+
+      const notes =
+        req.body?.notes != null && String(req.body.notes).trim() !== ""
+          ? String(req.body.notes).trim()
+          : null;
+
+      const closed = await prisma.$transaction((tx) =>
+        closePurchase(tx, { userId: req.userId, purchase, reason, notes })
+      );
+      if (!closed) {
+        return res.status(400).json({ ok: false, message: "nothing remaining to close" });
+      }
+
+      const detail = await purchaseDetail(req.userId, purchase.itemId);
+      res.json({ ok: true, closedCount: closed.closedCount, ...detail });
+    })
+  );
+
+  // POST /api/purchases/:purchaseId/reopen (마감 취소: 남은 수량이 다시 입고 대기로)
+  router.post(
+    "/purchases/:purchaseId/reopen",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const purchaseId = Number(req.params.purchaseId);
+      if (!Number.isFinite(purchaseId) || purchaseId <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid purchaseId" });
+      }
+
+      const purchase = await findPurchase(req.userId, purchaseId);
+      if (!purchase) return res.status(404).json({ ok: false, message: "purchase not found" });
+      if (purchase.purchaseOrder?.closedAt) {
+        return res.status(400).json({ ok: false, message: "purchase order is closed" });
+      }
+
+      const reopened = await prisma.$transaction((tx) => reopenPurchase(tx, { purchase }));
+      if (!reopened) {
+        return res.status(400).json({ ok: false, message: "purchase is not closed" });
+      }
+
+      const detail = await purchaseDetail(req.userId, purchase.itemId);
+      res.json({ ok: true, ...detail });
+    })
+  );
+
+  /* ================= EXPECTED ARRIVALS ================= */
+  // YYYY-MM-DD → 그날 0시(UTC) Date
+  function dayStart(ymd) {
+    return new Date(`${ymd}T00:00:00.000Z`);
+  }
+
+  // 입고 예정일이 있는, 아직 남은 수량이 있는 구매 목록
+  // - 남은 수량 = 주문 - 입고 - 마감 (/api/purchases/:purchaseId/arrive 와 같은 계산)
+  async function findPendingArrivals(userId, expectedDate) {
+    const purchases = await prisma.record.findMany({
+      where: { userId, type: "PURCHASE", closedAt: null, expectedDate },
+      orderBy: [{ expectedDate: "asc" }, { id: "asc" }],
+      select: {
+        id: true,
+        itemId: true,
+        price: true,
+        count: true,
+        closedCount: true,
+        date: true,
+        expectedDate: true,
+        memo: true,
+        item: { select: { id: true, name: true, size: true, imageUrl: true, sku: true } },
+        purchaseOrder: {
+          select: { id: true, orderNo: true, supplier: { select: { id: true, name: true } } },
+        },
+      },
+    });
+
+    const withRemaining = await withArrivals(prisma, { userId, lines: purchases });
+    return withRemaining.filter((p) => p.remaining > 0);
+  }
+
+  // PATCH /api/purchases/:purchaseId/expected-date  body: { expectedDate: "YYYY-MM-DD" | null }
+  router.patch(
+    "/purchases/:purchaseId/expected-date",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const purchaseId = Number(req.params.purchaseId);
+      if (!Number.isFinite(purchaseId) || purchaseId <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid purchaseId" });
+      }
+
+      const raw = req.body?.expectedDate;
+      const ymd = raw == null || raw === "" ? null : toYmd(raw);
+      if (raw != null && raw !== "" && !ymd) {
+        return res.status(400).json({ ok: false, message: "invalid expectedDate" });
+      }
+
+      const purchase = await prisma.record.findFirst({
+        where: { id: purchaseId, userId: req.userId, type: "PURCHASE" },
+        select: { id: true },
+      });
+      if (!purchase) return res.status(404).json({ ok: false, message: "purchase not found" });
+
+      const updated = await prisma.record.update({
+        where: { id: purchaseId },
+        data: { expectedDate: ymd ? dayStart(ymd) : null },
+        select: { id: true, expectedDate: true },
+      });
+
+      res.json({ ok: true, purchase: updated });
+    })
+  );
+
+  /**
+   * GET /api/purchases/arrivals?days=14
+   *
+   * - overdue: 입고 예정일이 오늘 이전인데 남은 수량이 있는 구매
+   * - upcoming: 오늘부터 days 일 안에 입고 예정인 구매
+   */
+  router.get(
+    "/purchases/arrivals",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const daysNum = Number(req.query.days);
+      const days = Number.isFinite(daysNum) && daysNum > 0 ? Math.min(365, Math.floor(daysNum)) : 14;
+
+      const today = dayStart(toYmd(new Date()));
+      const until = new Date(today.getTime() + days * 24 * 60 * 60 * 1000);
+
+      const [overdue, upcoming] = await Promise.all([
+        findPendingArrivals(req.userId, { lt: today }),
+        findPendingArrivals(req.userId, { gte: today, lt: until }),
+      ]);
+
+      res.json({
+        ok: true,
+        today: toYmd(today),
+        days,
+        overdue: overdue.map((p) => ({
+          ...p,
+          daysOverdue: Math.round((today - p.expectedDate) / (24 * 60 * 60 * 1000)),
+        })),
+        upcoming,
+      });
+    })
+  );
+
+  /**
+   * GET /api/purchases/arrivals/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD
+   *
+   * - 입고 예정 구매를 날짜별로 묶어서 반환(기본: 오늘부터 30일)
+   * - 예정일이 지난 미입고분은 from 이전이라도 overdue 로 따로 반환
+   */
+  router.get(
+    "/purchases/arrivals/calendar",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const todayYmd = toYmd(new Date());
+      const fromYmd = toYmd(req.query.from) || todayYmd;
+      const from = dayStart(fromYmd);
+      const to = req.query.to
+        ? dayStart(toYmd(req.query.to) || fromYmd)
+        : new Date(from.getTime() + 29 * 24 * 60 * 60 * 1000);
+
+      if (to < from) {
+        return res.status(400).json({ ok: false, message: "to must be on or after from" });
+      }
+
+      const today = dayStart(todayYmd);
+      const [inRange, overdue] = await Promise.all([
+        findPendingArrivals(req.userId, {
+          gte: from,
+          lt: new Date(to.getTime() + 24 * 60 * 60 * 1000),
+        }),
+        findPendingArrivals(req.userId, { lt: from < today ? from : today }),
+      ]);
+
+      const byDay = new Map();
+      for (const p of inRange) {
+        const ymd = toYmd(p.expectedDate);
+        if (!byDay.has(ymd)) byDay.set(ymd, { date: ymd, totalRemaining: 0, purchases: [] });
+        const day = byDay.get(ymd);
+        day.totalRemaining += p.remaining;
+        day.purchases.push(p);
+      }
+
+      res.json({
+        ok: true,
+        from: fromYmd,
+        to: toYmd(to),
+        days: [...byDay.values()],
+        overdue,
+      });
+    })
+  );
+
   /* ================= RECORDS LIST (입출고 페이지용) ================= */
-  // GET /api/records?type=IN|OUT|PURCHASE&priceMissing=1
+  // GET /api/records?type=IN|OUT|PURCHASE|ADJUSTMENT|RETURN|WRITE_OFF|ASSEMBLY_IN|ASSEMBLY_OUT&priceMissing=1
   router.get(
     "/records",
     requireAuth,
@@ -137,7 +410,8 @@ export default function createRecordsRouter({
 
       const where = { userId: req.userId };
 
-      if (type === "IN" || type === "OUT" || type === "PURCHASE") {
+      const types = ["IN", "OUT", "PURCHASE", "ADJUSTMENT", "RETURN", "WRITE_OFF", "ASSEMBLY_IN", "ASSEMBLY_OUT"];
+      if (types.includes(type)) {
         where.type = type;
       }
 
@@ -152,6 +426,9 @@ export default function createRecordsRouter({
           item: {
             select: { id: true, name: true, size: true, imageUrl: true, categoryId: true, barcode: true },
           },
+          warehouse: {
+            select: { id: true, name: true },
+          },
         },
       });
 
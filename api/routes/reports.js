@@ -1,10 +1,12 @@
 import { Router } from "express";
+import { computeCosts } from "../services/costing.js";
+import { getStockBalancesAsOf } from "../services/warehouseStock.js";
+import { sendCsv } from "../utils/csv.js";
 
 export default function createReportsRouter({
   prisma,
   requireAuth,
   asyncHandler,
-  calcStock,
 }) {
   const router = Router();
 
@@ -44,6 +46,56 @@ export default function createReportsRouter({
     return { startDate, endDate: now };
   }
 
+  // 기간 내 출고(판매) 기록에 판매 원가(COGS)를 붙여서 반환
+  // - 원가는 계정의 원가 계산 방식(이동평균/FIFO)으로 기간 끝까지의 기록을 재생해 계산
+  async function loadSalesWithCogs(userId, { startDate, endDate }) {
+    const outRecords = await prisma.record.findMany({
+      where: {
+        userId,
+        type: "OUT",
+        date: { gte: startDate, lte: endDate },
+      },
+      select: {
+        id: true,
+        itemId: true,
+        date: true,
+        count: true,
+        price: true,
+        item: { select: { name: true, size: true } },
+      },
+      orderBy: [{ date: "asc" }, { id: "asc" }],
+    });
+
+    const itemIds = [...new Set(outRecords.map((r) => r.itemId))];
+    const { method, results } = await computeCosts({
+      prisma,
+      userId,
+      itemIds,
+      asOf: endDate,
+    });
+
+    const sales = outRecords.map((r) => {
+      const quantity = Math.abs(r.count || 0);
+      const revenue = (r.price || 0) * quantity;
+      const issue = results.get(r.itemId)?.issues.get(r.id);
+      const cogs = issue?.cost ?? 0;
+      return {
+        ...r,
+        quantity,
+        revenue,
+        unitCost: issue?.unitCost ?? 0,
+        cogs,
+        grossProfit: revenue - cogs,
+      };
+    });
+
+    return { method, sales };
+  }
+
+  function marginPct(profit, revenue) {
+    return revenue > 0 ? Math.round((profit / revenue) * 10000) / 100 : 0;
+  }
+
   // GET /api/reports/sales-analysis
   // 매출 분석 데이터 (일별 매출 및 수익)
   router.get(
@@ -53,66 +105,21 @@ export default function createReportsRouter({
       const userId = req.userId;
       const { startDate, endDate } = getDateRange(req.query);
 
-      // 출고(판매) 데이터 가져오기
-      const outRecords = await prisma.record.findMany({
-        where: {
-          userId,
-          type: "OUT",
-          date: {
-            gte: startDate,
-            lte: endDate,
-          },
-        },
-        select: {
-          date: true,
-          count: true,
-          price: true,
-        },
-        orderBy: {
-          date: "asc",
-        },
-      });
-
-      // 입고(매입) 데이터 가져오기
-      const purchaseRecords = await prisma.record.findMany({
-        where: {
-          userId,
-          type: "PURCHASE",
-          date: {
-            gte: startDate,
-            lte: endDate,
-          },
-        },
-        select: {
-          date: true,
-          count: true,
-          price: true,
-        },
-      });
+      const { method, sales } = await loadSalesWithCogs(userId, { startDate, endDate });
 
-      // 일별로 데이터 집계
+      // 일별로 데이터 집계 (비용 = 판매 원가)
       const salesByDate = {};
 
-      outRecords.forEach((record) => {
-        const dateKey = record.date.toISOString().split("T")[0];
-        if (!salesByDate[dateKey]) {
-          salesByDate[dateKey] = { sales: 0, cost: 0, profit: 0 };
-        }
-        const revenue = (record.price || 0) * Math.abs(record.count || 0);
-        salesByDate[dateKey].sales += revenue;
-      });
-
-      // 비용 계산 (간단화: 매입가 기준)
-      purchaseRecords.forEach((record) => {
+      sales.forEach((record) => {
         const dateKey = record.date.toISOString().split("T")[0];
         if (!salesByDate[dateKey]) {
           salesByDate[dateKey] = { sales: 0, cost: 0, profit: 0 };
         }
-        const cost = (record.price || 0) * (record.count || 0);
-        salesByDate[dateKey].cost += cost;
+        salesByDate[dateKey].sales += record.revenue;
+        salesByDate[dateKey].cost += record.cogs;
       });
 
-      // 수익 = 매출 - 비용
+      // 수익 = 매출 - 판매 원가
       Object.keys(salesByDate).forEach((date) => {
         salesByDate[date].profit = salesByDate[date].sales - salesByDate[date].cost;
       });
@@ -122,12 +129,14 @@ export default function createReportsRouter({
         .map(([date, data]) => ({
           date,
           sales: data.sales,
-          profit: data.profit,
+          cost: Math.round(data.cost * 100) / 100,
+          profit: Math.round(data.profit * 100) / 100,
         }))
         .sort((a, b) => a.date.localeCompare(b.date));
 
       res.json({
         ok: true,
+        costingMethod: method,
         data: salesAnalysis,
       });
     })
@@ -142,41 +151,43 @@ export default function createReportsRouter({
       const userId = req.userId;
       const { startDate, endDate } = getDateRange(req.query);
 
-      // 모든 품목 가져오기
       const items = await prisma.item.findMany({
         where: { userId },
-        select: {
-          id: true,
-          name: true,
-          records: {
-            select: {
-              type: true,
-              count: true,
-              date: true,
-            },
-          },
-        },
+        select: { id: true, name: true },
       });
 
-      // 각 품목별 재고 회전율 계산
-      const turnoverData = items.map((item) => {
-        // 현재 재고
-        const currentStock = calcStock(item.records);
+      // 기간 끝 시점의 재고 수량/금액과 기간 내 판매 원가
+      const { results } = await computeCosts({ prisma, userId, asOf: endDate });
+      const { sales } = await loadSalesWithCogs(userId, { startDate, endDate });
 
-        // 기간 내 판매량
-        const soldInPeriod = item.records
-          .filter((r) => r.type === "OUT" && r.date >= startDate)
-          .reduce((sum, r) => sum + Math.abs(r.count || 0), 0);
+      const soldByItem = new Map();
+      for (const r of sales) {
+        const prev = soldByItem.get(r.itemId) ?? { quantity: 0, cogs: 0 };
+        soldByItem.set(r.itemId, { quantity: prev.quantity + r.quantity, cogs: prev.cogs + r.cogs });
+      }
 
-        // 재고 회전율 = 판매량 / 평균 재고
-        // 평균 재고를 현재 재고로 간단히 계산
-        const turnover = currentStock > 0 ? (soldInPeriod / currentStock).toFixed(2) : 0;
+      // 각 품목별 재고 회전율 계산
+      const turnoverData = items.map((item) => {
+        const costing = results.get(item.id);
+        const currentStock = costing?.quantity ?? 0;
+        const inventoryValue = costing?.value ?? 0;
+        const sold = soldByItem.get(item.id) ?? { quantity: 0, cogs: 0 };
+
+        // 재고 회전율 = 판매 원가 / 재고 금액 (금액을 알 수 없으면 판매량 / 재고 수량)
+        let turnover = 0;
+        if (inventoryValue > 0 && sold.cogs > 0) {
+          turnover = sold.cogs / inventoryValue;
+        } else if (currentStock > 0) {
+          turnover = sold.quantity / currentStock;
+        }
 
         return {
           name: item.name,
-          turnover: parseFloat(turnover),
+          turnover: parseFloat(turnover.toFixed(2)),
           currentStock,
-          soldInPeriod,
+          soldInPeriod: sold.quantity,
+          cogs: Math.round(sold.cogs * 100) / 100,
+          inventoryValue,
         };
       });
 
@@ -202,24 +213,15 @@ export default function createReportsRouter({
       const userId = req.userId;
       const { startDate, endDate } = getDateRange(req.query);
 
+      const { method, sales } = await loadSalesWithCogs(userId, { startDate, endDate });
+
       // 매출 (판매)
-      const outRecords = await prisma.record.findMany({
-        where: {
-          userId,
-          type: "OUT",
-          date: { gte: startDate, lte: endDate },
-        },
-        select: {
-          count: true,
-          price: true,
-        },
-      });
+      const totalRevenue = sales.reduce((sum, r) => sum + r.revenue, 0);
 
-      const totalRevenue = outRecords.reduce((sum, r) => {
-        return sum + (r.price || 0) * Math.abs(r.count || 0);
-      }, 0);
+      // 비용 (판매 원가)
+      const totalCost = Math.round(sales.reduce((sum, r) => sum + r.cogs, 0) * 100) / 100;
 
-      // 비용 (매입)
+      // 참고용: 기간 내 매입 금액
       const purchaseRecords = await prisma.record.findMany({
         where: {
           userId,
@@ -232,11 +234,11 @@ export default function createReportsRouter({
         },
       });
 
-      const totalCost = purchaseRecords.reduce((sum, r) => {
+      const purchaseSpend = purchaseRecords.reduce((sum, r) => {
         return sum + (r.price || 0) * (r.count || 0);
       }, 0);
 
-      const totalProfit = totalRevenue - totalCost;
+      const totalProfit = Math.round((totalRevenue - totalCost) * 100) / 100;
       const profitMargin = totalRevenue > 0
         ? ((totalProfit / totalRevenue) * 100).toFixed(2)
         : 0;
@@ -248,7 +250,131 @@ export default function createReportsRouter({
           totalCost,
           totalProfit,
           profitMargin: parseFloat(profitMargin),
+          purchaseSpend,
+          costingMethod: method,
+        },
+      });
+    })
+  );
+
+  // GET /api/reports/sales-margin
+  // 판매 건별 원가/매출총이익
+  router.get(
+    "/sales-margin",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const userId = req.userId;
+      const { startDate, endDate } = getDateRange(req.query);
+
+      const { method, sales } = await loadSalesWithCogs(userId, { startDate, endDate });
+
+      const data = sales.map((r) => ({
+        recordId: r.id,
+        date: r.date,
+        itemId: r.itemId,
+        name: r.item?.name ?? "",
+        size: r.item?.size ?? "",
+        quantity: r.quantity,
+        price: r.price ?? 0,
+        revenue: r.revenue,
+        unitCost: r.unitCost,
+        cogs: r.cogs,
+        grossProfit: Math.round(r.grossProfit * 100) / 100,
+        marginPct: marginPct(r.grossProfit, r.revenue),
+      }));
+
+      const totalRevenue = data.reduce((sum, r) => sum + r.revenue, 0);
+      const totalCogs = Math.round(data.reduce((sum, r) => sum + r.cogs, 0) * 100) / 100;
+      const grossProfit = Math.round((totalRevenue - totalCogs) * 100) / 100;
+
+      res.json({
+        ok: true,
+        costingMethod: method,
+        summary: {
+          totalRevenue,
+          totalCogs,
+          grossProfit,
+          marginPct: marginPct(grossProfit, totalRevenue),
         },
+        data,
+      });
+    })
+  );
+
+  // GET /api/reports/return-rates
+  // 품목별/판매 채널별 반품률
+  // - 판매: 기간 내 OUT 수량, 반품: 기간 내 접수된 반품 요청(거절 제외) + 반품 요청 없이 직접 입력한 RETURN 기록
+  // - 채널: 판매 기록의 provider(없으면 DIRECT)
+  router.get(
+    "/return-rates",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const userId = req.userId;
+      const { startDate, endDate } = getDateRange(req.query);
+      const range = { gte: startDate, lte: endDate };
+
+      const [sales, rmas, directReturns] = await Promise.all([
+        prisma.record.findMany({
+          where: { userId, type: "OUT", date: range },
+          select: { itemId: true, count: true, provider: true },
+        }),
+        prisma.returnAuthorization.findMany({
+          where: { userId, status: { not: "REJECTED" }, requestedAt: range },
+          select: { itemId: true, quantity: true, provider: true, sale: { select: { provider: true } } },
+        }),
+        prisma.record.findMany({
+          where: { userId, type: "RETURN", returnAuthorizationId: null, date: range },
+          select: { itemId: true, count: true, returnOf: { select: { provider: true } } },
+        }),
+      ]);
+
+      const byItem = new Map();
+      const byChannel = new Map();
+      const bucket = (map, key, init) => {
+        if (!map.has(key)) map.set(key, { ...init, sold: 0, returned: 0 });
+        return map.get(key);
+      };
+      const add = (itemId, channel, field, quantity) => {
+        bucket(byItem, itemId, { itemId })[field] += quantity;
+        bucket(byChannel, channel, { channel })[field] += quantity;
+      };
+
+      for (const r of sales) add(r.itemId, r.provider ?? "DIRECT", "sold", Math.abs(r.count || 0));
+      for (const r of rmas) add(r.itemId, r.provider ?? r.sale?.provider ?? "DIRECT", "returned", r.quantity);
+      for (const r of directReturns) {
+        add(r.itemId, r.returnOf?.provider ?? "DIRECT", "returned", Math.abs(r.count || 0));
+      }
+
+      const items = await prisma.item.findMany({
+        where: { userId, id: { in: [...byItem.keys()] } },
+        select: { id: true, name: true, size: true },
+      });
+      const itemMap = new Map(items.map((i) => [i.id, i]));
+
+      const rateOf = (row) => ({
+        ...row,
+        returnRate: row.sold > 0 ? Math.round((row.returned / row.sold) * 10000) / 100 : null,
+      });
+
+      const itemRows = [...byItem.values()]
+        .map((row) =>
+          rateOf({
+            ...row,
+            name: itemMap.get(row.itemId)?.name ?? "",
+            size: itemMap.get(row.itemId)?.size ?? "",
+          })
+        )
+        .sort((a, b) => b.returned - a.returned || b.sold - a.sold);
+      const channelRows = [...byChannel.values()].map(rateOf).sort((a, b) => b.sold - a.sold);
+
+      const totalSold = sales.reduce((sum, r) => sum + Math.abs(r.count || 0), 0);
+      const totalReturned = itemRows.reduce((sum, r) => sum + r.returned, 0);
+
+      res.json({
+        ok: true,
+        summary: rateOf({ sold: totalSold, returned: totalReturned }),
+        byItem: itemRows,
+        byChannel: channelRows,
       });
     })
   );
@@ -362,5 +488,323 @@ export default function createReportsRouter({
     })
   );
 
+  // GET /api/reports/supplier-performance
+  // 공급처별 / 품목별 리드타임, 충족률, 매입 단가 추이
+  // - 기간은 PURCHASE 날짜 기준, 발주서에 연결되지 않은 구매는 공급처 미지정(supplierId=null)
+  // - 리드타임: 입고(IN) 1건마다 PURCHASE 날짜 → 입고 날짜 일수
+  // - 충족률: 입고 수량 ÷ 주문 수량(마감한 남은 수량도 주문 수량에 포함)
+  router.get(
+    "/supplier-performance",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const userId = req.userId;
+      const { startDate, endDate } = getDateRange(req.query);
+      const supplierId = req.query.supplierId ? Number(req.query.supplierId) : null;
+
+      const purchases = await prisma.record.findMany({
+        where: {
+          userId,
+          type: "PURCHASE",
+          date: { gte: startDate, lte: endDate },
+          ...(supplierId ? { purchaseOrder: { supplierId } } : {}),
+        },
+        select: {
+          id: true,
+          itemId: true,
+          date: true,
+          count: true,
+          price: true,
+          item: { select: { name: true, size: true } },
+          purchaseOrder: {
+            select: { supplier: { select: { id: true, name: true } } },
+          },
+          arrivals: {
+            where: { type: "IN" },
+            select: { date: true, count: true },
+          },
+        },
+        orderBy: [{ date: "asc" }, { id: "asc" }],
+      });
+
+      const DAY_MS = 24 * 60 * 60 * 1000;
+
+      function summarizeLeadTimes(samples) {
+        if (samples.length === 0) return { avgDays: null, medianDays: null, samples: 0 };
+        const sorted = [...samples].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        const avg = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+        return {
+          avgDays: parseFloat(avg.toFixed(1)),
+          medianDays: parseFloat(median.toFixed(1)),
+          samples: sorted.length,
+        };
+      }
+
+      function newBucket() {
+        return { purchaseCount: 0, ordered: 0, arrived: 0, leadTimes: [] };
+      }
+
+      function addPurchase(bucket, purchase, arrived, leadTimes) {
+        bucket.purchaseCount += 1;
+        bucket.ordered += purchase.count || 0;
+        bucket.arrived += arrived;
+        bucket.leadTimes.push(...leadTimes);
+      }
+
+      function finishBucket({ leadTimes, ...bucket }) {
+        return {
+          ...bucket,
+          fillRate: bucket.ordered > 0 ? parseFloat(((bucket.arrived / bucket.ordered) * 100).toFixed(1)) : 0,
+          leadTime: summarizeLeadTimes(leadTimes),
+        };
+      }
+
+      const bySupplier = new Map();
+
+      for (const purchase of purchases) {
+        const supplier = purchase.purchaseOrder?.supplier ?? null;
+        const supplierKey = supplier?.id ?? null;
+        if (!bySupplier.has(supplierKey)) {
+          bySupplier.set(supplierKey, {
+            supplierId: supplierKey,
+            supplierName: supplier?.name || "미지정",
+            total: newBucket(),
+            items: new Map(),
+          });
+        }
+        const entry = bySupplier.get(supplierKey);
+
+        if (!entry.items.has(purchase.itemId)) {
+          entry.items.set(purchase.itemId, {
+            itemId: purchase.itemId,
+            name: purchase.item?.name || "알 수 없음",
+            size: purchase.item?.size || null,
+            total: newBucket(),
+            priceHistory: [],
+          });
+        }
+        const itemEntry = entry.items.get(purchase.itemId);
+
+        const arrived = purchase.arrivals.reduce((sum, a) => sum + (a.count || 0), 0);
+        const leadTimes = purchase.arrivals.map((a) =>
+          Math.max(0, Math.round((a.date - purchase.date) / DAY_MS))
+        );
+
+        addPurchase(entry.total, purchase, arrived, leadTimes);
+        addPurchase(itemEntry.total, purchase, arrived, leadTimes);
+        itemEntry.priceHistory.push({
+          date: purchase.date.toISOString().split("T")[0],
+          price: purchase.price,
+          count: purchase.count,
+          purchaseId: purchase.id,
+        });
+      }
+
+      const data = [...bySupplier.values()]
+        .map((entry) => ({
+          supplierId: entry.supplierId,
+          supplierName: entry.supplierName,
+          ...finishBucket(entry.total),
+          items: [...entry.items.values()]
+            .map((itemEntry) => {
+              const prices = itemEntry.priceHistory.filter((p) => p.price != null);
+              const firstPrice = prices[0]?.price ?? null;
+              const lastPrice = prices[prices.length - 1]?.price ?? null;
+              return {
+                itemId: itemEntry.itemId,
+                name: itemEntry.name,
+                size: itemEntry.size,
+                ...finishBucket(itemEntry.total),
+                firstPrice,
+                lastPrice,
+                // 기간 첫 매입가 대비 마지막 매입가 변화율(%)
+                priceChangePct:
+                  firstPrice && lastPrice != null
+                    ? parseFloat((((lastPrice - firstPrice) / firstPrice) * 100).toFixed(1))
+                    : null,
+                priceHistory: itemEntry.priceHistory,
+              };
+            })
+            .sort((a, b) => b.ordered - a.ordered),
+        }))
+        .sort((a, b) => b.ordered - a.ordered);
+
+      res.json({
+        ok: true,
+        data,
+      });
+    })
+  );
+
+  // GET /api/reports/valuation?asOf=YYYY-MM-DD&format=csv&groupBy=item|category|warehouse
+  // 특정 날짜 기준 재고 평가(수량/금액) - 품목별, 카테고리별, 창고별
+  // - 금액은 계정의 원가 계산 방식으로 그날까지의 기록을 재생해 계산
+  // - 창고별 금액 = 창고 수량 x 품목 평균 단가
+  router.get(
+    "/valuation",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const userId = req.userId;
+      const rawAsOf = req.query.asOf ? String(req.query.asOf) : new Date().toISOString().slice(0, 10);
+      const asOfStart = /^\d{4}-\d{2}-\d{2}$/.test(rawAsOf) ? new Date(`${rawAsOf}T00:00:00.000Z`) : null;
+      if (!asOfStart || Number.isNaN(asOfStart.getTime())) {
+        return res.status(400).json({ ok: false, message: "asOf must be YYYY-MM-DD" });
+      }
+      // 그날 끝까지 포함
+      const asOf = new Date(asOfStart.getTime() + 24 * 60 * 60 * 1000 - 1);
+
+      const groupBy = String(req.query.groupBy || "item").toLowerCase();
+      if (!["item", "category", "warehouse"].includes(groupBy)) {
+        return res.status(400).json({ ok: false, message: "groupBy must be item, category or warehouse" });
+      }
+
+      const [{ method, results }, { balances, inTransit }, items, warehouses] = await Promise.all([
+        computeCosts({ prisma, userId, asOf }),
+        getStockBalancesAsOf({ prisma, userId, asOf }),
+        prisma.item.findMany({
+          where: { userId },
+          select: {
+            id: true,
+            name: true,
+            size: true,
+            sku: true,
+            categoryId: true,
+            category: { select: { name: true } },
+          },
+          orderBy: [{ name: "asc" }, { size: "asc" }],
+        }),
+        prisma.warehouse.findMany({
+          where: { userId },
+          select: { id: true, name: true },
+        }),
+      ]);
+
+      const round2 = (v) => Math.round(v * 100) / 100;
+
+      // 품목별
+      const byItem = items
+        .map((item) => {
+          const costing = results.get(item.id);
+          return {
+            itemId: item.id,
+            sku: item.sku || "",
+            name: item.name,
+            size: item.size,
+            categoryId: item.categoryId,
+            categoryName: item.category?.name ?? "",
+            quantity: costing?.quantity ?? 0,
+            unitCost: costing?.unitCost ?? 0,
+            value: costing?.value ?? 0,
+          };
+        })
+        .filter((row) => row.quantity !== 0 || row.value !== 0);
+
+      const unitCostOf = new Map(byItem.map((row) => [row.itemId, row.unitCost]));
+
+      // 카테고리별
+      const categoryMap = new Map();
+      for (const row of byItem) {
+        const prev = categoryMap.get(row.categoryId) ?? {
+          categoryId: row.categoryId,
+          categoryName: row.categoryName,
+          itemCount: 0,
+          quantity: 0,
+          value: 0,
+        };
+        prev.itemCount += 1;
+        prev.quantity += row.quantity;
+        prev.value = round2(prev.value + row.value);
+        categoryMap.set(row.categoryId, prev);
+      }
+      const byCategory = [...categoryMap.values()].sort((a, b) => b.value - a.value);
+
+      // 창고별 (창고 미지정분과 이동 중 수량은 따로 표시)
+      const warehouseName = new Map(warehouses.map((w) => [w.id, w.name]));
+      const warehouseMap = new Map();
+      const addWarehouse = (key, name, itemId, quantity) => {
+        if (quantity === 0) return;
+        const prev = warehouseMap.get(key) ?? {
+          warehouseId: typeof key === "number" ? key : null,
+          warehouseName: name,
+          quantity: 0,
+          value: 0,
+        };
+        prev.quantity += quantity;
+        prev.value = round2(prev.value + quantity * (unitCostOf.get(itemId) ?? 0));
+        warehouseMap.set(key, prev);
+      };
+      for (const b of balances) {
+        if (b.warehouseId == null) {
+          addWarehouse("unassigned", "미지정", b.itemId, b.quantity);
+        } else {
+          addWarehouse(b.warehouseId, warehouseName.get(b.warehouseId) ?? "", b.itemId, b.quantity);
+        }
+      }
+      for (const [itemId, quantity] of inTransit) {
+        addWarehouse("inTransit", "이동 중", itemId, quantity);
+      }
+      const byWarehouse = [...warehouseMap.values()].sort((a, b) => b.value - a.value);
+
+      const totals = {
+        quantity: byItem.reduce((sum, row) => sum + row.quantity, 0),
+        value: round2(byItem.reduce((sum, row) => sum + row.value, 0)),
+      };
+
+      if (String(req.query.format || "").toLowerCase() === "csv") {
+        const filename = `valuation-${rawAsOf}-${groupBy}.csv`;
+        if (groupBy === "category") {
+          return sendCsv(
+            res,
+            filename,
+            [
+              { key: "categoryName", label: "카테고리" },
+              { key: "itemCount", label: "품목 수" },
+              { key: "quantity", label: "수량" },
+              { key: "value", label: "평가 금액" },
+            ],
+            byCategory
+          );
+        }
+        if (groupBy === "warehouse") {
+          return sendCsv(
+            res,
+            filename,
+            [
+              { key: "warehouseName", label: "창고" },
+              { key: "quantity", label: "수량" },
+              { key: "value", label: "평가 금액" },
+            ],
+            byWarehouse
+          );
+        }
+        return sendCsv(
+          res,
+          filename,
+          [
+            { key: "sku", label: "SKU" },
+            { key: "name", label: "품목명" },
+            { key: "size", label: "사이즈" },
+            { key: "categoryName", label: "카테고리" },
+            { key: "quantity", label: "수량" },
+            { key: "unitCost", label: "단가" },
+            { key: "value", label: "평가 금액" },
+          ],
+          byItem
+        );
+      }
+
+      res.json({
+        ok: true,
+        asOf: rawAsOf,
+        costingMethod: method,
+        totals,
+        byItem,
+        byCategory,
+        byWarehouse,
+      });
+    })
+  );
+
   return router;
 }
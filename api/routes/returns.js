@@ -0,0 +1,411 @@
+import express from "express";
+import { makeSku } from "../../utils/sku.js";
+import { findClosedPeriod } from "../services/periodLocks.js";
+import { resolveArrivalWarehouseId } from "../services/purchases.js";
+import { lockItemStock } from "../services/warehouseStock.js";
+import {
+  getReturnableQuantity,
+  inspectReturn,
+  RETURN_STATUSES,
+} from "../services/returns.js";
+import { RECORD_REASONS } from "../utils/records.js";
+
+const PROVIDERS = new Set(["NAVER", "COUPANG", "ELEVENST", "ETC"]);
+
+const RETURN_INCLUDE = {
+  item: { select: { id: true, name: true, size: true, imageUrl: true, sku: true, barcode: true } },
+  sale: {
+    select: { id: true, date: true, count: true, price: true, provider: true, externalOrderId: true },
+  },
+  warehouse: { select: { id: true, name: true } },
+  records: {
+    orderBy: { id: "asc" },
+    select: { id: true, count: true, restocked: true, binId: true, date: true },
+  },
+};
+
+function trimOrNull(v) {
+  return v != null && String(v).trim() !== "" ? String(v).trim() : null;
+}
+
+function parseQuantity(v) {
+  if (v === undefined || v === null || v === "") return 0;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+export default function createReturnsRouter({ prisma, requireAuth, asyncHandler }) {
+  const router = express.Router();
+
+  async function findReturn(userId, id) {
+    return prisma.returnAuthorization.findFirst({
+      where: { id, userId },
+      include: RETURN_INCLUDE,
+    });
+  }
+
+  async function generateRmaNo(userId) {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      const rmaNo = makeSku("RMA");
+      const exists = await prisma.returnAuthorization.findFirst({
+        where: { userId, rmaNo },
+        select: { id: true },
+      });
+      if (!exists) return rmaNo;
+    }
+
+    throw new Error("Failed to generate unique RMA number");
+  }
+
+  // 로케이션 검증: 반품이 도착한 창고의 로케이션만 허용
+  async function resolveBin(userId, warehouseId, raw) {
+    if (raw == null || raw === "") return { ok: true, value: null };
+    const id = Number(raw);
+    if (!Number.isFinite(id) || id <= 0) return { ok: false, message: "invalid binId" };
+    if (!warehouseId) return { ok: false, message: "binId requires warehouse" };
+
+    const bin = await prisma.warehouseBin.findFirst({
+      where: { id, userId, warehouseId },
+      select: { id: true },
+    });
+    if (!bin) return { ok: false, message: "bin not found" };
+    return { ok: true, value: id };
+  }
+
+  // GET /api/returns?status=REQUESTED&itemId=1
+  router.get(
+    "/",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const where = { userId: req.userId };
+
+      const status = String(req.query.status || "").toUpperCase();
+      if (status) {
+        if (!RETURN_STATUSES.has(status)) {
+          return res.status(400).json({ ok: false, message: "invalid status" });
+        }
+        where.status = status;
+      }
+      if (req.query.itemId) {
+        const itemId = Number(req.query.itemId);
+        if (!Number.isFinite(itemId) || itemId <= 0) {
+          return res.status(400).json({ ok: false, message: "invalid itemId" });
+        }
+        where.itemId = itemId;
+      }
+
+      const returns = await prisma.returnAuthorization.findMany({
+        where,
+        orderBy: [{ requestedAt: "desc" }, { id: "desc" }],
+        include: RETURN_INCLUDE,
+      });
+      res.json({ ok: true, returns });
+    })
+  );
+
+  // GET /api/returns/:id
+  router.get(
+    "/:id",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid return id" });
+      }
+
+      const rma = await findReturn(req.userId, id);
+      if (!rma) return res.status(404).json({ ok: false, message: "return not found" });
+
+      res.json({ ok: true, return: rma });
+    })
+  );
+
+  /**
+   * POST /api/returns
+   * body: {
+   *   saleId?,                                   // 원래 판매(OUT) 기록
+   *   provider?, externalOrderId?, itemId?,      // 또는 마켓 주문 기준
+   *   quantity, reason?, notes?
+   * }
+   * - 마켓 주문 기준으로 열면 같은 주문/품목의 판매 기록이 있을 때 자동으로 연결
+   */
+  router.post(
+    "/",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const quantity = Number(req.body?.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ ok: false, message: "quantity must be a positive integer" });
+      }
+
+      const allowedReasons = RECORD_REASONS.RETURN;
+      const reason = req.body?.reason ? String(req.body.reason).toUpperCase() : allowedReasons[0];
+      if (!allowedReasons.includes(reason)) {
+        return res.status(400).json({ ok: false, message: `reason must be one of ${allowedReasons.join("/")}` });
+      }
+
+      let sale = null;
+      let itemId;
+      let provider = null;
+      let externalOrderId = null;
+
+      if (req.body?.saleId != null && req.body.saleId !== "") {
+        const saleId = Number(req.body.saleId);
+        sale = Number.isFinite(saleId)
+          ? await prisma.record.findFirst({
+              where: { id: saleId, userId: req.userId, type: "OUT" },
+              select: { id: true, itemId: true, count: true, provider: true, externalOrderId: true },
+            })
+          : null;
+        if (!sale) return res.status(404).json({ ok: false, message: "sale not found" });
+
+        itemId = sale.itemId;
+        provider = sale.provider;
+        externalOrderId = sale.externalOrderId;
+      } else {
+        provider = String(req.body?.provider || "").toUpperCase();
+        externalOrderId = trimOrNull(req.body?.externalOrderId);
+        itemId = Number(req.body?.itemId);
+        if (!PROVIDERS.has(provider) || !externalOrderId) {
+          return res.status(400).json({ ok: false, message: "saleId or provider + externalOrderId required" });
+        }
+        if (!Number.isFinite(itemId) || itemId <= 0) {
+          return res.status(400).json({ ok: false, message: "itemId required" });
+        }
+
+        const item = await prisma.item.findFirst({
+          where: { id: itemId, userId: req.userId },
+          select: { id: true },
+        });
+        if (!item) return res.status(404).json({ ok: false, message: "item not found" });
+
+        sale = await prisma.record.findFirst({
+          where: { userId: req.userId, type: "OUT", itemId, provider, externalOrderId },
+          orderBy: { id: "asc" },
+          select: { id: true, itemId: true, count: true },
+        });
+      }
+
+      const createArgs = {
+        data: {
+          userId: req.userId,
+          rmaNo: await generateRmaNo(req.userId),
+          itemId,
+          saleId: sale?.id ?? null,
+          provider: provider || null,
+          externalOrderId,
+          quantity,
+          reason,
+          notes: trimOrNull(req.body?.notes),
+        },
+        include: RETURN_INCLUDE,
+      };
+
+      // 판매에 연결되면 품목 재고를 잠근 뒤 반품 가능 수량 확인과 생성을 한 트랜잭션에서
+      // (같은 판매에 동시에 들어온 반품 요청이 합쳐서 판매 수량을 넘지 않도록)
+      const result = await prisma.$transaction(async (tx) => {
+        if (sale) {
+          await lockItemStock(tx, sale.itemId);
+          const returnable = await getReturnableQuantity(tx, { userId: req.userId, sale });
+          if (quantity > returnable) return { returnable };
+        }
+        return { rma: await tx.returnAuthorization.create(createArgs) };
+      });
+      if (!result.rma) {
+        return res.status(400).json({
+          ok: false,
+          message: `return exceeds sold quantity (returnable ${result.returnable})`,
+          returnable: result.returnable,
+        });
+      }
+
+      res.status(201).json({ ok: true, return: result.rma });
+    })
+  );
+
+  /**
+   * POST /api/returns/:id/receive
+   * body: { warehouseId? }  // 생략하면 기본 창고
+   * - 물건 도착만 기록하고 재고에는 아직 반영하지 않음(검수 후 반영)
+   */
+  router.post(
+    "/:id/receive",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid return id" });
+      }
+
+      const rma = await findReturn(req.userId, id);
+      if (!rma) return res.status(404).json({ ok: false, message: "return not found" });
+      if (rma.status !== "REQUESTED") {
+        return res.status(400).json({ ok: false, message: `cannot receive a ${rma.status} return` });
+      }
+
+      const wh = await resolveArrivalWarehouseId(prisma, {
+        userId: req.userId,
+        raw: req.body?.warehouseId,
+      });
+      if (!wh.ok) return res.status(400).json({ ok: false, message: wh.message });
+
+      const updated = await prisma.returnAuthorization.updateMany({
+        where: { id, status: "REQUESTED" },
+        data: { status: "RECEIVED", receivedAt: new Date(), warehouseId: wh.value },
+      });
+      if (updated.count === 0) {
+        return res.status(409).json({ ok: false, message: "return was updated by another request" });
+      }
+
+      res.json({ ok: true, return: await findReturn(req.userId, id) });
+    })
+  );
+
+  /**
+   * POST /api/returns/:id/inspect
+   * body: {
+   *   units?: [{ disposition: "RESTOCK" | "DAMAGED" }],  // 한 개씩 판정
+   *   restock?, damaged?,                               // 또는 수량으로
+   *   binId?,        // 재입고 로케이션
+   *   damagedBinId?, // 불량 로케이션
+   *   notes?
+   * }
+   * - 재입고 + 불량 수량은 반품 수량과 같아야 함
+   */
+  router.post(
+    "/:id/inspect",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid return id" });
+      }
+
+      const rma = await findReturn(req.userId, id);
+      if (!rma) return res.status(404).json({ ok: false, message: "return not found" });
+      if (rma.status !== "RECEIVED") {
+        return res.status(400).json({ ok: false, message: `cannot inspect a ${rma.status} return` });
+      }
+
+      let restock;
+      let damaged;
+      if (Array.isArray(req.body?.units)) {
+        const dispositions = req.body.units.map((u) => String(u?.disposition || "").toUpperCase());
+        if (dispositions.some((d) => d !== "RESTOCK" && d !== "DAMAGED")) {
+          return res.status(400).json({ ok: false, message: "disposition must be RESTOCK or DAMAGED" });
+        }
+        restock = dispositions.filter((d) => d === "RESTOCK").length;
+        damaged = dispositions.length - restock;
+      } else {
+        restock = parseQuantity(req.body?.restock);
+        damaged = parseQuantity(req.body?.damaged);
+        if (restock === null || damaged === null) {
+          return res.status(400).json({ ok: false, message: "invalid quantity" });
+        }
+      }
+      if (restock + damaged !== rma.quantity) {
+        return res.status(400).json({
+          ok: false,
+          message: `restock + damaged must equal return quantity (${rma.quantity})`,
+        });
+      }
+
+      const bin = await resolveBin(req.userId, rma.warehouseId, req.body?.binId);
+      if (!bin.ok) return res.status(400).json({ ok: false, message: bin.message });
+      const damagedBin = await resolveBin(req.userId, rma.warehouseId, req.body?.damagedBinId);
+      if (!damagedBin.ok) return res.status(400).json({ ok: false, message: damagedBin.message });
+
+      const now = new Date();
+      const closed = await findClosedPeriod(prisma, { userId: req.userId, dates: [now] });
+      if (closed) {
+        return res.status(409).json({ ok: false, message: `period ${closed} is closed`, period: closed });
+      }
+
+      const result = await prisma.$transaction((tx) =>
+        inspectReturn(tx, {
+          userId: req.userId,
+          rma,
+          restock,
+          damaged,
+          binId: restock > 0 ? bin.value : null,
+          damagedBinId: damaged > 0 ? damagedBin.value : null,
+          notes: trimOrNull(req.body?.notes),
+          now,
+        })
+      );
+      if (!result) {
+        return res.status(409).json({ ok: false, message: "return was updated by another request" });
+      }
+
+      res.json({ ok: true, return: await findReturn(req.userId, id) });
+    })
+  );
+
+  // POST /api/returns/:id/refund  body: { amount }
+  router.post(
+    "/:id/refund",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid return id" });
+      }
+
+      const amount = Number(req.body?.amount);
+      if (!Number.isFinite(amount) || amount < 0) {
+        return res.status(400).json({ ok: false, message: "amount must be >= 0" });
+      }
+
+      const rma = await findReturn(req.userId, id);
+      if (!rma) return res.status(404).json({ ok: false, message: "return not found" });
+      if (rma.status !== "INSPECTED") {
+        return res.status(400).json({ ok: false, message: `cannot refund a ${rma.status} return` });
+      }
+
+      const updated = await prisma.returnAuthorization.updateMany({
+        where: { id, status: "INSPECTED" },
+        data: { status: "REFUNDED", refundedAt: new Date(), refundAmount: Math.floor(amount) },
+      });
+      if (updated.count === 0) {
+        return res.status(409).json({ ok: false, message: "return was updated by another request" });
+      }
+
+      res.json({ ok: true, return: await findReturn(req.userId, id) });
+    })
+  );
+
+  // POST /api/returns/:id/reject  body: { reason? }
+  // 검수 전(REQUESTED / RECEIVED)에만 가능
+  router.post(
+    "/:id/reject",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id) || id <= 0) {
+        return res.status(400).json({ ok: false, message: "invalid return id" });
+      }
+
+      const rma = await findReturn(req.userId, id);
+      if (!rma) return res.status(404).json({ ok: false, message: "return not found" });
+      if (rma.status !== "REQUESTED" && rma.status !== "RECEIVED") {
+        return res.status(400).json({ ok: false, message: `cannot reject a ${rma.status} return` });
+      }
+
+      const updated = await prisma.returnAuthorization.updateMany({
+        where: { id, status: rma.status },
+        data: {
+          status: "REJECTED",
+          rejectedAt: new Date(),
+          rejectReason: trimOrNull(req.body?.reason),
+        },
+      });
+      if (updated.count === 0) {
+        return res.status(409).json({ ok: false, message: "return was updated by another request" });
+      }
+
+      res.json({ ok: true, return: await findReturn(req.userId, id) });
+    })
+  );
+
+  return router;
+}
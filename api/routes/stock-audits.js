@@ -2,9 +2,15 @@ import { Router } from "express";
 import { prisma } from "../../lib/prisma.js";
 import { requireAuth } from "../../utils/auth.js";
 import { asyncHandler } from "../../utils/constants.js";
+import { requireOpenPeriod } from "../services/periodLocks.js";
+import { sendCsv } from "../utils/csv.js";
+import { getStockBalances, getWarehouseStock, lockItemStock } from "../services/warehouseStock.js";
 
 const router = Router();
 
+// 이번 달이 마감됐으면 재고가 바뀌는 요청은 거부
+const requireOpenPeriodNow = requireOpenPeriod(prisma);
+
 // 재고 실사 목록 조회
 router.get(
   "/",
@@ -31,23 +37,18 @@ router.get(
 router.post(
   "/",
   requireAuth,
+  requireOpenPeriodNow,
   asyncHandler(async (req, res) => {
-    const { itemId, warehouseId, expectedQuantity, actualQuantity, notes } =
-      req.body;
-
-    if (
-      itemId == null ||
-      warehouseId == null ||
-      expectedQuantity == null ||
-      actualQuantity == null
-    ) {
+    const { itemId, warehouseId, actualQuantity, notes } = req.body;
+
+    if (itemId == null || warehouseId == null || actualQuantity == null) {
       return res.status(400).json({
         ok: false,
-        error: "품목, 창고, 예상 수량, 실제 수량은 필수입니다.",
+        error: "품목, 창고, 실제 수량은 필수입니다.",
       });
     }
 
-    if (expectedQuantity < 0 || actualQuantity < 0) {
+    if (actualQuantity < 0 || (req.body.expectedQuantity != null && req.body.expectedQuantity < 0)) {
       return res.status(400).json({
         ok: false,
         error: "수량은 0 이상이어야 합니다.",
@@ -72,6 +73,21 @@ router.post(
       return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
     }
 
+    if (warehouse.archivedAt) {
+      return res.status(400).json({ ok: false, error: "보관 처리된 창고는 실사할 수 없습니다." });
+    }
+
+    // 예상 수량을 보내지 않으면 창고의 현재 장부 재고를 사용
+    const expectedQuantity =
+      req.body.expectedQuantity != null
+        ? req.body.expectedQuantity
+        : await getWarehouseStock({
+            prisma,
+            userId: req.userId,
+            itemId,
+            warehouseId,
+          });
+
     const difference = actualQuantity - expectedQuantity;
 
     const audit = await prisma.stockAudit.create({
@@ -98,6 +114,490 @@ router.post(
   })
 );
 
+/* ================= 실사 세션 (Cycle count) ================= */
+// 흐름: 세션 시작(장부 수량 스냅샷) → 실사 수량 입력 → 차이 검토 → 마감(조정 기록 자동 생성)
+// - 장부 수량은 세션 시작 시점 스냅샷, 실사 수량을 입력(재입력)하면 그 시점 장부 수량으로 갱신
+// - 마감 때는 검토한 차이(실사 수량 - 입력 시점 장부 수량)를 그대로 조정
+//   (실사 후 마감 전에 생긴 입출고는 실사 수량에 반영되지 않았으므로 되돌리지 않음)
+// - 마감/취소된 세션은 수정 불가
+
+const SESSION_INCLUDE = {
+  warehouse: {
+    select: { id: true, name: true },
+  },
+  lines: {
+    include: {
+      item: {
+        select: { id: true, name: true, size: true, imageUrl: true, sku: true, barcode: true },
+      },
+    },
+    orderBy: { id: "asc" },
+  },
+};
+
+function toLineView(line, hideExpected) {
+  const counted = line.countedQuantity;
+  return {
+    id: line.id,
+    itemId: line.itemId,
+    item: line.item,
+    expectedQuantity: hideExpected ? null : line.expectedQuantity,
+    countedQuantity: counted,
+    variance: hideExpected || counted == null ? null : counted - line.expectedQuantity,
+    countedAt: line.countedAt,
+    notes: line.notes,
+  };
+}
+
+function toSessionView(session, { reveal = false } = {}) {
+  // 블라인드 세션은 진행 중에 장부 수량/차이를 숨김
+  const hideExpected = session.blind && session.status === "OPEN" && !reveal;
+  const { lines, ...rest } = session;
+  return {
+    ...rest,
+    lines: lines.map((line) => toLineView(line, hideExpected)),
+  };
+}
+
+function summarizeLines(lines) {
+  const counted = lines.filter((line) => line.countedQuantity != null);
+  const variances = counted.map((line) => line.countedQuantity - line.expectedQuantity);
+  return {
+    lineCount: lines.length,
+    countedCount: counted.length,
+    uncountedCount: lines.length - counted.length,
+    varianceLineCount: variances.filter((v) => v !== 0).length,
+    totalOver: variances.filter((v) => v > 0).reduce((sum, v) => sum + v, 0),
+    totalShort: variances.filter((v) => v < 0).reduce((sum, v) => sum - v, 0),
+    netVariance: variances.reduce((sum, v) => sum + v, 0),
+  };
+}
+
+async function findSession(userId, id) {
+  return prisma.stockCountSession.findFirst({
+    where: { id, userId },
+    include: SESSION_INCLUDE,
+  });
+}
+
+function notOpenResponse(res, session) {
+  return res.status(400).json({
+    ok: false,
+    error: `진행 중(OPEN)인 세션만 수정할 수 있습니다. (현재: ${session.status})`,
+  });
+}
+
+// 실사 세션 목록 조회 (?status=OPEN&warehouseId=1)
+router.get(
+  "/sessions",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const status = String(req.query.status || "").toUpperCase();
+    const warehouseId = req.query.warehouseId ? parseInt(req.query.warehouseId, 10) : null;
+
+    const sessions = await prisma.stockCountSession.findMany({
+      where: {
+        userId: req.userId,
+        ...(["OPEN", "CLOSED", "CANCELLED"].includes(status) ? { status } : {}),
+        ...(Number.isFinite(warehouseId) ? { warehouseId } : {}),
+      },
+      include: {
+        warehouse: {
+          select: { id: true, name: true },
+        },
+        _count: {
+          select: { lines: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json({ ok: true, sessions });
+  })
+);
+
+// 실사 세션 시작
+// body: { warehouseId, blind?, notes?, itemIds?: 실사 대상 품목(생략 시 재고가 있는 전 품목) }
+router.post(
+  "/sessions",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const warehouseId = Number(req.body.warehouseId);
+    const itemIds = Array.isArray(req.body.itemIds)
+      ? [...new Set(req.body.itemIds.map(Number).filter((id) => Number.isInteger(id) && id > 0))]
+      : null;
+
+    if (!warehouseId) {
+      return res.status(400).json({ ok: false, error: "창고는 필수입니다." });
+    }
+
+    const warehouse = await prisma.warehouse.findFirst({
+      where: { id: warehouseId, userId: req.userId },
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+
+    if (warehouse.archivedAt) {
+      return res.status(400).json({ ok: false, error: "보관 처리된 창고는 실사할 수 없습니다." });
+    }
+
+    const openSession = await prisma.stockCountSession.findFirst({
+      where: { userId: req.userId, warehouseId, status: "OPEN" },
+      select: { id: true },
+    });
+
+    if (openSession) {
+      return res.status(409).json({
+        ok: false,
+        error: "이미 진행 중인 실사 세션이 있습니다.",
+        sessionId: openSession.id,
+      });
+    }
+
+    if (itemIds) {
+      const itemCount = await prisma.item.count({
+        where: { id: { in: itemIds }, userId: req.userId },
+      });
+      if (itemCount !== itemIds.length) {
+        return res.status(404).json({ ok: false, error: "품목을 찾을 수 없습니다." });
+      }
+    }
+
+    // 장부 수량 스냅샷
+    const balances = await getStockBalances({
+      prisma,
+      userId: req.userId,
+      warehouseId,
+    });
+    const qtyByItem = new Map(balances.map((b) => [b.itemId, b.quantity]));
+    const targetItemIds = itemIds ?? balances.filter((b) => b.quantity !== 0).map((b) => b.itemId);
+
+    const session = await prisma.stockCountSession.create({
+      data: {
+        userId: req.userId,
+        warehouseId,
+        blind: req.body.blind === true,
+        notes: req.body.notes?.trim(),
+        lines: {
+          create: targetItemIds.map((itemId) => ({
+            itemId,
+            expectedQuantity: qtyByItem.get(itemId) ?? 0,
+          })),
+        },
+      },
+      include: SESSION_INCLUDE,
+    });
+
+    res.json({ ok: true, session: toSessionView(session) });
+  })
+);
+
+// 실사 세션 상세 조회
+router.get(
+  "/sessions/:id",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const session = await findSession(req.userId, id);
+
+    if (!session) {
+      return res.status(404).json({ ok: false, error: "실사 세션을 찾을 수 없습니다." });
+    }
+
+    res.json({ ok: true, session: toSessionView(session) });
+  })
+);
+
+// 실사 수량 입력 (같은 품목은 덮어씀)
+// body: { lines: [{ itemId, countedQuantity, notes? }] }
+// 장부 수량은 입력 시점 기준으로 갱신(스냅샷에 없던 품목은 라인 추가)
+router.put(
+  "/sessions/:id/lines",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const session = await findSession(req.userId, id);
+
+    if (!session) {
+      return res.status(404).json({ ok: false, error: "실사 세션을 찾을 수 없습니다." });
+    }
+    if (session.status !== "OPEN") return notOpenResponse(res, session);
+
+    const lines = (Array.isArray(req.body.lines) ? req.body.lines : []).map((line) => ({
+      itemId: Number(line?.itemId),
+      countedQuantity: Number(line?.countedQuantity),
+      notes: line?.notes?.trim(),
+    }));
+
+    if (lines.length === 0) {
+      return res.status(400).json({ ok: false, error: "실사 수량을 입력해 주세요." });
+    }
+
+    if (lines.some((line) => !line.itemId || !Number.isInteger(line.countedQuantity) || line.countedQuantity < 0)) {
+      return res.status(400).json({
+        ok: false,
+        error: "수량은 0 이상이어야 합니다.",
+      });
+    }
+
+    const existingByItem = new Map(session.lines.map((line) => [line.itemId, line]));
+    const newItemIds = [...new Set(lines.map((line) => line.itemId))].filter(
+      (itemId) => !existingByItem.has(itemId)
+    );
+
+    if (newItemIds.length > 0) {
+      const itemCount = await prisma.item.count({
+        where: { id: { in: newItemIds }, userId: req.userId },
+      });
+      if (itemCount !== newItemIds.length) {
+        return res.status(404).json({ ok: false, error: "품목을 찾을 수 없습니다." });
+      }
+    }
+
+    const now = new Date();
+    await prisma.$transaction(async (tx) => {
+      // 입력 시점 장부 수량이 다른 입출고와 겹치지 않도록 품목 재고를 잠금
+      for (const itemId of [...new Set(lines.map((line) => line.itemId))].sort((a, b) => a - b)) {
+        await lockItemStock(tx, itemId);
+      }
+
+      for (const line of lines) {
+        const expectedQuantity = await getWarehouseStock({
+          prisma: tx,
+          userId: req.userId,
+          itemId: line.itemId,
+          warehouseId: session.warehouseId,
+        });
+
+        const existing = existingByItem.get(line.itemId);
+        if (existing) {
+          await tx.stockCountLine.update({
+            where: { id: existing.id },
+            data: {
+              expectedQuantity,
+              countedQuantity: line.countedQuantity,
+              countedAt: now,
+              ...(line.notes !== undefined ? { notes: line.notes || null } : {}),
+            },
+          });
+          continue;
+        }
+
+        const created = await tx.stockCountLine.create({
+          data: {
+            sessionId: id,
+            itemId: line.itemId,
+            expectedQuantity,
+            countedQuantity: line.countedQuantity,
+            countedAt: now,
+            notes: line.notes || null,
+          },
+        });
+        existingByItem.set(line.itemId, created);
+      }
+    });
+
+    const updated = await findSession(req.userId, id);
+    res.json({ ok: true, session: toSessionView(updated) });
+  })
+);
+
+// 차이 검토 (블라인드 세션도 장부 수량/차이를 공개)
+router.get(
+  "/sessions/:id/variances",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const session = await findSession(req.userId, id);
+
+    if (!session) {
+      return res.status(404).json({ ok: false, error: "실사 세션을 찾을 수 없습니다." });
+    }
+
+    const view = toSessionView(session, { reveal: true });
+
+    res.json({
+      ok: true,
+      sessionId: session.id,
+      status: session.status,
+      summary: summarizeLines(session.lines),
+      variances: view.lines.filter((line) => line.variance != null && line.variance !== 0),
+      uncounted: view.lines.filter((line) => line.countedQuantity == null),
+    });
+  })
+);
+
+// 실사 세션 마감: 차이가 있는 라인마다 StockAudit + ADJUSTMENT 기록 생성
+// 입력하지 않은 라인은 조정하지 않음
+router.post(
+  "/sessions/:id/close",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const session = await findSession(req.userId, id);
+
+    if (!session) {
+      return res.status(404).json({ ok: false, error: "실사 세션을 찾을 수 없습니다." });
+    }
+    if (session.status !== "OPEN") return notOpenResponse(res, session);
+
+    const closedAt = new Date();
+    const notes = req.body?.notes?.trim();
+
+    const adjustments = await prisma.$transaction(async (tx) => {
+      const closed = await tx.stockCountSession.updateMany({
+        where: { id, status: "OPEN" },
+        data: {
+          status: "CLOSED",
+          closedAt,
+          ...(notes ? { notes } : {}),
+        },
+      });
+      if (closed.count === 0) return null;
+
+      const lines = await tx.stockCountLine.findMany({
+        where: { sessionId: id, countedQuantity: { not: null } },
+        orderBy: { itemId: "asc" },
+      });
+
+      let posted = 0;
+      for (const line of lines) {
+        // 검토한 차이 그대로(입력 시점 장부 수량 기준)
+        const { expectedQuantity } = line;
+        const difference = line.countedQuantity - expectedQuantity;
+        if (difference === 0) continue;
+
+        const audit = await tx.stockAudit.create({
+          data: {
+            userId: req.userId,
+            itemId: line.itemId,
+            warehouseId: session.warehouseId,
+            sessionId: id,
+            expectedQuantity,
+            actualQuantity: line.countedQuantity,
+            difference,
+            notes: line.notes,
+          },
+        });
+
+        await tx.record.create({
+          data: {
+            userId: req.userId,
+            itemId: line.itemId,
+            type: "ADJUSTMENT",
+            reason: "COUNT_CORRECTION",
+            price: null,
+            count: difference,
+            date: closedAt,
+            memo: `재고 실사 #${id} 조정 (${expectedQuantity} → ${line.countedQuantity})`,
+            warehouseId: session.warehouseId,
+            auditId: audit.id,
+          },
+        });
+        posted += 1;
+      }
+
+      return posted;
+    });
+
+    if (adjustments === null) {
+      return res.status(409).json({ ok: false, error: "이미 마감되었거나 취소된 세션입니다." });
+    }
+
+    const updated = await findSession(req.userId, id);
+    res.json({
+      ok: true,
+      session: toSessionView(updated),
+      summary: summarizeLines(updated.lines),
+      adjustments,
+    });
+  })
+);
+
+// 실사 세션 취소 (조정 없이 종료)
+router.post(
+  "/sessions/:id/cancel",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const session = await findSession(req.userId, id);
+
+    if (!session) {
+      return res.status(404).json({ ok: false, error: "실사 세션을 찾을 수 없습니다." });
+    }
+    if (session.status !== "OPEN") return notOpenResponse(res, session);
+
+    await prisma.stockCountSession.updateMany({
+      where: { id, status: "OPEN" },
+      data: { status: "CANCELLED", closedAt: new Date() },
+    });
+
+    const updated = await findSession(req.userId, id);
+    res.json({ ok: true, session: toSessionView(updated) });
+  })
+);
+
+// 마감된 실사 세션 리포트 (?format=csv 이면 CSV 다운로드)
+router.get(
+  "/sessions/:id/report",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const session = await findSession(req.userId, id);
+
+    if (!session) {
+      return res.status(404).json({ ok: false, error: "실사 세션을 찾을 수 없습니다." });
+    }
+    if (session.status !== "CLOSED") {
+      return res.status(400).json({ ok: false, error: "마감된 세션만 리포트를 볼 수 있습니다." });
+    }
+
+    const rows = session.lines.map((line) => ({
+      sku: line.item?.sku || "",
+      name: line.item?.name || "",
+      size: line.item?.size || "",
+      expectedQuantity: line.expectedQuantity,
+      countedQuantity: line.countedQuantity,
+      variance: line.countedQuantity == null ? null : line.countedQuantity - line.expectedQuantity,
+      notes: line.notes || "",
+    }));
+
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      return sendCsv(
+        res,
+        `stock-count-${session.id}.csv`,
+        [
+          { key: "sku", label: "SKU" },
+          { key: "name", label: "품목명" },
+          { key: "size", label: "사이즈" },
+          { key: "expectedQuantity", label: "장부 수량" },
+          { key: "countedQuantity", label: "실사 수량" },
+          { key: "variance", label: "차이" },
+          { key: "notes", label: "메모" },
+        ],
+        rows
+      );
+    }
+
+    res.json({
+      ok: true,
+      report: {
+        sessionId: session.id,
+        warehouse: session.warehouse,
+        blind: session.blind,
+        openedAt: session.openedAt,
+        closedAt: session.closedAt,
+        notes: session.notes,
+        summary: summarizeLines(session.lines),
+        lines: rows,
+      },
+    });
+  })
+);
+
 // 창고별 재고 실사 이력 조회
 router.get(
   "/warehouse/:warehouseId",
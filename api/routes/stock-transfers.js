@@ -2,27 +2,104 @@ import { Router } from "express";
 import { prisma } from "../../lib/prisma.js";
 import { requireAuth } from "../../utils/auth.js";
 import { asyncHandler } from "../../utils/constants.js";
+import { requireOpenPeriod } from "../services/periodLocks.js";
+import { sendCsv } from "../utils/csv.js";
+import { getInTransitQuantities } from "../services/warehouseStock.js";
+import {
+  applyReceipt,
+  checkSourceStock,
+  generateReferenceNo,
+  syncDocumentStatus,
+} from "../services/stockTransfers.js";
 
 const router = Router();
 
-// 재고 이동 목록 조회
+// 이번 달이 마감됐으면 재고가 바뀌는 요청은 거부
+const requireOpenPeriodNow = requireOpenPeriod(prisma);
+
+// 상태 흐름: DRAFT → IN_TRANSIT → RECEIVED / CANCELLED
+const TRANSFER_STATUSES = new Set(["DRAFT", "IN_TRANSIT", "RECEIVED", "CANCELLED"]);
+
+const TRANSFER_INCLUDE = {
+  item: {
+    select: { id: true, name: true, size: true, imageUrl: true },
+  },
+  fromWarehouse: {
+    select: { id: true, name: true },
+  },
+  toWarehouse: {
+    select: { id: true, name: true },
+  },
+  fromBin: {
+    select: { id: true, code: true },
+  },
+  toBin: {
+    select: { id: true, code: true },
+  },
+};
+
+const DOCUMENT_INCLUDE = {
+  fromWarehouse: {
+    select: { id: true, name: true },
+  },
+  toWarehouse: {
+    select: { id: true, name: true },
+  },
+  lines: {
+    include: {
+      item: {
+        select: { id: true, name: true, size: true, imageUrl: true, sku: true, barcode: true },
+      },
+    },
+    orderBy: { id: "asc" },
+  },
+};
+
+function stockShortageResponse(res, { warehouseName, shortages }) {
+  const first = shortages[0];
+  return res.status(400).json({
+    ok: false,
+    error:
+      shortages.length === 1
+        ? `재고 부족: 출발 창고(${warehouseName})의 현재 재고는 ${first.available}개입니다.`
+        : `재고 부족: 출발 창고(${warehouseName})의 재고가 부족한 품목이 ${shortages.length}개 있습니다.`,
+    available: first.available,
+    requested: first.requested,
+    shortages,
+  });
+}
+
+// 이동 생성 시 상태별 초기값
+function initialTransferData(status, quantity, now) {
+  return {
+    status,
+    ...(status !== "DRAFT" ? { dispatchedAt: now } : {}),
+    ...(status === "RECEIVED" ? { receivedQuantity: quantity, receivedAt: now } : {}),
+  };
+}
+
+async function binBelongsTo(userId, warehouseId, binId) {
+  if (binId == null) return true;
+  const bin = await prisma.warehouseBin.findFirst({
+    where: { id: binId, userId, warehouseId },
+    select: { id: true },
+  });
+  return Boolean(bin);
+}
+
+// 재고 이동 목록 조회 (?status=IN_TRANSIT)
 router.get(
   "/",
   requireAuth,
   asyncHandler(async (req, res) => {
+    const status = String(req.query.status || "").toUpperCase();
+
     const transfers = await prisma.stockTransfer.findMany({
-      where: { userId: req.userId },
-      include: {
-        item: {
-          select: { id: true, name: true, size: true, imageUrl: true },
-        },
-        fromWarehouse: {
-          select: { id: true, name: true },
-        },
-        toWarehouse: {
-          select: { id: true, name: true },
-        },
+      where: {
+        userId: req.userId,
+        ...(TRANSFER_STATUSES.has(status) ? { status } : {}),
       },
+      include: TRANSFER_INCLUDE,
       orderBy: { createdAt: "desc" },
     });
 
@@ -30,12 +107,52 @@ router.get(
   })
 );
 
+// 품목별 이동 중 수량 조회 (?itemId=123)
+router.get(
+  "/in-transit",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const itemId = req.query.itemId ? parseInt(req.query.itemId, 10) : null;
+
+    const rows = await getInTransitQuantities({
+      prisma,
+      userId: req.userId,
+      itemId: Number.isFinite(itemId) ? itemId : null,
+    });
+
+    const items = await prisma.item.findMany({
+      where: { userId: req.userId, id: { in: rows.map((r) => r.itemId) } },
+      select: { id: true, name: true, size: true, imageUrl: true },
+    });
+    const itemMap = new Map(items.map((item) => [item.id, item]));
+
+    res.json({
+      ok: true,
+      inTransit: rows.map((r) => ({
+        itemId: r.itemId,
+        item: itemMap.get(r.itemId) || null,
+        quantity: r.quantity,
+      })),
+    });
+  })
+);
+
 // 재고 이동 생성
+// status: "DRAFT"(작성만) | "IN_TRANSIT"(바로 출고) | "RECEIVED"(기본값, 즉시 이동 완료)
+// fromBinId / toBinId: 창고 안 로케이션(선택). 같은 창고 안 로케이션 간 이동은 즉시 완료만 가능
 router.post(
   "/",
   requireAuth,
+  requireOpenPeriodNow,
   asyncHandler(async (req, res) => {
-    const { itemId, fromWarehouseId, toWarehouseId, quantity, reason } = req.body;
+    const { reason } = req.body;
+    const itemId = Number(req.body.itemId);
+    const fromWarehouseId = Number(req.body.fromWarehouseId);
+    const toWarehouseId = Number(req.body.toWarehouseId);
+    const fromBinId = req.body.fromBinId ? Number(req.body.fromBinId) : null;
+    const toBinId = req.body.toBinId ? Number(req.body.toBinId) : null;
+    const quantity = Number(req.body.quantity);
+    const status = req.body.status ? String(req.body.status).toUpperCase() : "RECEIVED";
 
     if (!itemId || !fromWarehouseId || !toWarehouseId || !quantity) {
       return res.status(400).json({
@@ -44,20 +161,36 @@ router.post(
       });
     }
 
-    if (fromWarehouseId === toWarehouseId) {
+    const sameWarehouse = fromWarehouseId === toWarehouseId;
+
+    if (sameWarehouse && fromBinId === toBinId) {
       return res.status(400).json({
         ok: false,
-        error: "출발 창고와 도착 창고는 달라야 합니다.",
+        error: "출발 창고와 도착 창고는 달라야 합니다. (같은 창고라면 로케이션이 달라야 합니다.)",
+      });
+    }
+
+    if (sameWarehouse && status !== "RECEIVED") {
+      return res.status(400).json({
+        ok: false,
+        error: "같은 창고 안 로케이션 이동은 즉시 완료(RECEIVED)만 가능합니다.",
       });
     }
 
-    if (quantity <= 0) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
       return res.status(400).json({
         ok: false,
         error: "수량은 0보다 커야 합니다.",
       });
     }
 
+    if (!["DRAFT", "IN_TRANSIT", "RECEIVED"].includes(status)) {
+      return res.status(400).json({
+        ok: false,
+        error: "생성 시 상태는 DRAFT, IN_TRANSIT, RECEIVED 중 하나여야 합니다.",
+      });
+    }
+
     // 품목 확인
     const item = await prisma.item.findFirst({
       where: { id: itemId, userId: req.userId },
@@ -81,30 +214,705 @@ router.post(
       return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
     }
 
-    const transfer = await prisma.stockTransfer.create({
-      data: {
+    if (fromWarehouse.archivedAt || toWarehouse.archivedAt) {
+      return res.status(400).json({ ok: false, error: "보관 처리된 창고로는 재고를 이동할 수 없습니다." });
+    }
+
+    // 로케이션 확인(해당 창고 소속이어야 함)
+    const [fromBinOk, toBinOk] = await Promise.all([
+      binBelongsTo(req.userId, fromWarehouseId, fromBinId),
+      binBelongsTo(req.userId, toWarehouseId, toBinId),
+    ]);
+
+    if (!fromBinOk || !toBinOk) {
+      return res.status(404).json({ ok: false, error: "로케이션을 찾을 수 없습니다." });
+    }
+
+    const data = {
+      userId: req.userId,
+      itemId,
+      fromWarehouseId,
+      toWarehouseId,
+      fromBinId,
+      toBinId,
+      quantity,
+      reason: reason?.trim(),
+      ...initialTransferData(status, quantity, new Date()),
+    };
+
+    if (status === "DRAFT") {
+      const transfer = await prisma.stockTransfer.create({ data, include: TRANSFER_INCLUDE });
+      return res.json({ ok: true, transfer });
+    }
+
+    // 출발 창고 재고 확인과 이동 생성을 한 트랜잭션에서 처리(동시 이동으로 인한 초과 차감 방지)
+    const result = await prisma.$transaction(async (tx) => {
+      const shortages = await checkSourceStock(tx, { userId: req.userId, lines: [data] });
+      if (shortages.length > 0) return { shortages };
+
+      const transfer = await tx.stockTransfer.create({ data, include: TRANSFER_INCLUDE });
+      return { transfer };
+    });
+
+    if (!result.transfer) {
+      return stockShortageResponse(res, {
+        warehouseName: fromWarehouse.name,
+        shortages: result.shortages,
+      });
+    }
+
+    res.json({ ok: true, transfer: result.transfer });
+  })
+);
+
+// 출고 처리: DRAFT → IN_TRANSIT (출발 창고에서 재고 차감)
+router.post(
+  "/:id/dispatch",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const transfer = await prisma.stockTransfer.findFirst({
+      where: { id, userId: req.userId },
+      include: { fromWarehouse: { select: { id: true, name: true } } },
+    });
+
+    if (!transfer) {
+      return res.status(404).json({ ok: false, error: "재고 이동을 찾을 수 없습니다." });
+    }
+
+    if (transfer.status !== "DRAFT") {
+      return res.status(400).json({
+        ok: false,
+        error: `작성 중(DRAFT)인 이동만 출고할 수 있습니다. (현재: ${transfer.status})`,
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const shortages = await checkSourceStock(tx, { userId: req.userId, lines: [transfer] });
+      if (shortages.length > 0) return { shortages };
+
+      const updated = await tx.stockTransfer.updateMany({
+        where: { id, status: "DRAFT" },
+        data: { status: "IN_TRANSIT", dispatchedAt: new Date() },
+      });
+      if (updated.count > 0) await syncDocumentStatus(tx, transfer.documentId);
+      return { dispatched: updated.count > 0 };
+    });
+
+    if (result.shortages) {
+      return stockShortageResponse(res, {
+        warehouseName: transfer.fromWarehouse.name,
+        shortages: result.shortages,
+      });
+    }
+    if (!result.dispatched) {
+      return res.status(409).json({ ok: false, error: "이미 처리된 이동입니다." });
+    }
+
+    const updated = await prisma.stockTransfer.findUnique({
+      where: { id },
+      include: TRANSFER_INCLUDE,
+    });
+
+    res.json({ ok: true, transfer: updated });
+  })
+);
+
+// 입고 처리: IN_TRANSIT → RECEIVED
+// body: { quantity?: 이번에 받은 수량(기본 남은 수량 전부), close?: 미착분을 확정하고 종료, notes?: 메모 }
+// - 남은 수량보다 적게 받으면 IN_TRANSIT 유지(부분 입고)
+// - close=true 로 종료하면 미착분은 출발 창고에서 ADJUSTMENT 로 차감
+router.post(
+  "/:id/receive",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const transfer = await prisma.stockTransfer.findFirst({
+      where: { id, userId: req.userId },
+    });
+
+    if (!transfer) {
+      return res.status(404).json({ ok: false, error: "재고 이동을 찾을 수 없습니다." });
+    }
+
+    if (transfer.status !== "IN_TRANSIT") {
+      return res.status(400).json({
+        ok: false,
+        error: `이동 중(IN_TRANSIT)인 이동만 입고할 수 있습니다. (현재: ${transfer.status})`,
+      });
+    }
+
+    const remaining = transfer.quantity - transfer.receivedQuantity;
+    const quantityRaw = req.body?.quantity;
+    const quantity = quantityRaw == null || quantityRaw === "" ? remaining : Number(quantityRaw);
+
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > remaining) {
+      return res.status(400).json({
+        ok: false,
+        error: `입고 수량은 0 이상 ${remaining} 이하여야 합니다.`,
+        remaining,
+      });
+    }
+
+    const receivedQuantity = transfer.receivedQuantity + quantity;
+    const close = req.body?.close === true || receivedQuantity >= transfer.quantity;
+
+    if (!close && quantity === 0) {
+      return res.status(400).json({ ok: false, error: "입고 수량은 0보다 커야 합니다." });
+    }
+
+    const notes = req.body?.notes?.trim();
+
+    const received = await prisma.$transaction(async (tx) => {
+      const applied = await applyReceipt(tx, {
         userId: req.userId,
-        itemId,
-        fromWarehouseId,
-        toWarehouseId,
+        transfer,
         quantity,
-        reason: reason?.trim(),
-        status: "COMPLETED",
+        close,
+        notes,
+      });
+      if (applied) await syncDocumentStatus(tx, transfer.documentId);
+      return applied;
+    });
+
+    if (!received) {
+      return res.status(409).json({ ok: false, error: "다른 요청에서 이미 처리되었습니다. 다시 시도해 주세요." });
+    }
+
+    const updated = await prisma.stockTransfer.findUnique({
+      where: { id },
+      include: TRANSFER_INCLUDE,
+    });
+
+    res.json({ ok: true, transfer: updated, shortQuantity: received.shortQuantity });
+  })
+);
+
+// 이동 취소: DRAFT / IN_TRANSIT → CANCELLED (받지 못한 수량은 출발 창고로 복귀)
+router.post(
+  "/:id/cancel",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const transfer = await prisma.stockTransfer.findFirst({
+      where: { id, userId: req.userId },
+    });
+
+    if (!transfer) {
+      return res.status(404).json({ ok: false, error: "재고 이동을 찾을 수 없습니다." });
+    }
+
+    if (transfer.status !== "DRAFT" && transfer.status !== "IN_TRANSIT") {
+      return res.status(400).json({
+        ok: false,
+        error: `완료되었거나 취소된 이동은 취소할 수 없습니다. (현재: ${transfer.status})`,
+      });
+    }
+
+    const notes = req.body?.notes?.trim();
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const updated = await tx.stockTransfer.updateMany({
+        where: { id, status: transfer.status, receivedQuantity: transfer.receivedQuantity },
+        data: {
+          status: "CANCELLED",
+          cancelledAt: new Date(),
+          ...(notes ? { receiveNotes: notes } : {}),
+        },
+      });
+      if (updated.count > 0) await syncDocumentStatus(tx, transfer.documentId);
+      return updated;
+    });
+
+    if (cancelled.count === 0) {
+      return res.status(409).json({ ok: false, error: "다른 요청에서 이미 처리되었습니다. 다시 시도해 주세요." });
+    }
+
+    const updated = await prisma.stockTransfer.findUnique({
+      where: { id },
+      include: TRANSFER_INCLUDE,
+    });
+
+    res.json({ ok: true, transfer: updated });
+  })
+);
+
+/* ================= 이동 문서(다품목) ================= */
+
+// 이동 문서 목록 조회 (?status=IN_TRANSIT)
+router.get(
+  "/documents",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const status = String(req.query.status || "").toUpperCase();
+
+    const documents = await prisma.stockTransferDocument.findMany({
+      where: {
+        userId: req.userId,
+        ...(TRANSFER_STATUSES.has(status) ? { status } : {}),
       },
       include: {
-        item: {
-          select: { id: true, name: true, size: true, imageUrl: true },
-        },
         fromWarehouse: {
           select: { id: true, name: true },
         },
         toWarehouse: {
           select: { id: true, name: true },
         },
+        lines: {
+          select: { quantity: true, receivedQuantity: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json({
+      ok: true,
+      documents: documents.map(({ lines, ...doc }) => ({
+        ...doc,
+        lineCount: lines.length,
+        totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        receivedQuantity: lines.reduce((sum, line) => sum + line.receivedQuantity, 0),
+      })),
+    });
+  })
+);
+
+// 이동 문서 생성 (라인 전체를 한 트랜잭션으로 생성)
+// body: { fromWarehouseId, toWarehouseId, reason?, referenceNo?, createdBy?, status?, lines: [{ itemId, quantity }] }
+// status 규칙은 단건 이동과 동일(기본값 RECEIVED)
+router.post(
+  "/documents",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) => {
+    const fromWarehouseId = Number(req.body.fromWarehouseId);
+    const toWarehouseId = Number(req.body.toWarehouseId);
+    const status = req.body.status ? String(req.body.status).toUpperCase() : "RECEIVED";
+    const rawLines = Array.isArray(req.body.lines) ? req.body.lines : [];
+
+    if (!fromWarehouseId || !toWarehouseId || rawLines.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "출발 창고, 도착 창고, 이동 품목은 필수입니다.",
+      });
+    }
+
+    if (fromWarehouseId === toWarehouseId) {
+      return res.status(400).json({
+        ok: false,
+        error: "출발 창고와 도착 창고는 달라야 합니다.",
+      });
+    }
+
+    if (!["DRAFT", "IN_TRANSIT", "RECEIVED"].includes(status)) {
+      return res.status(400).json({
+        ok: false,
+        error: "생성 시 상태는 DRAFT, IN_TRANSIT, RECEIVED 중 하나여야 합니다.",
+      });
+    }
+
+    const lines = rawLines.map((line) => ({
+      itemId: Number(line?.itemId),
+      quantity: Number(line?.quantity),
+    }));
+
+    if (lines.some((line) => !line.itemId || !Number.isInteger(line.quantity) || line.quantity <= 0)) {
+      return res.status(400).json({
+        ok: false,
+        error: "각 품목의 수량은 0보다 커야 합니다.",
+      });
+    }
+
+    const itemIds = [...new Set(lines.map((line) => line.itemId))];
+    if (itemIds.length !== lines.length) {
+      return res.status(400).json({
+        ok: false,
+        error: "같은 품목이 여러 번 포함되어 있습니다.",
+      });
+    }
+
+    // 품목 확인
+    const itemCount = await prisma.item.count({
+      where: { id: { in: itemIds }, userId: req.userId },
+    });
+
+    if (itemCount !== itemIds.length) {
+      return res.status(404).json({ ok: false, error: "품목을 찾을 수 없습니다." });
+    }
+
+    // 창고 확인
+    const [fromWarehouse, toWarehouse] = await Promise.all([
+      prisma.warehouse.findFirst({
+        where: { id: fromWarehouseId, userId: req.userId },
+      }),
+      prisma.warehouse.findFirst({
+        where: { id: toWarehouseId, userId: req.userId },
+      }),
+    ]);
+
+    if (!fromWarehouse || !toWarehouse) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+
+    if (fromWarehouse.archivedAt || toWarehouse.archivedAt) {
+      return res.status(400).json({ ok: false, error: "보관 처리된 창고로는 재고를 이동할 수 없습니다." });
+    }
+
+    let referenceNo = req.body.referenceNo?.trim();
+    if (referenceNo) {
+      const dup = await prisma.stockTransferDocument.findFirst({
+        where: { userId: req.userId, referenceNo },
+        select: { id: true },
+      });
+      if (dup) {
+        return res.status(409).json({ ok: false, error: "이미 사용 중인 참조 번호입니다." });
+      }
+    } else {
+      referenceNo = await generateReferenceNo(prisma, { userId: req.userId });
+    }
+
+    let createdBy = req.body.createdBy?.trim();
+    if (!createdBy) {
+      const user = await prisma.user.findUnique({
+        where: { id: req.userId },
+        select: { name: true, email: true },
+      });
+      createdBy = user?.name || user?.email || null;
+    }
+
+    const reason = req.body.reason?.trim();
+    const now = new Date();
+    const lineData = lines.map((line) => ({
+      userId: req.userId,
+      itemId: line.itemId,
+      fromWarehouseId,
+      toWarehouseId,
+      quantity: line.quantity,
+      reason,
+      ...initialTransferData(status, line.quantity, now),
+    }));
+
+    const result = await prisma.$transaction(async (tx) => {
+      if (status !== "DRAFT") {
+        const shortages = await checkSourceStock(tx, { userId: req.userId, lines: lineData });
+        if (shortages.length > 0) return { shortages };
+      }
+
+      const document = await tx.stockTransferDocument.create({
+        data: {
+          userId: req.userId,
+          fromWarehouseId,
+          toWarehouseId,
+          referenceNo,
+          reason,
+          createdBy,
+          status,
+          lines: { create: lineData },
+        },
+        include: DOCUMENT_INCLUDE,
+      });
+      return { document };
+    });
+
+    if (!result.document) {
+      return stockShortageResponse(res, {
+        warehouseName: fromWarehouse.name,
+        shortages: result.shortages,
+      });
+    }
+
+    res.json({ ok: true, document: result.document });
+  })
+);
+
+// 이동 문서 상세 조회
+router.get(
+  "/documents/:id",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const document = await prisma.stockTransferDocument.findFirst({
+      where: { id, userId: req.userId },
+      include: DOCUMENT_INCLUDE,
+    });
+
+    if (!document) {
+      return res.status(404).json({ ok: false, error: "이동 문서를 찾을 수 없습니다." });
+    }
+
+    res.json({ ok: true, document });
+  })
+);
+
+// 이동 문서 패킹리스트 (?format=csv 이면 CSV 다운로드)
+router.get(
+  "/documents/:id/packing-list",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const document = await prisma.stockTransferDocument.findFirst({
+      where: { id, userId: req.userId },
+      include: DOCUMENT_INCLUDE,
+    });
+
+    if (!document) {
+      return res.status(404).json({ ok: false, error: "이동 문서를 찾을 수 없습니다." });
+    }
+
+    const rows = document.lines.map((line, index) => ({
+      no: index + 1,
+      sku: line.item?.sku || "",
+      barcode: line.item?.barcode || "",
+      name: line.item?.name || "",
+      size: line.item?.size || "",
+      quantity: line.quantity,
+      receivedQuantity: line.receivedQuantity,
+    }));
+
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      return sendCsv(
+        res,
+        `packing-list-${document.referenceNo}.csv`,
+        [
+          { key: "no", label: "No" },
+          { key: "sku", label: "SKU" },
+          { key: "barcode", label: "바코드" },
+          { key: "name", label: "품목명" },
+          { key: "size", label: "사이즈" },
+          { key: "quantity", label: "수량" },
+          { key: "receivedQuantity", label: "입고 수량" },
+        ],
+        rows
+      );
+    }
+
+    res.json({
+      ok: true,
+      packingList: {
+        referenceNo: document.referenceNo,
+        status: document.status,
+        reason: document.reason,
+        createdBy: document.createdBy,
+        createdAt: document.createdAt,
+        fromWarehouse: document.fromWarehouse,
+        toWarehouse: document.toWarehouse,
+        lines: rows,
+        totalQuantity: rows.reduce((sum, row) => sum + row.quantity, 0),
       },
     });
+  })
+);
+
+// 이동 문서 출고: DRAFT 라인 전체 → IN_TRANSIT
+router.post(
+  "/documents/:id/dispatch",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const document = await prisma.stockTransferDocument.findFirst({
+      where: { id, userId: req.userId },
+      include: {
+        fromWarehouse: { select: { id: true, name: true } },
+        lines: true,
+      },
+    });
+
+    if (!document) {
+      return res.status(404).json({ ok: false, error: "이동 문서를 찾을 수 없습니다." });
+    }
+
+    const draftLines = document.lines.filter((line) => line.status === "DRAFT");
+    if (draftLines.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: `작성 중(DRAFT)인 이동만 출고할 수 있습니다. (현재: ${document.status})`,
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const shortages = await checkSourceStock(tx, { userId: req.userId, lines: draftLines });
+      if (shortages.length > 0) return { shortages };
+
+      const updated = await tx.stockTransfer.updateMany({
+        where: { documentId: id, status: "DRAFT" },
+        data: { status: "IN_TRANSIT", dispatchedAt: new Date() },
+      });
+      await syncDocumentStatus(tx, id);
+      return { dispatched: updated.count };
+    });
+
+    if (result.shortages) {
+      return stockShortageResponse(res, {
+        warehouseName: document.fromWarehouse.name,
+        shortages: result.shortages,
+      });
+    }
+
+    const updated = await prisma.stockTransferDocument.findUnique({
+      where: { id },
+      include: DOCUMENT_INCLUDE,
+    });
+
+    res.json({ ok: true, document: updated });
+  })
+);
+
+// 이동 문서 입고
+// body: { lines?: [{ transferId, quantity }], close?, notes? }
+// - lines 를 생략하면 이동 중인 모든 라인을 남은 수량 전부 입고
+// - 라인별 규칙은 단건 입고와 동일(부분 입고 / close 시 미착 확정)
+router.post(
+  "/documents/:id/receive",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const document = await prisma.stockTransferDocument.findFirst({
+      where: { id, userId: req.userId },
+      include: { lines: true },
+    });
+
+    if (!document) {
+      return res.status(404).json({ ok: false, error: "이동 문서를 찾을 수 없습니다." });
+    }
+
+    const inTransit = new Map(
+      document.lines.filter((line) => line.status === "IN_TRANSIT").map((line) => [line.id, line])
+    );
+    if (inTransit.size === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: `이동 중(IN_TRANSIT)인 이동만 입고할 수 있습니다. (현재: ${document.status})`,
+      });
+    }
+
+    const requested = Array.isArray(req.body?.lines)
+      ? req.body.lines.map((line) => ({
+          transferId: Number(line?.transferId),
+          quantity: line?.quantity,
+        }))
+      : [...inTransit.keys()].map((transferId) => ({ transferId, quantity: null }));
+
+    const close = req.body?.close === true;
+    const notes = req.body?.notes?.trim();
+    const receipts = [];
+
+    for (const entry of requested) {
+      const transfer = inTransit.get(entry.transferId);
+      if (!transfer) {
+        return res.status(400).json({
+          ok: false,
+          error: `이동 중인 라인이 아닙니다. (transferId: ${entry.transferId})`,
+        });
+      }
+
+      const remaining = transfer.quantity - transfer.receivedQuantity;
+      const quantity =
+        entry.quantity == null || entry.quantity === "" ? remaining : Number(entry.quantity);
+
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > remaining) {
+        return res.status(400).json({
+          ok: false,
+          error: `입고 수량은 0 이상 ${remaining} 이하여야 합니다. (transferId: ${transfer.id})`,
+          remaining,
+        });
+      }
+
+      const lineClose = close || transfer.receivedQuantity + quantity >= transfer.quantity;
+      if (!lineClose && quantity === 0) continue;
+      receipts.push({ transfer, quantity, close: lineClose });
+    }
+
+    if (receipts.length === 0) {
+      return res.status(400).json({ ok: false, error: "입고 수량은 0보다 커야 합니다." });
+    }
+
+    let conflict = false;
+    let shortQuantity = 0;
+    try {
+      await prisma.$transaction(async (tx) => {
+        for (const receipt of receipts) {
+          const applied = await applyReceipt(tx, { userId: req.userId, notes, ...receipt });
+          if (!applied) {
+            conflict = true;
+            throw new Error("stock transfer changed during receipt");
+          }
+          shortQuantity += applied.shortQuantity;
+        }
+        await syncDocumentStatus(tx, id);
+      });
+    } catch (error) {
+      if (!conflict) throw error;
+    }
+
+    if (conflict) {
+      return res.status(409).json({ ok: false, error: "다른 요청에서 이미 처리되었습니다. 다시 시도해 주세요." });
+    }
+
+    const updated = await prisma.stockTransferDocument.findUnique({
+      where: { id },
+      include: DOCUMENT_INCLUDE,
+    });
+
+    res.json({ ok: true, document: updated, shortQuantity });
+  })
+);
+
+// 이동 문서 취소: DRAFT / IN_TRANSIT 라인 전체 → CANCELLED
+router.post(
+  "/documents/:id/cancel",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const document = await prisma.stockTransferDocument.findFirst({
+      where: { id, userId: req.userId },
+      select: { id: true, status: true },
+    });
+
+    if (!document) {
+      return res.status(404).json({ ok: false, error: "이동 문서를 찾을 수 없습니다." });
+    }
+
+    if (document.status !== "DRAFT" && document.status !== "IN_TRANSIT") {
+      return res.status(400).json({
+        ok: false,
+        error: `완료되었거나 취소된 이동은 취소할 수 없습니다. (현재: ${document.status})`,
+      });
+    }
+
+    const notes = req.body?.notes?.trim();
+
+    await prisma.$transaction(async (tx) => {
+      await tx.stockTransfer.updateMany({
+        where: { documentId: id, status: { in: ["DRAFT", "IN_TRANSIT"] } },
+        data: {
+          status: "CANCELLED",
+          cancelledAt: new Date(),
+          ...(notes ? { receiveNotes: notes } : {}),
+        },
+      });
+      await syncDocumentStatus(tx, id);
+    });
+
+    const updated = await prisma.stockTransferDocument.findUnique({
+      where: { id },
+      include: DOCUMENT_INCLUDE,
+    });
 
-    res.json({ ok: true, transfer });
+    res.json({ ok: true, document: updated });
   })
 );
 
@@ -2,24 +2,42 @@ import { Router } from "express";
 import { prisma } from "../../lib/prisma.js";
 import { requireAuth } from "../../utils/auth.js";
 import { asyncHandler } from "../../utils/constants.js";
+import { requireOpenPeriod } from "../services/periodLocks.js";
+import {
+  assignUnassignedRecords,
+  getBinBalances,
+  getStockBalances,
+} from "../services/warehouseStock.js";
+import { checkSourceStock, generateReferenceNo } from "../services/stockTransfers.js";
 
 const router = Router();
 
-// 창고 목록 조회
+// 이번 달이 마감됐으면 재고가 바뀌는 요청은 거부
+const requireOpenPeriodNow = requireOpenPeriod(prisma);
+
+// 창고 목록 조회 (?includeArchived=true 이면 보관된 창고 포함)
 router.get(
   "/",
   requireAuth,
   asyncHandler(async (req, res) => {
-    const warehouses = await prisma.warehouse.findMany({
-      where: { userId: req.userId },
-      orderBy: { createdAt: "desc" },
-    });
+    const includeArchived = req.query.includeArchived === "true";
+
+    const [warehouses, user] = await Promise.all([
+      prisma.warehouse.findMany({
+        where: { userId: req.userId, ...(includeArchived ? {} : { archivedAt: null }) },
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.user.findUnique({
+        where: { id: req.userId },
+        select: { defaultWarehouseId: true },
+      }),
+    ]);
 
-    res.json({ ok: true, warehouses });
+    res.json({ ok: true, warehouses, defaultWarehouseId: user?.defaultWarehouseId ?? null });
   })
 );
 
-// 창고 생성
+// 창고 생성 (기본 창고가 없으면 새 창고가 기본 창고가 되고, 창고 미지정 기록도 배정됨)
 router.post(
   "/",
   requireAuth,
@@ -39,7 +57,45 @@ router.post(
       },
     });
 
-    res.json({ ok: true, warehouse });
+    const becameDefault = await prisma.user.updateMany({
+      where: { id: req.userId, defaultWarehouseId: null },
+      data: { defaultWarehouseId: warehouse.id },
+    });
+    const assignedRecords =
+      becameDefault.count > 0
+        ? await assignUnassignedRecords({ prisma, userId: req.userId, warehouseId: warehouse.id })
+        : 0;
+
+    res.json({ ok: true, warehouse, isDefault: becameDefault.count > 0, assignedRecords });
+  })
+);
+
+// 기본 창고 지정
+// body: { assignUnassigned?: true 이면 창고 미지정 기록을 이 창고로 배정 }
+router.put(
+  "/:id/default",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const warehouse = await findWarehouse(req.userId, id);
+    if (!warehouse) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+    if (warehouse.archivedAt) {
+      return res.status(400).json({ ok: false, error: "보관 처리된 창고는 기본 창고로 지정할 수 없습니다." });
+    }
+
+    await prisma.user.update({
+      where: { id: req.userId },
+      data: { defaultWarehouseId: id },
+    });
+
+    const assignedRecords = req.body?.assignUnassigned
+      ? await assignUnassignedRecords({ prisma, userId: req.userId, warehouseId: id })
+      : 0;
+
+    res.json({ ok: true, defaultWarehouseId: id, assignedRecords });
   })
 );
 
@@ -62,6 +118,593 @@ router.get(
   })
 );
 
+// 창고별 재고 조회
+router.get(
+  "/:id/stock",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const warehouse = await prisma.warehouse.findFirst({
+      where: { id, userId: req.userId },
+      select: { id: true, name: true, location: true },
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+
+    const balances = await getStockBalances({
+      prisma,
+      userId: req.userId,
+      warehouseId: id,
+    });
+    const nonZero = balances.filter((b) => b.quantity !== 0);
+
+    const items = await prisma.item.findMany({
+      where: { userId: req.userId, id: { in: nonZero.map((b) => b.itemId) } },
+      select: { id: true, name: true, size: true, imageUrl: true, sku: true, barcode: true },
+    });
+    const itemMap = new Map(items.map((item) => [item.id, item]));
+
+    const stock = nonZero
+      .map((b) => ({ item: itemMap.get(b.itemId) || null, itemId: b.itemId, quantity: b.quantity }))
+      .sort((a, b) => (a.item?.name || "").localeCompare(b.item?.name || ""));
+
+    res.json({
+      ok: true,
+      warehouse,
+      stock,
+      totalQuantity: stock.reduce((sum, s) => sum + s.quantity, 0),
+    });
+  })
+);
+
+/* ================= 로케이션(Bin) ================= */
+
+function buildBinCode({ zone, aisle, shelf, bin }) {
+  return [zone, aisle, shelf, bin]
+    .map((v) => v?.trim())
+    .filter(Boolean)
+    .join("-");
+}
+
+async function findWarehouse(userId, id) {
+  return prisma.warehouse.findFirst({
+    where: { id, userId },
+    select: { id: true, name: true, archivedAt: true },
+  });
+}
+
+async function findBin(userId, warehouseId, binId) {
+  return prisma.warehouseBin.findFirst({
+    where: { id: binId, userId, warehouseId },
+  });
+}
+
+// 로케이션 목록 조회
+router.get(
+  "/:id/bins",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const warehouse = await findWarehouse(req.userId, id);
+    if (!warehouse) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+
+    const bins = await prisma.warehouseBin.findMany({
+      where: { warehouseId: id, userId: req.userId },
+      orderBy: { code: "asc" },
+    });
+
+    res.json({ ok: true, warehouse, bins });
+  })
+);
+
+// 로케이션 생성 (code 를 생략하면 zone-aisle-shelf-bin 으로 생성)
+router.post(
+  "/:id/bins",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { zone, aisle, shelf, bin, description } = req.body;
+
+    const warehouse = await findWarehouse(req.userId, id);
+    if (!warehouse) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+    if (warehouse.archivedAt) {
+      return res.status(400).json({ ok: false, error: "보관 처리된 창고입니다." });
+    }
+
+    const code = req.body.code?.trim() || buildBinCode({ zone, aisle, shelf, bin });
+    if (!code) {
+      return res.status(400).json({ ok: false, error: "로케이션 코드는 필수입니다." });
+    }
+
+    const dup = await prisma.warehouseBin.findFirst({
+      where: { warehouseId: id, code },
+      select: { id: true },
+    });
+    if (dup) {
+      return res.status(409).json({ ok: false, error: "이미 등록된 로케이션 코드입니다." });
+    }
+
+    const created = await prisma.warehouseBin.create({
+      data: {
+        userId: req.userId,
+        warehouseId: id,
+        code,
+        zone: zone?.trim(),
+        aisle: aisle?.trim(),
+        shelf: shelf?.trim(),
+        bin: bin?.trim(),
+        description: description?.trim(),
+      },
+    });
+
+    res.json({ ok: true, bin: created });
+  })
+);
+
+// 로케이션 수정
+router.put(
+  "/:id/bins/:binId",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const binId = parseInt(req.params.binId, 10);
+    const { zone, aisle, shelf, bin, description } = req.body;
+
+    const existing = await findBin(req.userId, id, binId);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "로케이션을 찾을 수 없습니다." });
+    }
+
+    const code = req.body.code?.trim() || buildBinCode({ zone, aisle, shelf, bin });
+    if (!code) {
+      return res.status(400).json({ ok: false, error: "로케이션 코드는 필수입니다." });
+    }
+
+    const dup = await prisma.warehouseBin.findFirst({
+      where: { warehouseId: id, code, NOT: { id: binId } },
+      select: { id: true },
+    });
+    if (dup) {
+      return res.status(409).json({ ok: false, error: "이미 등록된 로케이션 코드입니다." });
+    }
+
+    const updated = await prisma.warehouseBin.update({
+      where: { id: binId },
+      data: {
+        code,
+        zone: zone?.trim(),
+        aisle: aisle?.trim(),
+        shelf: shelf?.trim(),
+        bin: bin?.trim(),
+        description: description?.trim(),
+      },
+    });
+
+    res.json({ ok: true, bin: updated });
+  })
+);
+
+// 로케이션 삭제 (기록이 있으면 삭제 불가)
+router.delete(
+  "/:id/bins/:binId",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const binId = parseInt(req.params.binId, 10);
+
+    const existing = await findBin(req.userId, id, binId);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "로케이션을 찾을 수 없습니다." });
+    }
+
+    const [hasRecords, hasTransfers] = await Promise.all([
+      prisma.record.count({ where: { binId } }),
+      prisma.stockTransfer.count({
+        where: { OR: [{ fromBinId: binId }, { toBinId: binId }] },
+      }),
+    ]);
+
+    if (hasRecords > 0 || hasTransfers > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "입출고 또는 적치/피킹 기록이 있는 로케이션은 삭제할 수 없습니다.",
+      });
+    }
+
+    await prisma.warehouseBin.delete({ where: { id: binId } });
+
+    res.json({ ok: true });
+  })
+);
+
+// 로케이션별 재고 조회 (?binId=3 이면 해당 로케이션만)
+// binId=null 항목은 창고 안에서 로케이션이 지정되지 않은 재고
+router.get(
+  "/:id/bin-stock",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const binId = req.query.binId ? parseInt(req.query.binId, 10) : undefined;
+
+    const warehouse = await findWarehouse(req.userId, id);
+    if (!warehouse) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+
+    const [balances, bins] = await Promise.all([
+      getBinBalances({ prisma, userId: req.userId, warehouseId: id, binId }),
+      prisma.warehouseBin.findMany({
+        where: { warehouseId: id, userId: req.userId },
+        select: { id: true, code: true },
+      }),
+    ]);
+    const nonZero = balances.filter((b) => b.quantity !== 0);
+
+    const items = await prisma.item.findMany({
+      where: { userId: req.userId, id: { in: nonZero.map((b) => b.itemId) } },
+      select: { id: true, name: true, size: true, imageUrl: true, sku: true, barcode: true },
+    });
+    const itemMap = new Map(items.map((item) => [item.id, item]));
+    const binMap = new Map(bins.map((bin) => [bin.id, bin]));
+
+    const stock = nonZero
+      .map((b) => ({
+        binId: b.binId,
+        binCode: b.binId ? binMap.get(b.binId)?.code ?? null : null,
+        itemId: b.itemId,
+        item: itemMap.get(b.itemId) || null,
+        quantity: b.quantity,
+      }))
+      .sort(
+        (a, b) =>
+          (a.binCode ?? "~").localeCompare(b.binCode ?? "~") ||
+          (a.item?.name || "").localeCompare(b.item?.name || "")
+      );
+
+    res.json({ ok: true, warehouse, stock });
+  })
+);
+
+// 로케이션 간 이동 공통 처리 (적치 / 피킹)
+async function moveBetweenBins(req, res, { fromBinId, toBinId, reasonLabel }) {
+  const id = parseInt(req.params.id, 10);
+  const itemId = Number(req.body.itemId);
+  const quantity = Number(req.body.quantity);
+
+  if (!itemId || !Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({ ok: false, error: "품목과 수량(0보다 큼)은 필수입니다." });
+  }
+
+  if (fromBinId === toBinId) {
+    return res.status(400).json({ ok: false, error: "출발 로케이션과 도착 로케이션은 달라야 합니다." });
+  }
+
+  const warehouse = await findWarehouse(req.userId, id);
+  if (!warehouse) {
+    return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+  }
+  if (warehouse.archivedAt) {
+    return res.status(400).json({ ok: false, error: "보관 처리된 창고입니다." });
+  }
+
+  const item = await prisma.item.findFirst({
+    where: { id: itemId, userId: req.userId },
+    select: { id: true },
+  });
+  if (!item) {
+    return res.status(404).json({ ok: false, error: "품목을 찾을 수 없습니다." });
+  }
+
+  for (const binId of [fromBinId, toBinId]) {
+    if (binId != null && !(await findBin(req.userId, id, binId))) {
+      return res.status(404).json({ ok: false, error: "로케이션을 찾을 수 없습니다." });
+    }
+  }
+
+  const now = new Date();
+  const data = {
+    userId: req.userId,
+    itemId,
+    fromWarehouseId: id,
+    toWarehouseId: id,
+    fromBinId,
+    toBinId,
+    quantity,
+    reason: req.body.reason?.trim() || reasonLabel,
+    status: "RECEIVED",
+    receivedQuantity: quantity,
+    dispatchedAt: now,
+    receivedAt: now,
+  };
+
+  const result = await prisma.$transaction(async (tx) => {
+    const shortages = await checkSourceStock(tx, { userId: req.userId, lines: [data] });
+    if (shortages.length > 0) return { shortages };
+
+    const transfer = await tx.stockTransfer.create({
+      data,
+      include: {
+        fromBin: { select: { id: true, code: true } },
+        toBin: { select: { id: true, code: true } },
+      },
+    });
+    return { transfer };
+  });
+
+  if (!result.transfer) {
+    return res.status(400).json({
+      ok: false,
+      error: `재고 부족: 출발 로케이션의 현재 재고는 ${result.shortages[0].available}개입니다.`,
+      available: result.shortages[0].available,
+      requested: quantity,
+    });
+  }
+
+  res.json({ ok: true, transfer: result.transfer });
+}
+
+// 적치: 로케이션 미지정(또는 fromBinId) → toBinId
+router.post(
+  "/:id/put-away",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) =>
+    moveBetweenBins(req, res, {
+      fromBinId: req.body.fromBinId ? Number(req.body.fromBinId) : null,
+      toBinId: Number(req.body.toBinId) || null,
+      reasonLabel: "적치",
+    })
+  )
+);
+
+// 피킹: binId → 로케이션 미지정(출고 대기) 또는 toBinId
+router.post(
+  "/:id/pick",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) =>
+    moveBetweenBins(req, res, {
+      fromBinId: Number(req.body.binId) || null,
+      toBinId: req.body.toBinId ? Number(req.body.toBinId) : null,
+      reasonLabel: "피킹",
+    })
+  )
+);
+
+/* ================= 보관(Archive) / 창고 폐쇄 ================= */
+
+// 보관 전에 정리되어야 하는 진행 중 작업 확인
+async function findPendingWork(userId, warehouseId) {
+  const [pendingTransfers, openSessions] = await Promise.all([
+    prisma.stockTransfer.count({
+      where: {
+        userId,
+        status: { in: ["DRAFT", "IN_TRANSIT"] },
+        OR: [{ fromWarehouseId: warehouseId }, { toWarehouseId: warehouseId }],
+      },
+    }),
+    prisma.stockCountSession.count({
+      where: { userId, warehouseId, status: "OPEN" },
+    }),
+  ]);
+
+  if (pendingTransfers > 0) {
+    return `처리되지 않은(작성 중/이동 중) 재고 이동이 ${pendingTransfers}건 있습니다.`;
+  }
+  if (openSessions > 0) {
+    return "진행 중인 실사 세션이 있습니다.";
+  }
+  return null;
+}
+
+// 창고 보관 처리 (재고가 남아있으면 불가 → /:id/close 로 재고를 옮긴 뒤 보관)
+router.post(
+  "/:id/archive",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const existing = await findWarehouse(req.userId, id);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+    if (existing.archivedAt) {
+      return res.status(400).json({ ok: false, error: "이미 보관 처리된 창고입니다." });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { defaultWarehouseId: true },
+    });
+    if (user?.defaultWarehouseId === id) {
+      return res.status(400).json({
+        ok: false,
+        error: "기본 창고는 보관할 수 없습니다. 다른 창고를 기본 창고로 지정해주세요.",
+      });
+    }
+
+    const pending = await findPendingWork(req.userId, id);
+    if (pending) {
+      return res.status(400).json({ ok: false, error: pending });
+    }
+
+    const balances = await getStockBalances({ prisma, userId: req.userId, warehouseId: id });
+    const remaining = balances.filter((b) => b.quantity !== 0);
+    if (remaining.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: `재고가 남아있는 품목이 ${remaining.length}개 있습니다. 다른 창고로 옮긴 뒤 보관해주세요.`,
+        stock: remaining.map((b) => ({ itemId: b.itemId, quantity: b.quantity })),
+      });
+    }
+
+    const warehouse = await prisma.warehouse.update({
+      where: { id },
+      data: { archivedAt: new Date() },
+    });
+
+    res.json({ ok: true, warehouse });
+  })
+);
+
+// 보관 해제
+router.post(
+  "/:id/unarchive",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const existing = await findWarehouse(req.userId, id);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+
+    const warehouse = await prisma.warehouse.update({
+      where: { id },
+      data: { archivedAt: null },
+    });
+
+    res.json({ ok: true, warehouse });
+  })
+);
+
+// 창고 폐쇄: 남은 재고를 전부 다른 창고로 옮기고(이동 문서 1건, 즉시 완료) 보관 처리
+// body: { targetWarehouseId, reason? }
+// - 폐쇄하는 창고가 기본 창고였다면 옮겨받는 창고가 기본 창고가 됨
+// - 창고 단위로 옮기므로 보관된 창고의 로케이션별 잔량은 정리되지 않음
+router.post(
+  "/:id/close",
+  requireAuth,
+  requireOpenPeriodNow,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const targetWarehouseId = Number(req.body.targetWarehouseId);
+
+    if (!targetWarehouseId) {
+      return res.status(400).json({ ok: false, error: "재고를 옮길 창고는 필수입니다." });
+    }
+    if (targetWarehouseId === id) {
+      return res.status(400).json({ ok: false, error: "재고를 옮길 창고는 폐쇄할 창고와 달라야 합니다." });
+    }
+
+    const [warehouse, target] = await Promise.all([
+      findWarehouse(req.userId, id),
+      findWarehouse(req.userId, targetWarehouseId),
+    ]);
+
+    if (!warehouse || !target) {
+      return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
+    }
+    if (warehouse.archivedAt) {
+      return res.status(400).json({ ok: false, error: "이미 보관 처리된 창고입니다." });
+    }
+    if (target.archivedAt) {
+      return res.status(400).json({ ok: false, error: "보관 처리된 창고로는 재고를 옮길 수 없습니다." });
+    }
+
+    const pending = await findPendingWork(req.userId, id);
+    if (pending) {
+      return res.status(400).json({ ok: false, error: pending });
+    }
+
+    const balances = await getStockBalances({ prisma, userId: req.userId, warehouseId: id });
+    if (balances.some((b) => b.quantity < 0)) {
+      return res.status(400).json({
+        ok: false,
+        error: "장부 재고가 음수인 품목이 있습니다. 실사로 재고를 맞춘 뒤 폐쇄해주세요.",
+      });
+    }
+
+    const reason = req.body.reason?.trim() || `창고 폐쇄: ${warehouse.name}`;
+    const now = new Date();
+    const lines = balances
+      .filter((b) => b.quantity > 0)
+      .map((b) => ({
+        userId: req.userId,
+        itemId: b.itemId,
+        fromWarehouseId: id,
+        toWarehouseId: targetWarehouseId,
+        quantity: b.quantity,
+        reason,
+        status: "RECEIVED",
+        receivedQuantity: b.quantity,
+        dispatchedAt: now,
+        receivedAt: now,
+      }));
+
+    const referenceNo = lines.length > 0 ? await generateReferenceNo(prisma, { userId: req.userId }) : null;
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { name: true, email: true, defaultWarehouseId: true },
+    });
+
+    const result = await prisma.$transaction(async (tx) => {
+      // 조회 이후 재고가 바뀌었으면(동시 출고 등) 폐쇄하지 않음
+      if (lines.length > 0) {
+        const shortages = await checkSourceStock(tx, { userId: req.userId, lines });
+        if (shortages.length > 0) return { shortages };
+      }
+
+      const archived = await tx.warehouse.updateMany({
+        where: { id, archivedAt: null },
+        data: { archivedAt: now },
+      });
+      if (archived.count === 0) return { conflict: true };
+
+      if (user?.defaultWarehouseId === id) {
+        await tx.user.update({
+          where: { id: req.userId },
+          data: { defaultWarehouseId: targetWarehouseId },
+        });
+      }
+
+      if (lines.length === 0) return { document: null };
+
+      const document = await tx.stockTransferDocument.create({
+        data: {
+          userId: req.userId,
+          fromWarehouseId: id,
+          toWarehouseId: targetWarehouseId,
+          referenceNo,
+          reason,
+          createdBy: user?.name || user?.email || null,
+          status: "RECEIVED",
+          lines: { create: lines },
+        },
+        include: { lines: true },
+      });
+      return { document };
+    });
+
+    if (result.shortages) {
+      return res.status(409).json({
+        ok: false,
+        error: "처리 중에 재고가 변경되었습니다. 다시 시도해주세요.",
+      });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ ok: false, error: "이미 보관 처리된 창고입니다." });
+    }
+
+    const closed = await prisma.warehouse.findUnique({ where: { id } });
+
+    res.json({
+      ok: true,
+      warehouse: closed,
+      document: result.document,
+      movedQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+    });
+  })
+);
+
 // 창고 수정
 router.put(
   "/:id",
@@ -110,7 +753,11 @@ router.delete(
       return res.status(404).json({ ok: false, error: "창고를 찾을 수 없습니다." });
     }
 
-    // 재고 이동이나 실사 기록이 있는지 확인
+    // 입출고, 재고 이동이나 실사 기록이 있는지 확인
+    const hasRecords = await prisma.record.count({
+      where: { warehouseId: id },
+    });
+
     const hasTransfers = await prisma.stockTransfer.count({
       where: {
         OR: [{ fromWarehouseId: id }, { toWarehouseId: id }],
@@ -121,10 +768,33 @@ router.delete(
       where: { warehouseId: id },
     });
 
-    if (hasTransfers > 0 || hasAudits > 0) {
+    const hasSessions = await prisma.stockCountSession.count({
+      where: { warehouseId: id },
+    });
+
+    if (hasRecords > 0 || hasTransfers > 0 || hasAudits > 0 || hasSessions > 0) {
+      return res.status(400).json({
+        ok: false,
+        error:
+          "입출고, 재고 이동 또는 실사 기록이 있는 창고는 삭제할 수 없습니다. 대신 보관 처리해주세요.",
+      });
+    }
+
+    // 기록이 아직 없는 문서(검수 전 반품 요청, 라인 없는 이동 문서, 세트 조립 문서)도 창고를 참조
+    const hasDocuments = await prisma.stockTransferDocument.count({
+      where: { OR: [{ fromWarehouseId: id }, { toWarehouseId: id }] },
+    });
+    const hasReturns = await prisma.returnAuthorization.count({
+      where: { warehouseId: id },
+    });
+    const hasAssemblies = await prisma.kitAssembly.count({
+      where: { warehouseId: id },
+    });
+
+    if (hasDocuments > 0 || hasReturns > 0 || hasAssemblies > 0) {
       return res.status(400).json({
         ok: false,
-        error: "재고 이동 또는 실사 기록이 있는 창고는 삭제할 수 없습니다.",
+        error: "반품 요청, 이동 문서 또는 세트 조립 문서가 있는 창고는 삭제할 수 없습니다. 대신 보관 처리해주세요.",
       });
     }
 
@@ -0,0 +1,214 @@
+import crypto from "crypto";
+import { CREDENTIAL_FIELDS } from "../../integrations/providers/index.js";
+
+// 판매 채널 인증 정보 암호화(봉투 암호화)
+// - 연결마다 데이터 키(AES-256-GCM)로 credentials JSON 을 암호화하고,
+//   데이터 키는 서버 마스터 키로 다시 암호화해서 함께 저장
+// - 마스터 키: CHANNEL_CREDENTIALS_KEYS="kid:base64(32바이트),kid:…" (첫 번째가 현재 키)
+//   키를 바꿀 때는 새 키를 앞에 추가 → reencryptChannelCredentials 로 기존 행을 새 키로 옮긴 뒤 옛 키 제거
+// - 키가 없으면 오류. 로컬 개발만 CHANNEL_CREDENTIALS_DEV_KEY=1 로 고정 개발 키(kid "dev")를 명시적으로 허용
+//   (운영 NODE_ENV=production 에서는 무시, 실제 키와 함께 두면 dev 행을 복호화/재암호화할 수 있음)
+// - 저장 형식: { enc: 1, kid, key: base64(iv|tag|암호화된 데이터 키), data: base64(iv|tag|암호문) }
+//   enc 가 없으면 예전 평문 행
+
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// 화면에 그대로 보여도 되는 값
+const PLAIN_FIELDS = new Set(["vendorId"]);
+
+const MASK = "********";
+
+const DEV_KID = "dev";
+
+let keyring = null;
+
+function loadKeyring() {
+  if (keyring) return keyring;
+
+  const raw = String(process.env.CHANNEL_CREDENTIALS_KEYS || "").trim();
+  const keys = new Map();
+  let activeKid = null;
+
+  if (raw) {
+    for (const entry of raw.split(",").map((s) => s.trim()).filter(Boolean)) {
+      const i = entry.indexOf(":");
+      const kid = i > 0 ? entry.slice(0, i) : "";
+      const key = Buffer.from(entry.slice(i + 1), "base64");
+      if (!kid || key.length !== 32) {
+        throw new Error("CHANNEL_CREDENTIALS_KEYS: each entry must be kid:base64(32 bytes)");
+      }
+      keys.set(kid, key);
+      activeKid ??= kid;
+    }
+  }
+
+  const allowDevKey =
+    process.env.CHANNEL_CREDENTIALS_DEV_KEY === "1" && process.env.NODE_ENV !== "production";
+  if (allowDevKey && !keys.has(DEV_KID)) {
+    keys.set(DEV_KID, crypto.createHash("sha256").update("dev-channel-credentials-key").digest());
+    activeKid ??= DEV_KID;
+  }
+  if (!activeKid) throw new Error("CHANNEL_CREDENTIALS_KEYS is not configured");
+
+  keyring = { keys, activeKid };
+  return keyring;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+function open(key, sealed, aad) {
+  const buf = Buffer.from(sealed, "base64");
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buf.subarray(0, IV_BYTES));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(buf.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(buf.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+// 다른 사용자/마켓의 행으로 옮겨 붙이면 복호화되지 않도록 묶음
+function aadOf({ userId, provider }) {
+  return Buffer.from(`channel-credentials:${userId}:${provider}`);
+}
+
+function isEncrypted(credentials) {
+  return Boolean(credentials && typeof credentials === "object" && credentials.enc === 1);
+}
+
+function encryptCredentials(credentials, { userId, provider }) {
+  const { keys, activeKid } = loadKeyring();
+  const aad = aadOf({ userId, provider });
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    enc: 1,
+    kid: activeKid,
+    key: seal(keys.get(activeKid), dataKey, aad),
+    data: seal(dataKey, Buffer.from(JSON.stringify(credentials ?? {})), aad),
+  };
+}
+
+// 평문 행은 그대로 반환
+function decryptCredentials(stored, { userId, provider }) {
+  if (!isEncrypted(stored)) return stored ?? {};
+
+  const { keys } = loadKeyring();
+  const masterKey = keys.get(stored.kid);
+  if (!masterKey) throw new Error(`credentials key ${stored.kid} is not configured`);
+
+  const aad = aadOf({ userId, provider });
+  try {
+    const dataKey = open(masterKey, stored.key, aad);
+    return JSON.parse(open(dataKey, stored.data, aad).toString("utf8"));
+  } catch {
+    throw new Error("credentials could not be decrypted");
+  }
+}
+
+function needsReencrypt(stored) {
+  return !isEncrypted(stored) || stored.kid !== loadKeyring().activeKid;
+}
+
+function maskValue(value) {
+  const s = String(value);
+  return s.length <= 8 ? MASK : `${MASK}${s.slice(-4)}`;
+}
+
+// 화면은 가린 값만 받으므로 빈 값/가린 값은 기존 값 유지, null 은 삭제
+// - API 주소(baseUrl)는 저장하지 않음(환경 변수로만 지정), 예전 행에 있던 값도 이번 저장 때 제거
+function mergeCredentials(current, input) {
+  const merged = { ...current };
+  delete merged.baseUrl;
+  for (const [field, value] of Object.entries(input)) {
+    if (field === "baseUrl") continue;
+    const s = value === null ? null : String(value).trim();
+    if (s === null) delete merged[field];
+    else if (s !== "" && !s.startsWith(MASK)) merged[field] = s;
+  }
+  return merged;
+}
+
+// 필드별 { configured, value(가림) }
+function maskCredentials(provider, credentials) {
+  const fields = new Set([
+    ...(CREDENTIAL_FIELDS[provider] ?? []),
+    ...Object.keys(credentials ?? {}),
+  ]);
+  const masked = {};
+  for (const field of fields) {
+    const value = credentials?.[field];
+    const configured = value !== undefined && value !== null && String(value) !== "";
+    masked[field] = {
+      configured,
+      value: !configured ? null : PLAIN_FIELDS.has(field) ? String(value) : maskValue(value),
+    };
+  }
+  return masked;
+}
+
+// API 응답용: 인증 정보는 가린 값만
+function serializeConnection(connection) {
+  const { credentials, ...rest } = connection;
+  let plain = null;
+  let error = null;
+  try {
+    plain = decryptCredentials(credentials, connection);
+  } catch (e) {
+    error = e.message;
+  }
+
+  return {
+    ...rest,
+    encrypted: isEncrypted(credentials),
+    credentials: plain ? maskCredentials(connection.provider, plain) : null,
+    credentialsError: error,
+  };
+}
+
+/**
+ * 평문 행과 예전 키로 암호화된 행을 현재 키로 다시 암호화
+ * - userId 가 없으면 전체 행
+ * - 그 사이 수정된 행은 건너뜀(updatedAt 조건)
+ */
+async function reencryptChannelCredentials(db, { userId } = {}) {
+  const connections = await db.channelConnection.findMany({
+    where: userId ? { userId } : {},
+    orderBy: { id: "asc" },
+  });
+
+  let updated = 0;
+  const failed = [];
+  for (const connection of connections) {
+    if (!needsReencrypt(connection.credentials)) continue;
+
+    try {
+      const plain = decryptCredentials(connection.credentials, connection);
+      const result = await db.channelConnection.updateMany({
+        where: { id: connection.id, updatedAt: connection.updatedAt },
+        data: { credentials: encryptCredentials(plain, connection) },
+      });
+      if (result.count === 1) updated += 1;
+    } catch (e) {
+      failed.push({ id: connection.id, provider: connection.provider, message: e.message });
+    }
+  }
+
+  return { scanned: connections.length, updated, failed };
+}
+
+export {
+  isEncrypted,
+  encryptCredentials,
+  decryptCredentials,
+  needsReencrypt,
+  maskCredentials,
+  mergeCredentials,
+  serializeConnection,
+  reencryptChannelCredentials,
+};
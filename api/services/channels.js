@@ -0,0 +1,25 @@
+import { getProviderClient } from "../../integrations/providers/index.js";
+import { decryptCredentials } from "./channelCredentials.js";
+
+// 판매 채널 연결(ChannelConnection) → 마켓 어댑터
+// - ETC(직접 관리 채널)는 연결 없이도 사용
+// - 연결이 없거나 꺼져 있으면 NOT_CONNECTED(다시 시도해도 소용없는 오류)
+async function getChannelClient(db, { userId, provider, options }) {
+  const connection = await db.channelConnection.findUnique({
+    where: { userId_provider: { userId, provider } },
+  });
+
+  if (!connection || !connection.isActive) {
+    if (provider === "ETC") return getProviderClient(provider, options);
+
+    const error = new Error(`${provider} is not connected`);
+    error.code = "NOT_CONNECTED";
+    error.retryable = false;
+    throw error;
+  }
+
+  const credentials = decryptCredentials(connection.credentials, connection);
+  return getProviderClient(provider, { ...options, credentials });
+}
+
+export { getChannelClient };
@@ -0,0 +1,236 @@
+// 원가 계산(COGS)
+// - 수량은 IN / OUT / ADJUSTMENT 기록으로, 단가는 PURCHASE 매입가로 결정
+// - IN: purchaseId 로 연결된 구매의 매입가, 연결이 없으면 직전 매입가(없으면 현재 평균 단가)
+// - ADJUSTMENT(+): 현재 평균 단가로 입고, ADJUSTMENT(-) / WRITE_OFF: 재고 감소(판매 원가에는 포함하지 않음)
+// - RETURN(재입고): 원래 판매의 출고 단가로 다시 입고, 격리된 반품은 재고에 넣지 않음
+// - ASSEMBLY_IN: 조립/해체 때 기록된 단가(price, 구성품 원가 합)로 입고, ASSEMBLY_OUT: 재고 감소
+// - OUT: FIFO 는 먼저 들어온 층부터, 이동평균(MOVING_AVERAGE)은 평균 단가로 차감
+// - 재고가 모자란 출고(음수 재고)는 마지막 단가로 계산하고, 이후 입고분이 먼저 부족분을 채움
+// - 창고 간 이동은 품목 전체 수량/금액을 바꾸지 않으므로 반영하지 않음
+
+const COSTING_METHODS = new Set(["MOVING_AVERAGE", "FIFO"]);
+const COSTING_RECORD_TYPES = [
+  "IN",
+  "OUT",
+  "ADJUSTMENT",
+  "RETURN",
+  "WRITE_OFF",
+  "ASSEMBLY_IN",
+  "ASSEMBLY_OUT",
+  "PURCHASE",
+];
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function createMovingAverage() {
+  let quantity = 0;
+  let value = 0;
+  let lastUnitCost = null;
+
+  return {
+    unitCost: () => (quantity > 0 ? value / quantity : lastUnitCost),
+    receive(qty, unitCost) {
+      if (quantity > 0) {
+        quantity += qty;
+        value += qty * unitCost;
+      } else {
+        // 음수 재고였다면 부족분을 먼저 채우고 남은 수량만 새 단가로
+        quantity += qty;
+        value = quantity > 0 ? quantity * unitCost : quantity * (lastUnitCost ?? unitCost);
+      }
+      lastUnitCost = quantity > 0 ? value / quantity : lastUnitCost ?? unitCost;
+    },
+    issue(qty) {
+      const unitCost = (quantity > 0 ? value / quantity : lastUnitCost) ?? 0;
+      quantity -= qty;
+      value = quantity === 0 ? 0 : value - qty * unitCost;
+      lastUnitCost = unitCost;
+      return { unitCost, cost: qty * unitCost };
+    },
+    totals: () => ({ quantity, value: quantity > 0 ? value : 0 }),
+    state: () => ({ quantity, value: quantity > 0 ? value : 0, layers: null }),
+  };
+}
+
+function createFifo() {
+  const layers = []; // [{ quantity, unitCost, date }]
+  let deficit = 0; // 음수 재고 수량
+  let lastUnitCost = null;
+
+  const onHand = () => layers.reduce((sum, l) => sum + l.quantity, 0);
+  const onHandValue = () => layers.reduce((sum, l) => sum + l.quantity * l.unitCost, 0);
+
+  return {
+    unitCost: () => {
+      const qty = onHand();
+      return qty > 0 ? onHandValue() / qty : lastUnitCost;
+    },
+    receive(qty, unitCost, date) {
+      const absorbed = Math.min(deficit, qty);
+      deficit -= absorbed;
+      if (qty - absorbed > 0) layers.push({ quantity: qty - absorbed, unitCost, date });
+      lastUnitCost = unitCost;
+    },
+    issue(qty) {
+      let left = qty;
+      let cost = 0;
+      while (left > 0 && layers.length > 0) {
+        const layer = layers[0];
+        const take = Math.min(layer.quantity, left);
+        cost += take * layer.unitCost;
+        layer.quantity -= take;
+        left -= take;
+        lastUnitCost = layer.unitCost;
+        if (layer.quantity === 0) layers.shift();
+      }
+      if (left > 0) {
+        cost += left * (lastUnitCost ?? 0);
+        deficit += left;
+      }
+      return { unitCost: qty > 0 ? cost / qty : 0, cost };
+    },
+    totals: () => ({ quantity: onHand() - deficit, value: onHandValue() }),
+    state: () => ({
+      quantity: onHand() - deficit,
+      value: onHandValue(),
+      layers: layers.map((l) => ({ ...l, unitCost: round2(l.unitCost) })),
+    }),
+  };
+}
+
+/**
+ * 한 품목의 기록을 시간순으로 재생해 원가 계산
+ * - records: 같은 품목의 재고 기록 + PURCHASE 기록(date, id 오름차순)
+ * - 반환: { quantity, value, unitCost, layers, issues, steps }
+ *   issues: Map(recordId → { quantity, unitCost, cost }) - OUT, ADJUSTMENT(-), WRITE_OFF, ASSEMBLY_OUT
+ *   steps : Map(recordId → { unitCost, averageCost, quantity, value }) - 재고 기록마다 처리 직후 상태
+ */
+function runCosting(records, method = "MOVING_AVERAGE") {
+  const engine = method === "FIFO" ? createFifo() : createMovingAverage();
+  const purchasePrice = new Map(
+    records.filter((r) => r.type === "PURCHASE").map((r) => [r.id, r.price ?? 0])
+  );
+  const issues = new Map();
+  const steps = new Map();
+  let lastPurchasePrice = null;
+
+  const recordStep = (id, unitCost) => {
+    const { quantity, value } = engine.totals();
+    steps.set(id, {
+      unitCost: round2(unitCost),
+      averageCost: round2(quantity > 0 ? value / quantity : engine.unitCost() ?? 0),
+      quantity,
+      value: round2(value),
+    });
+  };
+
+  for (const r of records) {
+    const count = Number(r.count ?? 0) || 0;
+
+    if (r.type === "PURCHASE") {
+      lastPurchasePrice = r.price ?? lastPurchasePrice;
+      continue;
+    }
+
+    // 격리된 반품은 재고/원가에 반영하지 않음
+    if (r.type === "RETURN" && r.restocked === false) continue;
+
+    const inbound =
+      r.type === "IN" ||
+      r.type === "RETURN" ||
+      r.type === "ASSEMBLY_IN" ||
+      (r.type === "ADJUSTMENT" && count > 0);
+    if (inbound) {
+      let unitCost;
+      if (r.type === "ASSEMBLY_IN") {
+        unitCost = r.price ?? engine.unitCost() ?? lastPurchasePrice ?? 0;
+      } else if (r.type === "RETURN") {
+        unitCost = issues.get(r.returnOfId)?.unitCost ?? engine.unitCost() ?? lastPurchasePrice ?? 0;
+      } else if (r.type === "IN") {
+        unitCost =
+          (r.purchaseId != null ? r.purchasePrice ?? purchasePrice.get(r.purchaseId) : null) ??
+          lastPurchasePrice ??
+          engine.unitCost() ??
+          0;
+      } else {
+        unitCost = engine.unitCost() ?? lastPurchasePrice ?? 0;
+      }
+      engine.receive(Math.abs(count), unitCost, r.date);
+      recordStep(r.id, unitCost);
+      continue;
+    }
+
+    const qty = Math.abs(count);
+    const { unitCost, cost } = engine.issue(qty);
+    issues.set(r.id, { quantity: qty, unitCost: round2(unitCost), cost: round2(cost) });
+    recordStep(r.id, unitCost);
+  }
+
+  const state = engine.state();
+  return {
+    quantity: state.quantity,
+    value: round2(state.value),
+    unitCost: state.quantity > 0 ? round2(state.value / state.quantity) : 0,
+    layers: state.layers,
+    issues,
+    steps,
+  };
+}
+
+async function getCostingMethod({ prisma, userId }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { costingMethod: true },
+  });
+  return user?.costingMethod ?? "MOVING_AVERAGE";
+}
+
+/**
+ * 품목별 원가 계산
+ * - itemIds 가 있으면 해당 품목만, asOf 가 있으면 그 시점까지의 기록만
+ * - method 를 생략하면 계정 설정(User.costingMethod)
+ * - 반환: { method, results: Map(itemId → runCosting 결과) }
+ */
+async function computeCosts({ prisma, userId, itemIds, asOf, method }) {
+  const costingMethod = method ?? (await getCostingMethod({ prisma, userId }));
+
+  const records = await prisma.record.findMany({
+    where: {
+      userId,
+      type: { in: COSTING_RECORD_TYPES },
+      ...(itemIds ? { itemId: { in: itemIds } } : {}),
+      ...(asOf ? { date: { lte: asOf } } : {}),
+    },
+    orderBy: [{ date: "asc" }, { id: "asc" }],
+    select: {
+      id: true,
+      itemId: true,
+      type: true,
+      price: true,
+      count: true,
+      date: true,
+      purchaseId: true,
+      returnOfId: true,
+      restocked: true,
+      purchase: { select: { price: true } },
+    },
+  });
+
+  const byItem = new Map();
+  for (const r of records) {
+    if (!byItem.has(r.itemId)) byItem.set(r.itemId, []);
+    // 입고 기록보다 나중 날짜의 구매에 연결된 경우도 매입가를 쓰도록 함께 전달
+    byItem.get(r.itemId).push({ ...r, purchasePrice: r.purchase?.price ?? null });
+  }
+
+  const results = new Map();
+  for (const [itemId, itemRecords] of byItem) {
+    results.set(itemId, runCosting(itemRecords, costingMethod));
+  }
+
+  return { method: costingMethod, results };
+}
+
+export { COSTING_METHODS, runCosting, getCostingMethod, computeCosts };
@@ -1,5 +1,6 @@
 import { calcStock } from "../utils/records.js";
-import { getProviderClient } from "../../integrations/providers/index.js";
+import { getKitAvailability, getKitComponents } from "./kits.js";
+import { getChannelClient } from "./channels.js";
 
 const DEFAULT_POLICY = {
   mode: "NORMAL",
@@ -22,7 +23,13 @@ function computeVisibleExclusive(centralStock) {
   return centralStock <= 0 ? 0 : centralStock;
 }
 
+// 세트 상품은 세트 재고 + 구성품 재고로 만들 수 있는 수량
 async function getCentralStock({ prisma, userId, itemId }) {
+  const components = await getKitComponents(prisma, { userId, kitItemId: itemId });
+  if (components.length > 0) {
+    const { available } = await getKitAvailability(prisma, { userId, kitItemId: itemId, components });
+    return available;
+  }
   return calcStock(prisma, userId, itemId);
 }
 
@@ -129,6 +136,15 @@ async function runInventorySyncJobs({ prisma, userId, limit = 20 }) {
   let succeeded = 0;
   let failed = 0;
 
+  // 같은 마켓은 어댑터 하나로(네이버 토큰 재사용)
+  const clients = new Map();
+  const clientOf = (provider) => {
+    if (!clients.has(provider)) {
+      clients.set(provider, getChannelClient(prisma, { userId, provider }));
+    }
+    return clients.get(provider);
+  };
+
   for (const job of jobs) {
     const locked = await prisma.inventorySyncJob.updateMany({
       where: {
@@ -150,7 +166,7 @@ async function runInventorySyncJobs({ prisma, userId, limit = 20 }) {
         throw new Error("listing missing");
       }
 
-      const client = getProviderClient(job.provider);
+      const client = await clientOf(job.provider);
       const result = await client.updateStock({
         listing: job.listing,
         targetQty: job.targetQty,
@@ -172,8 +188,11 @@ async function runInventorySyncJobs({ prisma, userId, limit = 20 }) {
     } catch (error) {
       const attempts = job.attempts + 1;
       const delayMinutes = computeBackoffMinutes(attempts);
-      const nextRunAt = new Date(Date.now() + delayMinutes * 60 * 1000);
-      const terminal = attempts >= 5;
+      // 429 의 Retry-After 가 더 길면 그만큼 기다림
+      const delayMs = Math.max(delayMinutes * 60 * 1000, (error?.retryAfter ?? 0) * 1000);
+      const nextRunAt = new Date(Date.now() + delayMs);
+      // 인증 실패, 연결 없음 등은 다시 시도해도 소용없음
+      const terminal = attempts >= 5 || error?.retryable === false;
 
       await prisma.inventorySyncJob.update({
         where: { id: job.id },
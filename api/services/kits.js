@@ -0,0 +1,332 @@
+import { computeCosts } from "./costing.js";
+import { getBinStock, getWarehouseStock, lockItemStock } from "./warehouseStock.js";
+import { calcStock } from "../utils/records.js";
+
+// 세트 상품(kit)
+// - 세트는 구성품(KitComponent)과 세트 1개당 필요 수량으로 정의(세트는 다른 세트의 구성품이 될 수 없음)
+// - 판매 가능 수량 = 세트 재고(미리 조립해 둔 수량) + 구성품 재고로 만들 수 있는 수량
+// - 세트 판매(OUT): 세트 재고를 먼저 쓰고 모자란 수량은 판매 직전에 자동 조립(ASSEMBLE)
+//   구성품 ASSEMBLY_OUT → 세트 ASSEMBLY_IN(구성품 원가 합) → 세트 OUT 순서라 원가 계산이 그대로 맞음
+// - 세트 반품(RETURN, 재입고): 원래 판매에서 자동 조립한 수량까지 자동 해체(DISASSEMBLE)해 구성품 재고로 되돌림
+// - 미리 조립/해체: 판매와 상관없이 세트 재고를 만들거나(ASSEMBLE) 구성품으로 되돌림(DISASSEMBLE)
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+async function getKitComponents(db, { userId, kitItemId }) {
+  return db.kitComponent.findMany({
+    where: { userId, kitItemId },
+    orderBy: { id: "asc" },
+    select: {
+      componentItemId: true,
+      quantity: true,
+      componentItem: { select: { id: true, name: true, size: true, sku: true } },
+    },
+  });
+}
+
+// 품목 재고: warehouseId / binId 가 있으면 전체 재고와 창고(로케이션) 재고 중 작은 값(OUT 체크와 같은 기준)
+async function getUsableStock(db, { userId, itemId, warehouseId, binId }) {
+  const total = await calcStock(db, userId, itemId);
+  if (!warehouseId) return total;
+  const inWarehouse = binId
+    ? await getBinStock({ prisma: db, userId, itemId, warehouseId, binId })
+    : await getWarehouseStock({ prisma: db, userId, itemId, warehouseId });
+  return Math.min(total, inWarehouse);
+}
+
+/**
+ * 세트 판매 가능 수량
+ * - components 를 생략하면 세트 정의를 조회
+ * - binId 를 주면 그 로케이션 재고 기준(자동 조립도 같은 로케이션에서)
+ * - 반환: { stock, buildable, available, components: [{ itemId, item, quantity, stock, buildable }] }
+ *   stock: 세트 재고, buildable: 구성품으로 만들 수 있는 세트 수량
+ */
+async function getKitAvailability(db, { userId, kitItemId, warehouseId, binId, components }) {
+  const list = components ?? (await getKitComponents(db, { userId, kitItemId }));
+
+  const [stock, componentStocks] = await Promise.all([
+    getUsableStock(db, { userId, itemId: kitItemId, warehouseId, binId }),
+    Promise.all(
+      list.map((c) =>
+        getUsableStock(db, { userId, itemId: c.componentItemId, warehouseId, binId })
+      )
+    ),
+  ]);
+
+  const rows = list.map((c, i) => ({
+    itemId: c.componentItemId,
+    item: c.componentItem ?? null,
+    quantity: c.quantity,
+    stock: componentStocks[i],
+    buildable: Math.max(0, Math.floor(componentStocks[i] / c.quantity)),
+  }));
+  const buildable = rows.length > 0 ? Math.min(...rows.map((r) => r.buildable)) : 0;
+
+  return { stock, buildable, available: Math.max(0, stock) + buildable, components: rows };
+}
+
+/**
+ * 세트 판매 계획(트랜잭션 안에서 세트와 구성품 재고를 잠근 뒤 호출)
+ * - 세트 재고로 부족한 수량(shortfall)은 자동 조립
+ * - 반환: { ok: true, shortfall, components } | { ok: false, available }
+ */
+async function planKitSale(db, { userId, kitItemId, count, warehouseId, binId, components }) {
+  const list = components ?? (await getKitComponents(db, { userId, kitItemId }));
+  const availability = await getKitAvailability(db, {
+    userId,
+    kitItemId,
+    warehouseId,
+    binId,
+    components: list,
+  });
+  if (count > availability.available) return { ok: false, available: availability.available };
+
+  const shortfall = Math.max(0, count - Math.max(0, availability.stock));
+  return { ok: true, shortfall, components: list };
+}
+
+// 구성품 단가(asOf 시점, 계정의 원가 계산 방식) → { unitCost(세트 1개), componentCosts: Map(itemId → 단가) }
+async function rollUpKitCost(db, { userId, components, asOf }) {
+  const { results } = await computeCosts({
+    prisma: db,
+    userId,
+    itemIds: components.map((c) => c.componentItemId),
+    asOf,
+  });
+
+  const componentCosts = new Map(
+    components.map((c) => [c.componentItemId, results.get(c.componentItemId)?.unitCost ?? 0])
+  );
+  const unitCost = components.reduce(
+    (sum, c) => sum + componentCosts.get(c.componentItemId) * c.quantity,
+    0
+  );
+  return { unitCost: round2(unitCost), componentCosts };
+}
+
+/**
+ * 조립/해체 문서와 재고 기록 생성(트랜잭션 안에서 호출)
+ * - ASSEMBLE   : 구성품 ASSEMBLY_OUT(필요 수량 x quantity) → 세트 ASSEMBLY_IN(단가 = 구성품 원가 합)
+ * - DISASSEMBLE: 세트 ASSEMBLY_OUT → 구성품 ASSEMBLY_IN(단가 = 구성품 현재 단가)
+ * - components: [{ componentItemId, quantity }] (세트 1개 기준)
+ */
+async function createKitAssembly(
+  tx,
+  { userId, type, kitItemId, quantity, components, warehouseId, binId, date, memo, sourceRecordId }
+) {
+  const { unitCost, componentCosts } = await rollUpKitCost(tx, { userId, components, asOf: date });
+
+  const assembly = await tx.kitAssembly.create({
+    data: {
+      userId,
+      type,
+      kitItemId,
+      quantity,
+      unitCost,
+      date,
+      memo: memo ?? null,
+      warehouseId: warehouseId ?? null,
+      sourceRecordId: sourceRecordId ?? null,
+    },
+  });
+
+  const base = {
+    userId,
+    date,
+    warehouseId: warehouseId ?? null,
+    binId: binId ?? null,
+    kitAssemblyId: assembly.id,
+  };
+  const kitRecord = (recordType) => ({
+    ...base,
+    itemId: kitItemId,
+    type: recordType,
+    count: quantity,
+    price: recordType === "ASSEMBLY_IN" ? Math.round(unitCost) : null,
+    memo: `${type === "ASSEMBLE" ? "세트 조립" : "세트 해체"} #${assembly.id}`,
+  });
+  const componentRecords = (recordType) =>
+    components.map((c) => ({
+      ...base,
+      itemId: c.componentItemId,
+      type: recordType,
+      count: c.quantity * quantity,
+      price: recordType === "ASSEMBLY_IN" ? Math.round(componentCosts.get(c.componentItemId)) : null,
+      memo: `${type === "ASSEMBLE" ? "세트 조립 구성품" : "세트 해체 구성품"} #${assembly.id}`,
+    }));
+
+  const rows =
+    type === "ASSEMBLE"
+      ? [...componentRecords("ASSEMBLY_OUT"), kitRecord("ASSEMBLY_IN")]
+      : [kitRecord("ASSEMBLY_OUT"), ...componentRecords("ASSEMBLY_IN")];
+  // 원가 계산은 (date, id) 순서라 하나씩 만들어 순서를 보장
+  for (const data of rows) {
+    await tx.record.create({ data });
+  }
+
+  return assembly;
+}
+
+// 재고를 줄이는 품목들을 잠그고 확인(트랜잭션 안에서 호출)
+// - needs: [{ itemId, requested }]
+// - 데드락 방지를 위해 품목 id 순서대로 잠금
+// - 반환: 부족한 품목 목록 [{ itemId, requested, available }]
+async function checkKitStock(tx, { userId, needs, warehouseId, binId }) {
+  const itemIds = [...new Set(needs.map((n) => n.itemId))].sort((a, b) => a - b);
+  for (const itemId of itemIds) {
+    await lockItemStock(tx, itemId);
+  }
+
+  const shortages = [];
+  for (const need of needs) {
+    const available = await getUsableStock(tx, { userId, itemId: need.itemId, warehouseId, binId });
+    if (need.requested > available) shortages.push({ ...need, available });
+  }
+  return shortages;
+}
+
+/**
+ * 미리 조립/해체(트랜잭션 안에서 호출)
+ * - 조립은 구성품, 해체는 세트 재고를 잠근 뒤 확인하고 문서 생성
+ * - 반환: { ok: true, assembly } | { ok: false, shortages }
+ */
+async function runKitAssembly(
+  tx,
+  { userId, type, kitItemId, quantity, components, warehouseId, binId, date, memo }
+) {
+  const needs =
+    type === "ASSEMBLE"
+      ? components.map((c) => ({ itemId: c.componentItemId, requested: c.quantity * quantity }))
+      : [{ itemId: kitItemId, requested: quantity }];
+
+  const shortages = await checkKitStock(tx, { userId, needs, warehouseId, binId });
+  if (shortages.length > 0) return { ok: false, shortages };
+
+  const assembly = await createKitAssembly(tx, {
+    userId,
+    type,
+    kitItemId,
+    quantity,
+    components,
+    warehouseId,
+    binId,
+    date,
+    memo,
+  });
+  return { ok: true, assembly };
+}
+
+/**
+ * 미리 조립/해체 문서 삭제(트랜잭션 안에서 호출)
+ * - 판매/반품 때 자동으로 만든 문서는 그 기록을 지울 때 함께 삭제되므로 여기서는 다루지 않음
+ * - 만들어진 쪽(ASSEMBLY_IN) 재고가 그대로 남아 있어야 삭제 가능
+ * - 반환: { ok: true } | { ok: false, shortages }
+ */
+async function deleteKitAssembly(tx, { userId, assembly }) {
+  const produced = await tx.record.findMany({
+    where: { userId, kitAssemblyId: assembly.id, type: "ASSEMBLY_IN" },
+    select: { itemId: true, count: true, binId: true },
+  });
+
+  const shortages = await checkKitStock(tx, {
+    userId,
+    needs: produced.map((r) => ({ itemId: r.itemId, requested: r.count })),
+    warehouseId: assembly.warehouseId,
+    binId: produced[0]?.binId ?? null,
+  });
+  if (shortages.length > 0) return { ok: false, shortages };
+
+  // 문서를 지우면 연결된 ASSEMBLY_IN / ASSEMBLY_OUT 기록도 함께 삭제(cascade)
+  await tx.kitAssembly.delete({ where: { id: assembly.id } });
+  return { ok: true };
+}
+
+/**
+ * 세트 판매 기록 생성(트랜잭션 안에서 호출)
+ * - plan.shortfall 만큼 먼저 자동 조립하고 판매 기록에 연결
+ * - data / select: tx.record.create 에 그대로 전달
+ */
+async function createKitSale(tx, { userId, kitItemId, plan, data, select }) {
+  const assembly =
+    plan.shortfall > 0
+      ? await createKitAssembly(tx, {
+          userId,
+          type: "ASSEMBLE",
+          kitItemId,
+          quantity: plan.shortfall,
+          components: plan.components,
+          warehouseId: data.warehouseId,
+          binId: data.binId,
+          date: data.date,
+          memo: "세트 판매 자동 조립",
+        })
+      : null;
+
+  const record = await tx.record.create({ data, select });
+  if (assembly) {
+    await tx.kitAssembly.update({ where: { id: assembly.id }, data: { sourceRecordId: record.id } });
+  }
+  return record;
+}
+
+/**
+ * 세트 반품(재입고) 후 자동 해체(트랜잭션 안에서 호출)
+ * - 원래 판매에서 자동 조립한 수량 중 아직 해체하지 않은 수량까지만(미리 조립해 둔 세트는 세트 재고로 남김)
+ * - 구성은 판매 당시 조립 기록 기준(이후 세트 정의가 바뀌어도 같은 구성품으로 되돌림)
+ * - 반환: 해체 문서 | null
+ */
+async function disassembleReturnedKit(tx, { userId, record }) {
+  if (record.type !== "RETURN" || record.restocked === false || !record.returnOfId) return null;
+
+  const assembled = await tx.kitAssembly.findFirst({
+    where: { userId, type: "ASSEMBLE", sourceRecordId: record.returnOfId },
+    select: {
+      id: true,
+      kitItemId: true,
+      quantity: true,
+      records: { where: { type: "ASSEMBLY_OUT" }, select: { itemId: true, count: true } },
+    },
+  });
+  if (!assembled) return null;
+
+  const disassembled = await tx.kitAssembly.aggregate({
+    where: {
+      userId,
+      type: "DISASSEMBLE",
+      sourceRecord: { returnOfId: record.returnOfId },
+    },
+    _sum: { quantity: true },
+  });
+  const quantity = Math.min(record.count, assembled.quantity - (disassembled._sum.quantity ?? 0));
+  if (quantity <= 0) return null;
+
+  return createKitAssembly(tx, {
+    userId,
+    type: "DISASSEMBLE",
+    kitItemId: assembled.kitItemId,
+    quantity,
+    components: assembled.records.map((r) => ({
+      componentItemId: r.itemId,
+      quantity: r.count / assembled.quantity,
+    })),
+    warehouseId: record.warehouseId,
+    binId: record.binId,
+    date: record.date,
+    memo: "세트 반품 자동 해체",
+    sourceRecordId: record.id,
+  });
+}
+
+export {
+  getKitComponents,
+  getKitAvailability,
+  planKitSale,
+  rollUpKitCost,
+  createKitAssembly,
+  runKitAssembly,
+  deleteKitAssembly,
+  createKitSale,
+  disassembleReturnedKit,
+};
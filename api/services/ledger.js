@@ -0,0 +1,290 @@
+import { getCostingMethod, runCosting } from "./costing.js";
+import { stockDeltaOf } from "../utils/records.js";
+
+// 품목 수불부(원장)
+// - 재고 기록(IN/OUT/ADJUSTMENT/RETURN/WRITE_OFF/ASSEMBLY_IN/ASSEMBLY_OUT)과 재고 이동(출발/도착)을 시간순으로 나열하고 누적 잔량/평균 단가를 붙임
+// - warehouseId 가 없으면 품목 전체 잔량(calcStock 과 같은 기준): 이동은 잔량을 바꾸지 않으므로 change=0
+// - warehouseId 가 있으면 그 창고 잔량(창고별 재고와 같은 기준)
+//   - 출발: 출발 창고 -quantity
+//   - 도착/취소: 도착 창고 +receivedQuantity, 받지 못한 수량은 출발 창고로 복귀(미착 손실은 별도 ADJUSTMENT 기록)
+//   - 진행 중인 이동의 부분 입고분은 입고 시각이 기록되지 않아 출발 시각에 표시
+// - 같은 창고 안 로케이션 이동(적치/피킹)은 창고 잔량을 바꾸지 않으므로 change=0
+
+const LEDGER_RECORD_TYPES = [
+  "IN",
+  "OUT",
+  "ADJUSTMENT",
+  "RETURN",
+  "WRITE_OFF",
+  "ASSEMBLY_IN",
+  "ASSEMBLY_OUT",
+  "PURCHASE",
+];
+
+function recordKind(r) {
+  if (r.type === "IN") return r.purchaseId ? "ARRIVAL" : "IN";
+  if (r.type === "OUT") return "OUT";
+  if (r.type === "RETURN") return r.restocked === false ? "RETURN_QUARANTINED" : "RETURN";
+  if (r.type === "WRITE_OFF") return "WRITE_OFF";
+  // 세트 조립/해체: ASSEMBLE_IN(세트 생산) / ASSEMBLE_OUT(구성품 소모) / DISASSEMBLE_OUT / DISASSEMBLE_IN
+  if (r.type === "ASSEMBLY_IN" || r.type === "ASSEMBLY_OUT") {
+    return `${r.kitAssembly?.type ?? "ASSEMBLE"}_${r.type === "ASSEMBLY_IN" ? "IN" : "OUT"}`;
+  }
+  if (r.auditId) return "AUDIT_ADJUSTMENT";
+  if (r.transferId) return "TRANSFER_SHORTAGE";
+  return "ADJUSTMENT";
+}
+
+function recordSource(r) {
+  if (r.purchase) {
+    return {
+      type: "PURCHASE",
+      id: r.purchase.id,
+      purchaseOrderId: r.purchase.purchaseOrderId,
+      orderNo: r.purchase.purchaseOrder?.orderNo ?? null,
+      href: r.purchase.purchaseOrderId ? `/api/purchase-orders/${r.purchase.purchaseOrderId}` : null,
+    };
+  }
+  if (r.audit) {
+    return {
+      type: "STOCK_AUDIT",
+      id: r.audit.id,
+      sessionId: r.audit.sessionId,
+      href: r.audit.sessionId ? `/api/stock-audits/sessions/${r.audit.sessionId}` : null,
+    };
+  }
+  if (r.transfer) return transferSource(r.transfer);
+  if (r.kitAssembly) {
+    return {
+      type: "KIT_ASSEMBLY",
+      id: r.kitAssembly.id,
+      kitItemId: r.kitAssembly.kitItemId,
+      sourceRecordId: r.kitAssembly.sourceRecordId,
+      href: `/api/kits/assemblies/${r.kitAssembly.id}`,
+    };
+  }
+  if (r.returnOfId) return { type: "SALE", id: r.returnOfId, href: null };
+  return null;
+}
+
+function transferSource(t) {
+  return {
+    type: "STOCK_TRANSFER",
+    id: t.id,
+    documentId: t.documentId,
+    href: t.documentId ? `/api/stock-transfers/documents/${t.documentId}` : null,
+  };
+}
+
+// 재고 이동 1건 → 원장 항목(출발 / 도착), 출발한 이동만(dispatchedAt 있음)
+function transferEntries(t, warehouseId) {
+  const sameWarehouse = t.fromWarehouseId === t.toWarehouseId;
+  const base = {
+    itemId: t.itemId,
+    fromWarehouseId: t.fromWarehouseId,
+    toWarehouseId: t.toWarehouseId,
+    fromBinId: t.fromBinId,
+    toBinId: t.toBinId,
+    memo: t.reason ?? null,
+    source: transferSource(t),
+  };
+  const changeFor = (fromQty, toQty) => {
+    if (warehouseId == null || sameWarehouse) return 0;
+    if (t.fromWarehouseId === warehouseId) return fromQty;
+    if (t.toWarehouseId === warehouseId) return toQty;
+    return 0;
+  };
+
+  if (sameWarehouse) {
+    return [
+      {
+        ...base,
+        key: `t${t.id}`,
+        date: t.receivedAt ?? t.dispatchedAt,
+        kind: "BIN_MOVE",
+        quantity: t.receivedQuantity,
+        change: 0,
+      },
+    ];
+  }
+
+  const entries = [
+    {
+      ...base,
+      key: `t${t.id}d`,
+      date: t.dispatchedAt,
+      kind: "TRANSFER_OUT",
+      quantity: t.quantity,
+      change: changeFor(-t.quantity, 0),
+    },
+  ];
+
+  const settledAt = t.status === "RECEIVED" ? t.receivedAt : t.status === "CANCELLED" ? t.cancelledAt : null;
+  if (settledAt || t.receivedQuantity > 0) {
+    const returned = settledAt ? t.quantity - t.receivedQuantity : 0;
+    entries.push({
+      ...base,
+      key: `t${t.id}r`,
+      date: settledAt ?? t.dispatchedAt,
+      kind: t.status === "CANCELLED" ? "TRANSFER_CANCELLED" : "TRANSFER_IN",
+      quantity: t.receivedQuantity,
+      returned,
+      partial: !settledAt,
+      change: changeFor(returned, t.receivedQuantity),
+    });
+  }
+
+  return entries;
+}
+
+// 원장 정렬: 같은 시각이면 기록 → 이동 순, 그 안에서는 id 순
+function ledgerRank(e) {
+  return e.key.startsWith("r") ? 0 : 1;
+}
+
+function compareLedgerEntries(a, b) {
+  const idOf = (e) => parseInt(e.key.slice(1), 10);
+  return (
+    a.date - b.date ||
+    ledgerRank(a) - ledgerRank(b) ||
+    idOf(a) - idOf(b) ||
+    a.key.localeCompare(b.key)
+  );
+}
+
+// 페이지 커서: `${date ISO}~${key}` (그 항목이 지워져도 정렬 위치로 이어서 조회)
+function encodeLedgerCursor(entry) {
+  return `${new Date(entry.date).toISOString()}~${entry.key}`;
+}
+
+function decodeLedgerCursor(raw) {
+  const [iso, key] = String(raw ?? "").split("~");
+  const date = new Date(iso);
+  if (!key || !/^[rt]\d+[dr]?$/.test(key) || Number.isNaN(date.getTime())) return null;
+  return { date, key };
+}
+
+/**
+ * 품목 원장 계산
+ * - 반환: { method, entries: [{ key, date, kind, change, balance, averageCost, ... }] } (시간순)
+ * - 누적 잔량/평균 단가는 처음부터 다시 계산해야 하므로 필터/페이지는 호출하는 쪽에서 적용
+ * - until 을 주면 그 시각 이전 항목까지만(이후 기록은 앞의 잔량/단가에 영향이 없으므로 읽지 않음)
+ */
+async function buildItemLedger({ prisma, userId, itemId, warehouseId, until }) {
+  const [method, records, transfers] = await Promise.all([
+    getCostingMethod({ prisma, userId }),
+    prisma.record.findMany({
+      where: {
+        userId,
+        itemId,
+        type: { in: LEDGER_RECORD_TYPES },
+        ...(until ? { date: { lt: until } } : {}),
+      },
+      orderBy: [{ date: "asc" }, { id: "asc" }],
+      select: {
+        id: true,
+        type: true,
+        price: true,
+        count: true,
+        date: true,
+        memo: true,
+        warehouseId: true,
+        binId: true,
+        purchaseId: true,
+        transferId: true,
+        auditId: true,
+        returnOfId: true,
+        restocked: true,
+        reason: true,
+        purchase: {
+          select: {
+            id: true,
+            price: true,
+            purchaseOrderId: true,
+            purchaseOrder: { select: { orderNo: true } },
+          },
+        },
+        transfer: { select: { id: true, documentId: true } },
+        audit: { select: { id: true, sessionId: true } },
+        kitAssembly: { select: { id: true, type: true, kitItemId: true, sourceRecordId: true } },
+      },
+    }),
+    prisma.stockTransfer.findMany({
+      // 초안에서 취소된 이동은 출발하지 않았으므로 제외
+      where: { userId, itemId, status: { not: "DRAFT" }, dispatchedAt: { not: null } },
+      select: {
+        id: true,
+        itemId: true,
+        status: true,
+        quantity: true,
+        receivedQuantity: true,
+        reason: true,
+        fromWarehouseId: true,
+        toWarehouseId: true,
+        fromBinId: true,
+        toBinId: true,
+        documentId: true,
+        dispatchedAt: true,
+        receivedAt: true,
+        cancelledAt: true,
+      },
+    }),
+  ]);
+
+  const { steps } = runCosting(
+    records.map((r) => ({ ...r, purchasePrice: r.purchase?.price ?? null })),
+    method
+  );
+
+  const entries = [];
+  for (const r of records) {
+    if (r.type === "PURCHASE") continue;
+    const step = steps.get(r.id);
+    const change = stockDeltaOf(r);
+    entries.push({
+      key: `r${r.id}`,
+      date: r.date,
+      kind: recordKind(r),
+      recordId: r.id,
+      quantity: Math.abs(r.count ?? 0),
+      change: warehouseId == null || r.warehouseId === warehouseId ? change : 0,
+      inWarehouse: warehouseId == null || r.warehouseId === warehouseId,
+      warehouseId: r.warehouseId,
+      binId: r.binId,
+      price: r.price,
+      reason: r.reason,
+      unitCost: step?.unitCost ?? null,
+      averageCost: step?.averageCost ?? null,
+      memo: r.memo,
+      source: recordSource(r),
+    });
+  }
+  for (const t of transfers) {
+    for (const entry of transferEntries(t, warehouseId)) {
+      entries.push({
+        ...entry,
+        inWarehouse:
+          warehouseId == null || t.fromWarehouseId === warehouseId || t.toWarehouseId === warehouseId,
+      });
+    }
+  }
+
+  entries.sort(compareLedgerEntries);
+
+  let balance = 0;
+  let averageCost = 0;
+  const ledger = [];
+  for (const entry of entries) {
+    if (until && entry.date >= until) break;
+    if (entry.averageCost != null) averageCost = entry.averageCost;
+    if (!entry.inWarehouse) continue;
+
+    balance += entry.change;
+    const { inWarehouse, ...rest } = entry;
+    ledger.push({ ...rest, balance, averageCost });
+  }
+
+  return { method, entries: ledger };
+}
+
+export { buildItemLedger, compareLedgerEntries, encodeLedgerCursor, decodeLedgerCursor };
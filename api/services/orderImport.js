@@ -0,0 +1,487 @@
+import { calcStock } from "../utils/records.js";
+import { getChannelClient } from "./channels.js";
+import { findClosedPeriod } from "./periodLocks.js";
+import { getReturnableQuantity } from "./returns.js";
+import { createKitSale, getKitComponents, planKitSale } from "./kits.js";
+import { getDefaultWarehouseId, getWarehouseStock, lockItemStock } from "./warehouseStock.js";
+
+// 마켓 주문 가져오기
+// - 연결(ChannelConnection)마다 어댑터 fetchOrders 로 변경된 주문을 받아 라인(ChannelOrderLine) 단위로 처리
+// - 결제 완료 라인: ChannelListing(상품/옵션 ID) → ExternalSkuMap(SKU) 순서로 품목을 찾아 OUT 한 건 생성
+//   (provider + externalOrderId = 마켓 주문 번호, 세트는 자동 조립과 함께)
+// - 취소 라인: 가져온 판매(OUT)를 삭제해서 되돌림(세트 자동 조립도 함께 삭제)
+// - 반품/교환 라인: 판매는 그대로 두고 검토 대기열로(반품 요청(RMA)으로 입고/검수)
+// - 품목을 못 찾으면 UNMAPPED, 재고 부족/마감된 기간/부분 취소 등 처리할 수 없으면 FAILED 로 검토 대기열에
+
+const REVIEW_STATUSES = ["UNMAPPED", "FAILED"];
+// 아직 판매를 만들지 않은 라인(다시 처리 가능)
+const OPEN_STATUSES = ["PENDING", "UNMAPPED", "FAILED"];
+
+// 이전 조회와 겹치게 가져와서 마켓 반영 지연으로 빠지는 주문이 없도록(중복은 라인 키로 걸러짐)
+const SYNC_OVERLAP_MS = 10 * 60 * 1000;
+const DEFAULT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// 마켓 일시: ISO 또는 yyyyMMddHHmm(ss)(한국 시간)
+function parseOrderedAt(value) {
+  const compact = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?$/.exec(String(value ?? ""));
+  if (compact) {
+    const [, y, M, d, h, mi, s] = compact.map(Number);
+    return new Date(Date.UTC(y, M - 1, d, h - 9, mi, s || 0));
+  }
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : new Date();
+}
+
+function trimOrNull(v) {
+  return v == null || String(v).trim() === "" ? null : String(v).trim();
+}
+
+/* ================= 품목 매핑 ================= */
+
+async function loadItemMappings(db, { userId, provider }) {
+  const [listings, skuMaps] = await Promise.all([
+    db.channelListing.findMany({
+      where: { userId, provider },
+      select: { itemId: true, channelProductId: true, channelOptionId: true, externalSku: true },
+    }),
+    db.externalSkuMap.findMany({
+      where: { userId, provider },
+      select: { itemId: true, externalSku: true },
+    }),
+  ]);
+  return { listings, skuMap: new Map(skuMaps.map((m) => [m.externalSku, m.itemId])) };
+}
+
+/**
+ * 주문 라인 → 품목
+ * 1. 옵션 ID 가 같은 리스팅(상품 ID 도 있으면 같아야 함)
+ * 2. 옵션 없이 등록한 리스팅 중 상품 ID 가 같은 것
+ * 3. 옵션 없이 등록한 리스팅 중 상품 ID 칸에 옵션 ID 를 넣어 둔 것(쿠팡 vendorItemId)
+ * 4. SKU: ExternalSkuMap → 리스팅의 externalSku
+ * - 반환: { itemId } | { itemId: null, message }
+ */
+function resolveOrderLineItem({ listings, skuMap }, line) {
+  const matches = (pred) => [...new Set(listings.filter(pred).map((l) => l.itemId))];
+  const { productId, optionId, sku } = line;
+
+  let itemIds = [];
+  if (optionId) {
+    itemIds = matches(
+      (l) =>
+        l.channelOptionId === optionId &&
+        (!productId || !l.channelProductId || l.channelProductId === productId)
+    );
+  }
+  if (itemIds.length === 0 && productId) {
+    itemIds = matches((l) => !l.channelOptionId && l.channelProductId === productId);
+  }
+  if (itemIds.length === 0 && optionId) {
+    itemIds = matches((l) => !l.channelOptionId && l.channelProductId === optionId);
+  }
+  if (itemIds.length === 0 && sku) {
+    itemIds = skuMap.has(sku) ? [skuMap.get(sku)] : matches((l) => l.externalSku === sku);
+  }
+
+  if (itemIds.length === 1) return { itemId: itemIds[0] };
+  return {
+    itemId: null,
+    message:
+      itemIds.length > 1
+        ? `ambiguous mapping (items ${itemIds.join(", ")})`
+        : "no matching listing or SKU mapping",
+  };
+}
+
+/* ================= 라인 처리 ================= */
+
+// 아직 판매를 만들지 않은 라인만 상태 변경
+async function markOpenLine(db, line, data) {
+  await db.channelOrderLine.updateMany({
+    where: { id: line.id, status: { in: OPEN_STATUSES } },
+    data,
+  });
+}
+
+// 트랜잭션 안에서 재고 확인(OUT 입력과 같은 기준: 전체 재고와 창고 재고)
+async function usableStock(tx, { userId, itemId, warehouseId }) {
+  const total = await calcStock(tx, userId, itemId);
+  if (!warehouseId) return total;
+  const inWarehouse = await getWarehouseStock({ prisma: tx, userId, itemId, warehouseId });
+  return Math.min(total, inWarehouse);
+}
+
+/**
+ * 결제 완료 라인 → 판매(OUT)
+ * - itemId 를 주면 매핑 대신 그 품목으로(검토 대기열에서 직접 지정)
+ * - 반환: "imported" | "unmapped" | "failed" | "skipped"(다른 요청이 먼저 처리)
+ */
+async function importOrderLine(prisma, { userId, line, mappings, itemId }) {
+  const resolved = itemId ? { itemId } : resolveOrderLineItem(mappings, line);
+  if (!resolved.itemId) {
+    await markOpenLine(prisma, line, {
+      status: "UNMAPPED",
+      itemId: null,
+      message: resolved.message,
+    });
+    return "unmapped";
+  }
+
+  const fail = async (message) => {
+    await markOpenLine(prisma, line, { status: "FAILED", itemId: resolved.itemId, message });
+    return "failed";
+  };
+
+  if (!(line.quantity > 0)) return fail("quantity invalid");
+
+  const closed = await findClosedPeriod(prisma, { userId, dates: [line.orderedAt] });
+  if (closed) return fail(`period ${closed} is closed`);
+
+  const warehouseId = await getDefaultWarehouseId({ prisma, userId });
+  const components = await getKitComponents(prisma, { userId, kitItemId: resolved.itemId });
+  const data = {
+    userId,
+    itemId: resolved.itemId,
+    type: "OUT",
+    price: line.unitPrice,
+    count: line.quantity,
+    date: line.orderedAt,
+    memo: `${line.provider} 주문 ${line.orderId}`,
+    warehouseId,
+    binId: null,
+    provider: line.provider,
+    externalOrderId: line.orderId,
+  };
+
+  const result = await prisma.$transaction(async (tx) => {
+    // 품목(세트면 구성품까지) 재고를 잠그고 확인
+    const lockIds = [resolved.itemId, ...components.map((c) => c.componentItemId)];
+    for (const id of [...new Set(lockIds)].sort((a, b) => a - b)) {
+      await lockItemStock(tx, id);
+    }
+
+    let record;
+    if (components.length > 0) {
+      const plan = await planKitSale(tx, {
+        userId,
+        kitItemId: resolved.itemId,
+        count: line.quantity,
+        warehouseId,
+        components,
+      });
+      if (!plan.ok) return { ok: false, message: `재고 부족: 세트 판매 가능 수량(${plan.available})` };
+      record = await createKitSale(tx, {
+        userId,
+        kitItemId: resolved.itemId,
+        plan,
+        data,
+        select: { id: true },
+      });
+    } else {
+      const stock = await usableStock(tx, { userId, itemId: resolved.itemId, warehouseId });
+      if (line.quantity > stock) return { ok: false, message: `재고 부족: 현재 재고(${stock})` };
+      record = await tx.record.create({ data, select: { id: true } });
+    }
+
+    // 같은 라인을 동시에 처리한 요청이 있으면 되돌림
+    const claimed = await tx.channelOrderLine.updateMany({
+      where: { id: line.id, recordId: null, status: { in: OPEN_STATUSES } },
+      data: { status: "IMPORTED", itemId: resolved.itemId, recordId: record.id, message: null },
+    });
+    if (claimed.count !== 1) {
+      throw Object.assign(new Error("line already processed"), { claimed: false });
+    }
+    return { ok: true };
+  }).catch((e) => {
+    if (e?.claimed === false) return { ok: true, skipped: true };
+    throw e;
+  });
+
+  if (!result.ok) return fail(result.message);
+  return result.skipped ? "skipped" : "imported";
+}
+
+/**
+ * 취소 라인 → 가져온 판매(OUT) 삭제
+ * - 판매 전(미매핑/실패) 라인은 취소 처리만
+ * - 부분 취소, 마감된 기간, 반품이 있는 판매는 자동으로 되돌리지 않고 FAILED(검토 대기열)
+ * - 반환: "cancelled" | "failed" | "skipped"
+ */
+async function cancelOrderLine(prisma, { userId, line, cancelledQuantity }) {
+  if (line.status === "CANCELLED" || line.status === "IGNORED") return "skipped";
+
+  const cancel = async (where) => {
+    const result = await prisma.channelOrderLine.updateMany({
+      where: { id: line.id, ...where },
+      data: { status: "CANCELLED", recordId: null, message: null, cancelledAt: new Date() },
+    });
+    return result.count === 1 ? "cancelled" : "skipped";
+  };
+
+  if (!line.recordId) return cancel({ status: { in: OPEN_STATUSES } });
+
+  const fail = async (message) => {
+    await prisma.channelOrderLine.updateMany({
+      where: { id: line.id, recordId: line.recordId },
+      data: { status: "FAILED", message },
+    });
+    return "failed";
+  };
+
+  const sale = await prisma.record.findFirst({
+    where: { id: line.recordId, userId },
+    select: { id: true, count: true, date: true },
+  });
+  if (!sale) return cancel({ recordId: line.recordId });
+
+  if (cancelledQuantity > 0 && cancelledQuantity < sale.count) {
+    return fail(`partial cancellation (${cancelledQuantity} of ${sale.count}) needs review`);
+  }
+  const closed = await findClosedPeriod(prisma, { userId, dates: [sale.date] });
+  if (closed) return fail(`cancelled after period ${closed} was closed`);
+  if ((await getReturnableQuantity(prisma, { userId, sale })) < sale.count) {
+    return fail("cancelled sale has returns");
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const result = await tx.channelOrderLine.updateMany({
+      where: { id: line.id, recordId: sale.id },
+      data: { status: "CANCELLED", recordId: null, message: null, cancelledAt: new Date() },
+    });
+    if (result.count !== 1) return "skipped";
+    // 세트 판매의 자동 조립은 함께 삭제(cascade)
+    await tx.record.delete({ where: { id: sale.id } });
+    return "cancelled";
+  });
+}
+
+/**
+ * 배송 후 반품/교환된 라인
+ * - 판매 전 라인은 재고 변동이 없었으므로 취소 처리만
+ * - 가져온 판매는 삭제하지 않음: 반품이 기록될 때까지 FAILED(검토 대기열)로 두고,
+ *   반품 요청(RMA)으로 입고/검수한 뒤 다시 처리하면 IMPORTED 로 돌아감
+ * - 반환: "cancelled" | "returned" | "skipped"
+ */
+async function returnOrderLine(prisma, { userId, line }) {
+  if (line.status === "CANCELLED" || line.status === "IGNORED") return "skipped";
+
+  if (!line.recordId) {
+    const result = await prisma.channelOrderLine.updateMany({
+      where: { id: line.id, recordId: null, status: { in: OPEN_STATUSES } },
+      data: { status: "CANCELLED", message: null, cancelledAt: new Date() },
+    });
+    return result.count === 1 ? "cancelled" : "skipped";
+  }
+
+  const sale = await prisma.record.findFirst({
+    where: { id: line.recordId, userId },
+    select: { id: true, count: true },
+  });
+  const returnable = sale ? await getReturnableQuantity(prisma, { userId, sale }) : 0;
+  const recorded = !sale || returnable < sale.count;
+
+  await prisma.channelOrderLine.updateMany({
+    where: { id: line.id, recordId: line.recordId },
+    data: recorded
+      ? { status: "IMPORTED", message: null }
+      : {
+          status: "FAILED",
+          message: "returned or exchanged on marketplace: record it as a return authorization",
+        },
+  });
+  return recorded ? "skipped" : "returned";
+}
+
+// 어댑터 주문 라인 하나 처리 → 결과 이름
+async function processOrderLine(prisma, { userId, provider, order, mappings }) {
+  const orderId = trimOrNull(order.orderId);
+  const lineId = trimOrNull(order.lineId);
+  if (!orderId || !lineId || !["PAID", "CANCELLED", "RETURNED"].includes(order.status)) {
+    return "skipped";
+  }
+
+  const key = { userId_provider_orderId_lineId: { userId, provider, orderId, lineId } };
+  const line = await prisma.channelOrderLine.upsert({
+    where: key,
+    create: {
+      userId,
+      provider,
+      orderId,
+      lineId,
+      productId: trimOrNull(order.productId),
+      optionId: trimOrNull(order.optionId),
+      sku: trimOrNull(order.sku),
+      quantity: Math.trunc(Number(order.quantity) || 0),
+      unitPrice: order.unitPrice == null ? null : Math.round(Number(order.unitPrice)),
+      orderedAt: parseOrderedAt(order.orderedAt),
+      marketStatus: order.status,
+    },
+    update: order.status !== "PAID" ? { marketStatus: order.status } : {},
+  });
+
+  if (order.status === "RETURNED") return returnOrderLine(prisma, { userId, line });
+  if (order.status === "CANCELLED") {
+    return cancelOrderLine(prisma, {
+      userId,
+      line,
+      cancelledQuantity: Math.trunc(Number(order.quantity) || 0),
+    });
+  }
+  // 이미 판매가 있거나 취소된 주문(취소 되돌림 실패로 검토 중)은 다시 가져오지 않음
+  if (!OPEN_STATUSES.includes(line.status) || line.recordId || line.marketStatus !== "PAID") {
+    return "skipped";
+  }
+  return importOrderLine(prisma, { userId, line, mappings });
+}
+
+/**
+ * 연결 하나의 주문 가져오기
+ * - since 를 생략하면 지난 조회 시각(조금 겹치게), 처음이면 하루 전부터
+ * - 끝까지 다 읽었을 때만 다음 조회 시작 시각(ordersSyncedAt)을 옮김
+ * - 반환: { fetched, imported, cancelled, returned, unmapped, failed, skipped, complete }
+ */
+async function importChannelOrders({ prisma, userId, provider, since, until, maxPages = 50 }) {
+  const connection = await prisma.channelConnection.findUnique({
+    where: { userId_provider: { userId, provider } },
+    select: { id: true, ordersSyncedAt: true },
+  });
+  const client = await getChannelClient(prisma, { userId, provider });
+
+  const startedAt = new Date();
+  const from =
+    since ??
+    (connection?.ordersSyncedAt
+      ? new Date(connection.ordersSyncedAt.getTime() - SYNC_OVERLAP_MS)
+      : new Date(startedAt.getTime() - DEFAULT_LOOKBACK_MS));
+  const mappings = await loadItemMappings(prisma, { userId, provider });
+
+  const summary = {
+    fetched: 0,
+    imported: 0,
+    cancelled: 0,
+    returned: 0,
+    unmapped: 0,
+    failed: 0,
+    skipped: 0,
+  };
+  let cursor = null;
+  let pages = 0;
+  do {
+    const { orders, nextCursor } = await client.fetchOrders({ since: from, until, cursor });
+    for (const order of orders) {
+      summary.fetched += 1;
+      summary[await processOrderLine(prisma, { userId, provider, order, mappings })] += 1;
+    }
+    cursor = nextCursor;
+    pages += 1;
+  } while (cursor && pages < maxPages);
+
+  if (connection && !cursor && !until) {
+    await prisma.channelConnection.update({
+      where: { id: connection.id },
+      data: { ordersSyncedAt: startedAt },
+    });
+  }
+
+  return { ...summary, complete: !cursor };
+}
+
+/**
+ * 검토 대기열 라인 다시 처리
+ * - itemId 를 주면 그 품목으로, 없으면 현재 매핑으로
+ * - 취소된 주문인데 판매가 남아 있는 라인은 취소 처리를 다시 시도
+ * - 반품/교환된 라인은 반품이 기록됐는지 다시 확인
+ */
+async function retryOrderLine(prisma, { userId, line, itemId }) {
+  if (line.marketStatus === "CANCELLED") {
+    return cancelOrderLine(prisma, { userId, line, cancelledQuantity: 0 });
+  }
+  if (line.marketStatus === "RETURNED") return returnOrderLine(prisma, { userId, line });
+  if (!OPEN_STATUSES.includes(line.status)) return "skipped";
+
+  const mappings = itemId
+    ? null
+    : await loadItemMappings(prisma, { userId, provider: line.provider });
+  return importOrderLine(prisma, { userId, line, mappings, itemId });
+}
+
+/**
+ * 백업 복원(replace) 후 주문 라인과 복원된 판매를 다시 연결(트랜잭션 안에서 호출)
+ * - 기존 기록을 지우면 라인의 recordId 가 비어(SetNull) 이후 마켓 취소를 되돌리지 못하므로
+ * - 백업에 있던 라인은 기존 기록 id → 복원된 기록 id 로,
+ *   없으면 같은 마켓 주문 번호의 판매(OUT)가 하나뿐이고 그 주문의 끊긴 라인도 하나일 때만 연결
+ * - 연결하지 못한 라인은 FAILED(검토 대기열)
+ * - recordIdMap: { 백업 기록 id: 복원된 기록 id }
+ */
+async function relinkRestoredOrderLines(tx, { userId, backupLines, recordIdMap }) {
+  // 판매가 있던 라인: 가져온 라인, 취소/반품 처리를 기다리는 라인
+  const orphaned = await tx.channelOrderLine.findMany({
+    where: {
+      userId,
+      recordId: null,
+      OR: [{ status: "IMPORTED" }, { status: "FAILED", marketStatus: { not: "PAID" } }],
+    },
+    orderBy: { id: "asc" },
+    select: { id: true, provider: true, orderId: true, lineId: true },
+  });
+  if (orphaned.length === 0) return { relinked: 0, unlinked: 0 };
+
+  const keyOf = (l) => `${l.provider}:${l.orderId}:${l.lineId}`;
+  const backupRecordIds = new Map(
+    (backupLines ?? []).filter((l) => l.recordId).map((l) => [keyOf(l), l.recordId])
+  );
+  const orphansPerOrder = new Map();
+  for (const line of orphaned) {
+    const order = `${line.provider}:${line.orderId}`;
+    orphansPerOrder.set(order, (orphansPerOrder.get(order) ?? 0) + 1);
+  }
+  const linked = await tx.channelOrderLine.findMany({
+    where: { userId, recordId: { not: null } },
+    select: { recordId: true },
+  });
+  const linkedIds = new Set(linked.map((l) => l.recordId));
+
+  let relinked = 0;
+  let unlinked = 0;
+  for (const line of orphaned) {
+    let recordId = recordIdMap?.[backupRecordIds.get(keyOf(line))] ?? null;
+    if (!recordId && orphansPerOrder.get(`${line.provider}:${line.orderId}`) === 1) {
+      const sales = await tx.record.findMany({
+        where: { userId, type: "OUT", provider: line.provider, externalOrderId: line.orderId },
+        select: { id: true },
+      });
+      const free = sales.filter((s) => !linkedIds.has(s.id));
+      if (free.length === 1) recordId = free[0].id;
+    }
+
+    const record =
+      recordId && !linkedIds.has(recordId)
+        ? await tx.record.findFirst({ where: { id: recordId, userId }, select: { itemId: true } })
+        : null;
+    if (record) {
+      await tx.channelOrderLine.update({
+        where: { id: line.id },
+        data: { recordId, itemId: record.itemId },
+      });
+      linkedIds.add(recordId);
+      relinked += 1;
+    } else {
+      await tx.channelOrderLine.update({
+        where: { id: line.id },
+        data: { status: "FAILED", message: "sale was removed by a backup restore" },
+      });
+      unlinked += 1;
+    }
+  }
+
+  return { relinked, unlinked };
+}
+
+export {
+  REVIEW_STATUSES,
+  OPEN_STATUSES,
+  loadItemMappings,
+  resolveOrderLineItem,
+  importChannelOrders,
+  retryOrderLine,
+  relinkRestoredOrderLines,
+};
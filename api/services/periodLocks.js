@@ -0,0 +1,76 @@
+import { asyncHandler } from "../../utils/constants.js";
+
+// 기간(월) 마감
+// - 마감된 기간("YYYY-MM")에 속한 재고 기록은 생성/수정/삭제할 수 없음
+// - 재고 이동/실사는 처리 시각(지금)으로 기록되므로 이번 달이 마감됐을 때만 막힘
+// - 기간은 날짜의 UTC 기준 연-월(toYmd 와 같은 기준)
+
+const PERIOD_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function periodOf(date) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+// dates 중 마감된 기간이 있으면 가장 이른 기간("YYYY-MM"), 없으면 null
+async function findClosedPeriod(db, { userId, dates }) {
+  const periods = [
+    ...new Set(dates.filter((d) => d != null && !Number.isNaN(new Date(d).getTime())).map(periodOf)),
+  ];
+  if (periods.length === 0) return null;
+
+  const locked = await db.periodLock.findFirst({
+    where: { userId, period: { in: periods } },
+    orderBy: { period: "asc" },
+    select: { period: true },
+  });
+  return locked?.period ?? null;
+}
+
+// 마감된 기간들의 날짜 범위 [{ period, start, end(미포함) }] (오래된 순)
+async function getClosedPeriodRanges(db, { userId }) {
+  const locks = await db.periodLock.findMany({
+    where: { userId },
+    select: { period: true },
+    orderBy: { period: "asc" },
+  });
+  return locks.map(({ period }) => {
+    const start = new Date(`${period}-01T00:00:00.000Z`);
+    const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    return { period, start, end };
+  });
+}
+
+// 품목의 기록 중 마감된 기간에 속한 것이 있으면 그 기간(품목 삭제 전 확인용)
+async function findClosedPeriodForItem(db, { userId, itemId }) {
+  for (const { period, start, end } of await getClosedPeriodRanges(db, { userId })) {
+    const exists = await db.record.findFirst({
+      where: { userId, itemId, date: { gte: start, lt: end } },
+      select: { id: true },
+    });
+    if (exists) return period;
+  }
+  return null;
+}
+
+// 이번 달이 마감됐으면 요청을 막는 미들웨어(requireAuth 뒤에 사용)
+const requireOpenPeriod = (db) =>
+  asyncHandler(async (req, res, next) => {
+    const closed = await findClosedPeriod(db, { userId: req.userId, dates: [new Date()] });
+    if (closed) {
+      return res.status(409).json({
+        ok: false,
+        error: `${closed} 기간은 마감되어 재고를 변경할 수 없습니다.`,
+        period: closed,
+      });
+    }
+    next();
+  });
+
+export {
+  PERIOD_REGEX,
+  periodOf,
+  findClosedPeriod,
+  getClosedPeriodRanges,
+  findClosedPeriodForItem,
+  requireOpenPeriod,
+};
@@ -0,0 +1,173 @@
+import { getDefaultWarehouseId, lockItemStock } from "./warehouseStock.js";
+
+const PURCHASE_CLOSE_REASONS = new Set(["SHORT_SHIPPED", "CANCELLED", "LOST"]);
+
+// 입고 창고 결정: 지정하지 않으면 기본 창고, 지정했으면 내 창고이고 보관되지 않았어야 함
+// - 반환: { ok: true, value } | { ok: false, message }
+async function resolveArrivalWarehouseId(db, { userId, raw }) {
+  if (raw == null || raw === "") {
+    return { ok: true, value: await getDefaultWarehouseId({ prisma: db, userId }) };
+  }
+
+  const id = Number(raw);
+  const warehouse =
+    Number.isFinite(id) && id > 0
+      ? await db.warehouse.findFirst({
+          where: { id, userId },
+          select: { id: true, archivedAt: true },
+        })
+      : null;
+  if (!warehouse) return { ok: false, message: "warehouse not found" };
+  if (warehouse.archivedAt) return { ok: false, message: "warehouse is archived" };
+  return { ok: true, value: id };
+}
+
+// 구매(PURCHASE) 기록별 입고(IN) 수량 합
+// - 반환: Map(purchaseId → 입고 수량)
+async function getArrivedCounts(db, { userId, purchaseIds }) {
+  if (purchaseIds.length === 0) return new Map();
+
+  const rows = await db.record.groupBy({
+    by: ["purchaseId"],
+    where: { userId, type: "IN", purchaseId: { in: purchaseIds } },
+    _sum: { count: true },
+  });
+  return new Map(rows.map((r) => [r.purchaseId, r._sum.count ?? 0]));
+}
+
+// 남은 수량 = 주문 수량 - 입고 수량 - 마감 수량
+function remainingOf({ count, closedCount }, arrived) {
+  return Math.max(0, (count ?? 0) - arrived - (closedCount ?? 0));
+}
+
+// 품목 행을 잠근 뒤 구매의 현재 남은 수량을 계산(트랜잭션 안에서 호출)
+async function lockAndGetRemaining(tx, { userId, purchase }) {
+  await lockItemStock(tx, purchase.itemId);
+
+  const current = await tx.record.findUnique({
+    where: { id: purchase.id },
+    select: { count: true, closedCount: true, closedAt: true },
+  });
+  const arrived = (await getArrivedCounts(tx, { userId, purchaseIds: [purchase.id] })).get(purchase.id) ?? 0;
+  return { current, arrived, remaining: remainingOf(current, arrived) };
+}
+
+// 입고 처리(트랜잭션 안에서 호출)
+// - count 가 없으면 남은 수량 전부(일괄입고), 있으면 남은 수량 안에서 부분입고
+// - 같은 구매에 동시에 입고해도 초과 입고되지 않도록 품목 행을 잠그고 계산
+// - 반환: null(남은 수량 없음) | { record, count, remaining }
+async function arrivePurchase(tx, { userId, purchase, count, date, memo, warehouseId }) {
+  const { remaining } = await lockAndGetRemaining(tx, { userId, purchase });
+  if (remaining <= 0) return null;
+
+  const qty = count == null ? remaining : Math.max(1, Math.min(remaining, Math.floor(count)));
+
+  const record = await tx.record.create({
+    data: {
+      userId,
+      itemId: purchase.itemId,
+      type: "IN",
+      price: null,
+      count: qty,
+      date,
+      memo,
+      purchaseId: purchase.id,
+      warehouseId: warehouseId ?? null,
+    },
+  });
+
+  if (purchase.purchaseOrderId) {
+    await syncPurchaseOrderStatus(tx, purchase.purchaseOrderId);
+  }
+
+  return { record, count: qty, remaining: remaining - qty };
+}
+
+// 구매 마감(트랜잭션 안에서 호출): 남은 수량을 closedCount 로 확정해 pendingIn 에서 제외
+// - 반환: false(이미 마감됐거나 남은 수량 없음) | { closedCount }
+async function closePurchase(tx, { userId, purchase, reason, notes, now = new Date() }) {
+  const { current, remaining } = await lockAndGetRemaining(tx, { userId, purchase });
+  if (current.closedAt || remaining <= 0) return false;
+
+  await tx.record.update({
+    where: { id: purchase.id },
+    data: { closedCount: remaining, closeReason: reason, closeNotes: notes ?? null, closedAt: now },
+  });
+
+  if (purchase.purchaseOrderId) {
+    await syncPurchaseOrderStatus(tx, purchase.purchaseOrderId);
+  }
+
+  return { closedCount: remaining };
+}
+
+// 구매 마감 취소: 마감했던 수량이 다시 입고 대기(pendingIn)로 돌아감
+async function reopenPurchase(tx, { purchase }) {
+  const updated = await tx.record.updateMany({
+    where: { id: purchase.id, closedAt: { not: null } },
+    data: { closedCount: null, closeReason: null, closeNotes: null, closedAt: null },
+  });
+  if (updated.count === 0) return false;
+
+  if (purchase.purchaseOrderId) {
+    await syncPurchaseOrderStatus(tx, purchase.purchaseOrderId);
+  }
+  return true;
+}
+
+// 발주서 상태 = 라인 입고 현황에서 도출
+// - closedAt 이 있으면 CLOSED
+// - 모든 라인이 끝났으면(입고 + 마감) 마감된 라인이 있을 때 CLOSED, 전부 입고됐으면 RECEIVED
+// - 일부라도 들어왔으면 PARTIALLY_RECEIVED, 아니면 OPEN
+function derivePurchaseOrderStatus({ closedAt, lines }) {
+  if (closedAt) return "CLOSED";
+  if (lines.length > 0 && lines.every((line) => line.remaining <= 0)) {
+    return lines.some((line) => (line.closedCount ?? 0) > 0) ? "CLOSED" : "RECEIVED";
+  }
+  if (lines.some((line) => line.arrived > 0)) return "PARTIALLY_RECEIVED";
+  return "OPEN";
+}
+
+// 발주서 라인에 입고 수량/남은 수량을 붙여서 반환
+async function withArrivals(db, { userId, lines }) {
+  const arrivedMap = await getArrivedCounts(db, { userId, purchaseIds: lines.map((line) => line.id) });
+  return lines.map((line) => {
+    const arrived = arrivedMap.get(line.id) ?? 0;
+    return { ...line, arrived, remaining: remainingOf(line, arrived) };
+  });
+}
+
+async function syncPurchaseOrderStatus(tx, purchaseOrderId) {
+  if (!purchaseOrderId) return null;
+
+  const order = await tx.purchaseOrder.findUnique({
+    where: { id: purchaseOrderId },
+    select: {
+      userId: true,
+      closedAt: true,
+      lines: { where: { type: "PURCHASE" }, select: { id: true, count: true, closedCount: true } },
+    },
+  });
+  if (!order) return null;
+
+  const lines = await withArrivals(tx, { userId: order.userId, lines: order.lines });
+  const status = derivePurchaseOrderStatus({ closedAt: order.closedAt, lines });
+
+  await tx.purchaseOrder.update({
+    where: { id: purchaseOrderId },
+    data: { status },
+  });
+  return status;
+}
+
+export {
+  PURCHASE_CLOSE_REASONS,
+  resolveArrivalWarehouseId,
+  getArrivedCounts,
+  arrivePurchase,
+  closePurchase,
+  reopenPurchase,
+  derivePurchaseOrderStatus,
+  withArrivals,
+  syncPurchaseOrderStatus,
+};
@@ -0,0 +1,103 @@
+import { disassembleReturnedKit } from "./kits.js";
+
+// 반품 요청(RMA)
+// - REQUESTED → RECEIVED(물건 도착, 재고 미반영) → INSPECTED(검수: RETURN 기록 생성) → REFUNDED
+// - REQUESTED / RECEIVED 상태에서는 REJECTED 로 끝낼 수 있음
+// - 검수 시 판매 가능 수량은 재입고(restocked=true), 불량 수량은 불량 로케이션에 격리(restocked=false)
+// - 자동 조립된 세트 판매의 재입고분은 구성품으로 자동 해체
+
+const RETURN_STATUSES = new Set(["REQUESTED", "RECEIVED", "INSPECTED", "REFUNDED", "REJECTED"]);
+const OPEN_RETURN_STATUSES = ["REQUESTED", "RECEIVED"];
+
+/**
+ * 판매(OUT)에서 더 반품할 수 있는 수량
+ * = 판매 수량 - RETURN 기록 수량 - 아직 검수 전인 반품 요청 수량
+ * - excludeRecordId / excludeReturnId: 수정 중인 자기 자신은 제외
+ */
+async function getReturnableQuantity(db, { userId, sale, excludeRecordId, excludeReturnId }) {
+  const [returned, pending] = await Promise.all([
+    db.record.aggregate({
+      where: {
+        userId,
+        type: "RETURN",
+        returnOfId: sale.id,
+        ...(excludeRecordId ? { id: { not: excludeRecordId } } : {}),
+      },
+      _sum: { count: true },
+    }),
+    db.returnAuthorization.aggregate({
+      where: {
+        userId,
+        saleId: sale.id,
+        status: { in: OPEN_RETURN_STATUSES },
+        ...(excludeReturnId ? { id: { not: excludeReturnId } } : {}),
+      },
+      _sum: { quantity: true },
+    }),
+  ]);
+  return sale.count - (returned._sum.count ?? 0) - (pending._sum.quantity ?? 0);
+}
+
+// 검수 처리(트랜잭션 안에서 호출)
+// - RECEIVED 상태일 때만 갱신(중복 검수 방지)
+// - 반환: false(다른 요청이 먼저 처리) | { records }
+async function inspectReturn(
+  tx,
+  { userId, rma, restock, damaged, binId, damagedBinId, notes, now = new Date() }
+) {
+  const updated = await tx.returnAuthorization.updateMany({
+    where: { id: rma.id, status: "RECEIVED" },
+    data: {
+      status: "INSPECTED",
+      inspectedAt: now,
+      restockedQuantity: restock,
+      damagedQuantity: damaged,
+      inspectionNotes: notes ?? null,
+    },
+  });
+  if (updated.count === 0) return false;
+
+  const base = {
+    userId,
+    itemId: rma.itemId,
+    type: "RETURN",
+    price: null,
+    date: now,
+    reason: rma.reason,
+    returnOfId: rma.saleId,
+    warehouseId: rma.warehouseId,
+    returnAuthorizationId: rma.id,
+  };
+
+  const records = [];
+  if (restock > 0) {
+    const record = await tx.record.create({
+      data: {
+        ...base,
+        count: restock,
+        restocked: true,
+        binId: binId ?? null,
+        memo: `반품 ${rma.rmaNo} 재입고`,
+      },
+    });
+    await disassembleReturnedKit(tx, { userId, record });
+    records.push(record);
+  }
+  if (damaged > 0) {
+    records.push(
+      await tx.record.create({
+        data: {
+          ...base,
+          count: damaged,
+          restocked: false,
+          binId: damagedBinId ?? null,
+          memo: `반품 ${rma.rmaNo} 불량 격리`,
+        },
+      })
+    );
+  }
+
+  return { records };
+}
+
+export { RETURN_STATUSES, OPEN_RETURN_STATUSES, getReturnableQuantity, inspectReturn };
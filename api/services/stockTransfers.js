@@ -0,0 +1,143 @@
+import { makeSku } from "../../utils/sku.js";
+import { getBinStock, getWarehouseStock, lockItemStock } from "./warehouseStock.js";
+
+// 출발 로케이션 단위로 확인해야 하는 이동인지
+// - 출발 로케이션이 지정됐거나, 같은 창고 안 이동(적치/피킹)이면 로케이션 단위
+// - 그 외 창고 간 이동은 창고 전체 재고 기준
+function isBinLevel(line) {
+  return line.fromBinId != null || line.fromWarehouseId === line.toWarehouseId;
+}
+
+// 이동 라인들의 출발 창고 재고를 확인(트랜잭션 안에서 호출)
+// - 같은 품목/창고(/로케이션) 라인은 합산해서 비교
+// - 데드락 방지를 위해 품목 id 순서대로 잠금
+// - 반환: 부족한 라인 목록 [{ itemId, warehouseId, binId?, available, requested }]
+async function checkSourceStock(tx, { userId, lines }) {
+  const requested = new Map();
+  for (const line of lines) {
+    const binLevel = isBinLevel(line);
+    const binId = line.fromBinId ?? null;
+    const key = `${line.itemId}:${line.fromWarehouseId}:${binLevel ? binId ?? "none" : "all"}`;
+    const prev = requested.get(key);
+    requested.set(key, {
+      itemId: line.itemId,
+      warehouseId: line.fromWarehouseId,
+      ...(binLevel ? { binId } : {}),
+      requested: (prev?.requested ?? 0) + line.quantity,
+    });
+  }
+
+  const itemIds = [...new Set(lines.map((line) => line.itemId))].sort((a, b) => a - b);
+  for (const itemId of itemIds) {
+    await lockItemStock(tx, itemId);
+  }
+
+  const shortages = [];
+  for (const entry of requested.values()) {
+    const available =
+      entry.binId !== undefined
+        ? await getBinStock({
+            prisma: tx,
+            userId,
+            itemId: entry.itemId,
+            warehouseId: entry.warehouseId,
+            binId: entry.binId,
+          })
+        : await getWarehouseStock({
+            prisma: tx,
+            userId,
+            itemId: entry.itemId,
+            warehouseId: entry.warehouseId,
+          });
+    if (entry.requested > available) shortages.push({ ...entry, available });
+  }
+
+  return shortages;
+}
+
+// 입고 반영(트랜잭션 안에서 호출)
+// - receivedQuantity 가 바뀌지 않았을 때만 갱신(중복 입고 방지)
+// - close 시 미착분은 출발 창고에 ADJUSTMENT(-) 로 기록
+// - 반환: false(다른 요청이 먼저 처리) | { shortQuantity }
+async function applyReceipt(tx, { userId, transfer, quantity, close, notes, now = new Date() }) {
+  const receivedQuantity = transfer.receivedQuantity + quantity;
+  const shortQuantity = close ? transfer.quantity - receivedQuantity : 0;
+
+  const updated = await tx.stockTransfer.updateMany({
+    where: { id: transfer.id, status: "IN_TRANSIT", receivedQuantity: transfer.receivedQuantity },
+    data: {
+      receivedQuantity,
+      ...(close ? { status: "RECEIVED", receivedAt: now } : {}),
+      ...(notes ? { receiveNotes: notes } : {}),
+    },
+  });
+  if (updated.count === 0) return false;
+
+  if (shortQuantity > 0) {
+    await tx.record.create({
+      data: {
+        userId,
+        itemId: transfer.itemId,
+        type: "ADJUSTMENT",
+        reason: "LOST",
+        price: null,
+        count: -shortQuantity,
+        date: now,
+        memo: `재고 이동 #${transfer.id} 미착 ${shortQuantity}개${notes ? ` - ${notes}` : ""}`,
+        warehouseId: transfer.fromWarehouseId,
+        transferId: transfer.id,
+      },
+    });
+  }
+
+  return { shortQuantity };
+}
+
+// 문서 상태 = 라인 상태에서 도출
+// - 모든 라인이 같은 상태면 그 상태
+// - 완료/취소만 남았으면 RECEIVED(일부 취소 포함), 그 외 진행 중이면 IN_TRANSIT
+function deriveDocumentStatus(lines) {
+  const statuses = new Set(lines.map((line) => line.status));
+  if (statuses.size === 0) return "DRAFT";
+  if (statuses.size === 1) return [...statuses][0];
+  if (statuses.has("IN_TRANSIT") || statuses.has("DRAFT")) return "IN_TRANSIT";
+  return "RECEIVED";
+}
+
+async function syncDocumentStatus(tx, documentId) {
+  if (!documentId) return null;
+
+  const lines = await tx.stockTransfer.findMany({
+    where: { documentId },
+    select: { status: true },
+  });
+  const status = deriveDocumentStatus(lines);
+
+  await tx.stockTransferDocument.update({
+    where: { id: documentId },
+    data: { status },
+  });
+  return status;
+}
+
+// 이동 문서 참조 번호 생성(사용자 안에서 중복되지 않도록 재시도)
+async function generateReferenceNo(db, { userId }) {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const referenceNo = makeSku("TR");
+    const exists = await db.stockTransferDocument.findFirst({
+      where: { userId, referenceNo },
+      select: { id: true },
+    });
+    if (!exists) return referenceNo;
+  }
+
+  throw new Error("Failed to generate unique reference number");
+}
+
+export {
+  checkSourceStock,
+  applyReceipt,
+  deriveDocumentStatus,
+  syncDocumentStatus,
+  generateReferenceNo,
+};
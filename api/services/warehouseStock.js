@@ -0,0 +1,277 @@
+import { STOCK_RECORD_TYPES, stockDeltaOf } from "../utils/records.js";
+import { getClosedPeriodRanges } from "./periodLocks.js";
+
+// 창고별 재고 = (창고 지정된 재고 기록: IN - OUT + ADJUSTMENT + RETURN(재입고) - WRITE_OFF ± 세트 조립/해체)
+//             + (이동 도착분) - (이동 출발분)
+// warehouseId 가 없는 기록은 "미지정"(warehouseId=null) 으로 따로 집계한다.
+// 창고 안의 로케이션(WarehouseBin)도 같은 방식으로 binId / fromBinId / toBinId 로 집계한다.
+//
+// 이동 상태별 반영:
+// - DRAFT      : 반영 없음
+// - IN_TRANSIT : 출발 창고 -quantity, 도착 창고 +receivedQuantity(부분 입고분)
+// - RECEIVED   : 출발 창고 -receivedQuantity, 도착 창고 +receivedQuantity
+//                (미착분은 출발 창고의 ADJUSTMENT 기록으로 차감)
+// - CANCELLED  : RECEIVED 와 동일(받지 못한 수량은 출발 창고로 복귀)
+
+
+function keyOf(itemId, warehouseId, binId) {
+  return `${itemId}:${warehouseId ?? "none"}:${binId ?? "none"}`;
+}
+
+function addQty(map, { itemId, warehouseId, binId, byBin }, qty) {
+  const key = keyOf(itemId, warehouseId, byBin ? binId : null);
+  const prev = map.get(key);
+  if (prev) {
+    prev.quantity += qty;
+  } else {
+    map.set(key, {
+      itemId,
+      warehouseId: warehouseId ?? null,
+      ...(byBin ? { binId: binId ?? null } : {}),
+      quantity: qty,
+    });
+  }
+}
+
+// 재고 집계 공통 로직
+// - byBin=true 이면 창고 안의 로케이션(binId, null=로케이션 미지정)까지 나눠서 집계
+// - binId 가 주어지면(null 포함) 해당 로케이션만
+async function collectBalances({ prisma, userId, itemId, warehouseId, binId, byBin = false }) {
+  const recordWhere = { userId, type: { in: STOCK_RECORD_TYPES } };
+  const transferWhere = { userId, status: { not: "DRAFT" } };
+  if (itemId != null) {
+    recordWhere.itemId = itemId;
+    transferWhere.itemId = itemId;
+  }
+  if (warehouseId !== undefined) recordWhere.warehouseId = warehouseId;
+  if (binId !== undefined) recordWhere.binId = binId;
+
+  const fromWhere = {
+    ...transferWhere,
+    ...(warehouseId != null ? { fromWarehouseId: warehouseId } : {}),
+    ...(binId !== undefined ? { fromBinId: binId } : {}),
+  };
+  const toWhere = {
+    ...transferWhere,
+    ...(warehouseId != null ? { toWarehouseId: warehouseId } : {}),
+    ...(binId !== undefined ? { toBinId: binId } : {}),
+  };
+
+  const recordBy = byBin
+    ? ["itemId", "warehouseId", "binId", "type", "restocked"]
+    : ["itemId", "warehouseId", "type", "restocked"];
+  const fromBy = byBin ? ["itemId", "fromWarehouseId", "fromBinId"] : ["itemId", "fromWarehouseId"];
+  const toBy = byBin ? ["itemId", "toWarehouseId", "toBinId"] : ["itemId", "toWarehouseId"];
+
+  const [recordRows, inTransitFromRows, settledFromRows, toRows] = await Promise.all([
+    prisma.record.groupBy({
+      by: recordBy,
+      where: recordWhere,
+      _sum: { count: true },
+    }),
+    prisma.stockTransfer.groupBy({
+      by: fromBy,
+      where: { ...fromWhere, status: "IN_TRANSIT" },
+      _sum: { quantity: true },
+    }),
+    prisma.stockTransfer.groupBy({
+      by: fromBy,
+      where: { ...fromWhere, status: { in: ["RECEIVED", "CANCELLED"] } },
+      _sum: { receivedQuantity: true },
+    }),
+    prisma.stockTransfer.groupBy({
+      by: toBy,
+      where: toWhere,
+      _sum: { receivedQuantity: true },
+    }),
+  ]);
+
+  const balances = new Map();
+
+  for (const r of recordRows) {
+    addQty(
+      balances,
+      { itemId: r.itemId, warehouseId: r.warehouseId, binId: r.binId, byBin },
+      stockDeltaOf({ type: r.type, count: r._sum.count, restocked: r.restocked })
+    );
+  }
+  // 미지정 재고에서 이동하는 경우는 없으므로 warehouseId=null 조회 시 이동은 제외
+  if (warehouseId !== null) {
+    for (const r of inTransitFromRows) {
+      addQty(
+        balances,
+        { itemId: r.itemId, warehouseId: r.fromWarehouseId, binId: r.fromBinId, byBin },
+        -(r._sum.quantity ?? 0)
+      );
+    }
+    for (const r of settledFromRows) {
+      addQty(
+        balances,
+        { itemId: r.itemId, warehouseId: r.fromWarehouseId, binId: r.fromBinId, byBin },
+        -(r._sum.receivedQuantity ?? 0)
+      );
+    }
+    for (const r of toRows) {
+      addQty(
+        balances,
+        { itemId: r.itemId, warehouseId: r.toWarehouseId, binId: r.toBinId, byBin },
+        r._sum.receivedQuantity ?? 0
+      );
+    }
+  }
+
+  return [...balances.values()];
+}
+
+/**
+ * 품목 x 창고 단위 재고 잔량
+ * - itemId 가 있으면 해당 품목만, warehouseId 가 있으면 해당 창고만
+ * - 반환: [{ itemId, warehouseId, quantity }]
+ */
+async function getStockBalances({ prisma, userId, itemId, warehouseId }) {
+  return collectBalances({ prisma, userId, itemId, warehouseId });
+}
+
+/**
+ * 품목 x 창고 x 로케이션 단위 재고 잔량
+ * - binId=null 은 창고 안에서 로케이션이 지정되지 않은 재고
+ * - 반환: [{ itemId, warehouseId, binId, quantity }]
+ */
+async function getBinBalances({ prisma, userId, itemId, warehouseId, binId }) {
+  return collectBalances({ prisma, userId, itemId, warehouseId, binId, byBin: true });
+}
+
+// 특정 품목의 특정 창고 재고(OUT/이동 체크용)
+async function getWarehouseStock({ prisma, userId, itemId, warehouseId }) {
+  const rows = await getStockBalances({ prisma, userId, itemId, warehouseId });
+  return rows.reduce((sum, r) => sum + r.quantity, 0);
+}
+
+// 특정 품목의 특정 로케이션 재고(binId=null 이면 로케이션 미지정분)
+async function getBinStock({ prisma, userId, itemId, warehouseId, binId }) {
+  const rows = await getBinBalances({ prisma, userId, itemId, warehouseId, binId });
+  return rows.reduce((sum, r) => sum + r.quantity, 0);
+}
+
+/**
+ * 특정 시점(asOf 포함)의 품목 x 창고 단위 재고 잔량
+ * - 기록은 date 기준, 이동은 출발(dispatchedAt) / 완료(receivedAt, cancelledAt) 시각 기준
+ *   (출발하지 않은 이동(초안에서 취소)은 재고가 움직이지 않았으므로 제외)
+ * - asOf 시점에 아직 완료되지 않은 이동은 출발 창고에서 전량 차감하고 이동 중으로 집계
+ *   (지금도 진행 중인 이동의 부분 입고분은 도착 창고에 반영, 부분 입고 시각은 기록되지 않음)
+ * - 반환: { balances: [{ itemId, warehouseId, quantity }], inTransit: Map(itemId → 수량) }
+ */
+async function getStockBalancesAsOf({ prisma, userId, asOf }) {
+  const [recordRows, transfers] = await Promise.all([
+    prisma.record.groupBy({
+      by: ["itemId", "warehouseId", "type", "restocked"],
+      where: { userId, type: { in: STOCK_RECORD_TYPES }, date: { lte: asOf } },
+      _sum: { count: true },
+    }),
+    prisma.stockTransfer.findMany({
+      where: { userId, status: { not: "DRAFT" }, dispatchedAt: { not: null, lte: asOf } },
+      select: {
+        itemId: true,
+        fromWarehouseId: true,
+        toWarehouseId: true,
+        status: true,
+        quantity: true,
+        receivedQuantity: true,
+        dispatchedAt: true,
+        receivedAt: true,
+        cancelledAt: true,
+      },
+    }),
+  ]);
+
+  const balances = new Map();
+  const inTransit = new Map();
+
+  for (const r of recordRows) {
+    addQty(
+      balances,
+      { itemId: r.itemId, warehouseId: r.warehouseId },
+      stockDeltaOf({ type: r.type, count: r._sum.count, restocked: r.restocked })
+    );
+  }
+
+  for (const t of transfers) {
+    const settledAt = t.status === "RECEIVED" ? t.receivedAt : t.status === "CANCELLED" ? t.cancelledAt : null;
+    if (settledAt && settledAt <= asOf) {
+      addQty(balances, { itemId: t.itemId, warehouseId: t.fromWarehouseId }, -t.receivedQuantity);
+      addQty(balances, { itemId: t.itemId, warehouseId: t.toWarehouseId }, t.receivedQuantity);
+      continue;
+    }
+
+    const received = t.status === "IN_TRANSIT" ? t.receivedQuantity : 0;
+    addQty(balances, { itemId: t.itemId, warehouseId: t.fromWarehouseId }, -t.quantity);
+    if (received > 0) addQty(balances, { itemId: t.itemId, warehouseId: t.toWarehouseId }, received);
+    inTransit.set(t.itemId, (inTransit.get(t.itemId) ?? 0) + t.quantity - received);
+  }
+
+  return { balances: [...balances.values()], inTransit };
+}
+
+/**
+ * 이동 중(IN_TRANSIT) 수량 = quantity - receivedQuantity
+ * - 반환: [{ itemId, quantity }]
+ */
+async function getInTransitQuantities({ prisma, userId, itemId }) {
+  const rows = await prisma.stockTransfer.groupBy({
+    by: ["itemId"],
+    where: { userId, status: "IN_TRANSIT", ...(itemId != null ? { itemId } : {}) },
+    _sum: { quantity: true, receivedQuantity: true },
+  });
+
+  return rows
+    .map((r) => ({
+      itemId: r.itemId,
+      quantity: (r._sum.quantity ?? 0) - (r._sum.receivedQuantity ?? 0),
+    }))
+    .filter((r) => r.quantity > 0);
+}
+
+// 사용자의 기본 창고 id(없거나 보관 처리됐으면 null)
+async function getDefaultWarehouseId({ prisma, userId }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { defaultWarehouse: { select: { id: true, archivedAt: true } } },
+  });
+  const warehouse = user?.defaultWarehouse;
+  return warehouse && !warehouse.archivedAt ? warehouse.id : null;
+}
+
+// 창고 미지정 재고 기록(IN/OUT/ADJUSTMENT)을 지정한 창고로 일괄 배정
+// - 마감된 기간의 기록은 그대로 둠
+async function assignUnassignedRecords({ prisma, userId, warehouseId }) {
+  const closed = await getClosedPeriodRanges(prisma, { userId });
+  const result = await prisma.record.updateMany({
+    where: {
+      userId,
+      warehouseId: null,
+      type: { in: STOCK_RECORD_TYPES },
+      ...(closed.length > 0
+        ? { NOT: closed.map(({ start, end }) => ({ date: { gte: start, lt: end } })) }
+        : {}),
+    },
+    data: { warehouseId },
+  });
+  return result.count;
+}
+
+// 트랜잭션 안에서 품목 행을 잠가 같은 품목의 재고 차감이 동시에 진행되지 않도록 함
+async function lockItemStock(tx, itemId) {
+  await tx.$queryRaw`SELECT "id" FROM "Item" WHERE "id" = ${itemId} FOR UPDATE`;
+}
+
+export {
+  getStockBalances,
+  getStockBalancesAsOf,
+  getBinBalances,
+  getWarehouseStock,
+  getBinStock,
+  getInTransitQuantities,
+  getDefaultWarehouseId,
+  assignUnassignedRecords,
+  lockItemStock,
+};
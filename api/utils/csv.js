@@ -0,0 +1,22 @@
+function escapeCsvValue(value) {
+  if (value == null) return "";
+  const s = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// columns: [{ key, label }] / rows: 객체 배열
+// 엑셀에서 한글이 깨지지 않도록 BOM 을 붙여서 반환
+function toCsv(columns, rows) {
+  const header = columns.map((c) => escapeCsvValue(c.label ?? c.key)).join(",");
+  const body = rows.map((row) => columns.map((c) => escapeCsvValue(row[c.key])).join(","));
+  return "\uFEFF" + [header, ...body].join("\r\n");
+}
+
+// 파일명에 한글/따옴표가 있어도 되도록 res.attachment(ASCII 대체 이름 + filename*=UTF-8'')
+function sendCsv(res, filename, columns, rows) {
+  res.attachment(filename);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.send(toCsv(columns, rows));
+}
+
+export { toCsv, sendCsv };
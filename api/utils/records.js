@@ -1,39 +1,119 @@
+// 직접 입력할 수 있는 기록 유형(ASSEMBLY_IN / ASSEMBLY_OUT 은 세트 조립/해체에서만 생성)
+const RECORD_TYPES = new Set(["IN", "OUT", "PURCHASE", "ADJUSTMENT", "RETURN", "WRITE_OFF"]);
+
+// 재고에 반영되는 기록 유형(PURCHASE 는 재고에 반영 X)
+const STOCK_RECORD_TYPES = ["IN", "OUT", "ADJUSTMENT", "RETURN", "WRITE_OFF", "ASSEMBLY_IN", "ASSEMBLY_OUT"];
+
+// 유형별 사용할 수 있는 사유 코드(첫 번째가 기본값, WRITE_OFF 는 필수)
+const RECORD_REASONS = {
+  ADJUSTMENT: ["COUNT_CORRECTION", "DAMAGED", "LOST", "OTHER"],
+  WRITE_OFF: ["DAMAGED", "DEFECTIVE", "EXPIRED", "LOST", "THEFT", "SAMPLE", "OTHER"],
+  RETURN: ["CUSTOMER_RETURN", "DEFECTIVE", "DAMAGED", "WRONG_ITEM", "OTHER"],
+};
+
 function normRecordType(t) {
   const v = String(t ?? "").trim().toUpperCase();
-  if (v === "IN" || v === "OUT" || v === "PURCHASE") return v;
-  return null;
+  return RECORD_TYPES.has(v) ? v : null;
+}
+
+function normReason(type, raw) {
+  const allowed = RECORD_REASONS[type];
+  if (!allowed) return null;
+
+  const v = raw == null || raw === "" ? null : String(raw).trim().toUpperCase();
+  if (v === null) {
+    if (type === "WRITE_OFF") throw new Error(`WRITE_OFF requires reason (${allowed.join("/")})`);
+    return allowed[0];
+  }
+  if (!allowed.includes(v)) throw new Error(`Invalid reason for ${type} (${allowed.join("/")})`);
+  return v;
+}
+
+function normPrice(rawPrice) {
+  const price = rawPrice === "" || rawPrice == null ? null : Number(rawPrice);
+  if (price === null) return null;
+  if (!Number.isFinite(price) || price < 0) throw new Error("Invalid price");
+  return Math.floor(price);
 }
 
 // 입력 정규화(규칙)
 // - IN: price 무조건 null
 // - PURCHASE: price 필수(>0)
 // - OUT: price 선택(null 가능, 있으면 >=0)
+// - ADJUSTMENT: count 는 부호 있는 수량(0 불가), price null, reason 기본 COUNT_CORRECTION
+// - WRITE_OFF: 재고 차감(판매 아님), price null, reason 필수
+// - RETURN: 원래 판매(OUT) 기록 returnOfId 필수, price 선택(환불 금액)
+//           restock=false 이면 격리(재고 미반영), 기본은 재입고
 function normalizeRecordInput(body) {
   const type = normRecordType(body?.type);
-  if (!type) throw new Error("Invalid record type (IN/OUT/PURCHASE)");
+  if (!type) throw new Error("Invalid record type (IN/OUT/PURCHASE/ADJUSTMENT/RETURN/WRITE_OFF)");
 
   const countRaw = body?.count ?? 1;
   const countNum = Number(countRaw);
   const count = Math.max(1, Math.abs(Number.isFinite(countNum) ? countNum : 1));
 
-  const rawPrice = body?.price;
-  const price = rawPrice === "" || rawPrice == null ? null : Number(rawPrice);
+  const base = { type, count, price: null, reason: null, returnOfId: null, restocked: null };
 
   if (type === "IN") {
-    return { type, count, price: null };
+    return base;
   }
 
   if (type === "PURCHASE") {
+    const price = body?.price === "" || body?.price == null ? null : Number(body.price);
     if (!Number.isFinite(price) || price <= 0) {
       throw new Error("PURCHASE requires price (>0)");
     }
-    return { type, count, price: Math.floor(price) };
+    return { ...base, price: Math.floor(price) };
+  }
+
+  if (type === "ADJUSTMENT") {
+    const signed = Math.trunc(Number.isFinite(countNum) ? countNum : 0);
+    if (signed === 0) throw new Error("ADJUSTMENT requires non-zero count");
+    return { ...base, count: signed, reason: normReason(type, body?.reason) };
+  }
+
+  if (type === "WRITE_OFF") {
+    return { ...base, reason: normReason(type, body?.reason) };
+  }
+
+  if (type === "RETURN") {
+    const returnOfId = Number(body?.returnOfId);
+    if (!Number.isFinite(returnOfId) || returnOfId <= 0) {
+      throw new Error("RETURN requires returnOfId (original OUT record)");
+    }
+    const restock = body?.restock ?? body?.restocked;
+    return {
+      ...base,
+      price: normPrice(body?.price),
+      reason: normReason(type, body?.reason),
+      returnOfId,
+      restocked: !(restock === false || restock === "false" || restock === 0 || restock === "0"),
+    };
   }
 
   // OUT
-  if (price === null) return { type, count, price: null };
-  if (!Number.isFinite(price) || price < 0) throw new Error("Invalid price");
-  return { type, count, price: Math.floor(price) };
+  return { ...base, price: normPrice(body?.price) };
+}
+
+// 기록 1건이 재고를 바꾸는 수량
+// - IN/RETURN(재입고)/ASSEMBLY_IN +, OUT/WRITE_OFF/ASSEMBLY_OUT -, ADJUSTMENT 는 부호 그대로, PURCHASE/격리 반품 0
+function stockDeltaOf({ type, count, restocked }) {
+  const c = Number(count ?? 0) || 0;
+  switch (String(type || "").toUpperCase()) {
+    case "IN":
+    case "ASSEMBLY_IN":
+      return c;
+    case "OUT":
+    case "WRITE_OFF":
+    case "ASSEMBLY_OUT":
+      return -c;
+    case "ADJUSTMENT":
+      return c;
+    case "RETURN":
+      return restocked === false ? 0 : c;
+    default:
+      return 0;
+  }
 }
 
 function toYmd(v) {
@@ -45,8 +125,8 @@ function toYmd(v) {
   return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
 }
 
-// stock = IN - OUT (PURCHASE는 재고에 반영 X)
-// pendingIn = max(0, PURCHASE - IN)
+// stock = IN - OUT + ADJUSTMENT + RETURN(재입고) - WRITE_OFF ± 세트 조립/해체 (PURCHASE는 재고에 반영 X, ADJUSTMENT는 부호 있는 수량)
+// pendingIn = max(0, PURCHASE - 마감 수량(closedCount) - IN)
 //  (purchaseId 여부는 여기선 상관없음. pendingIn은 "매입 대비 입고" 개념)
 function calcStockAndPending(records) {
   let stock = 0;
@@ -56,13 +136,11 @@ function calcStockAndPending(records) {
   for (const r of records) {
     const c = Number(r.count ?? 0) || 0;
     const t = String(r.type || "").toUpperCase();
+    stock += stockDeltaOf(r);
     if (t === "IN") {
-      stock += c;
       inSum += c;
-    } else if (t === "OUT") {
-      stock -= c;
     } else if (t === "PURCHASE") {
-      purchaseSum += c;
+      purchaseSum += c - (Number(r.closedCount ?? 0) || 0);
     }
   }
 
@@ -75,16 +153,20 @@ function calcStockAndPending(records) {
 // 재고 계산(OUT 체크용) — DB에서 sum으로 계산
 async function calcStock(prisma, userId, itemId) {
   const rows = await prisma.record.groupBy({
-    by: ["type"],
-    where: { userId, itemId },
+    by: ["type", "restocked"],
+    where: { userId, itemId, type: { in: STOCK_RECORD_TYPES } },
     _sum: { count: true },
   });
-  const inSum = rows.find((r) => r.type === "IN")?._sum.count ?? 0;
-  const outSum = rows.find((r) => r.type === "OUT")?._sum.count ?? 0;
-  return inSum - outSum;
+  return rows.reduce(
+    (sum, r) => sum + stockDeltaOf({ type: r.type, count: r._sum.count, restocked: r.restocked }),
+    0
+  );
 }
 
 export {
+  STOCK_RECORD_TYPES,
+  RECORD_REASONS,
+  stockDeltaOf,
   normalizeRecordInput,
   toYmd,
   calcStockAndPending,
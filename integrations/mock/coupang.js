@@ -0,0 +1,181 @@
+import crypto from "crypto";
+import express from "express";
+
+// 모의 쿠팡 WING Open API
+// - 요청마다 CEA HMAC-SHA256 서명(signed-date 5분 이내) 검증
+// - 목록/주문서는 nextToken(다음 시작 위치)으로 페이지를 넘김
+
+const SELLER_API = "/v2/providers/seller_api/apis/api/v1/marketplace";
+const ORDER_API = "/v2/providers/openapi/apis/api/v4/vendors/:vendorId";
+
+// yyMMdd'T'HHmmss'Z' → Date
+function parseSignedDate(value) {
+  const m = /^(\d{2})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(String(value || ""));
+  if (!m) return null;
+  const [, yy, MM, dd, hh, mm, ss] = m.map(Number);
+  return new Date(Date.UTC(2000 + yy, MM - 1, dd, hh, mm, ss));
+}
+
+function parseAuthorization(header) {
+  const fields = {};
+  for (const part of String(header || "").replace(/^CEA\s+/, "").split(/,\s*/)) {
+    const i = part.indexOf("=");
+    if (i > 0) fields[part.slice(0, i)] = part.slice(i + 1);
+  }
+  return fields;
+}
+
+function vendorItemIdOf(row) {
+  return row.optionId ?? row.productId;
+}
+
+function page(list, nextToken, maxPerPage, pageSize) {
+  const size = Math.min(Number(maxPerPage) || pageSize, pageSize);
+  const offset = Number(nextToken) || 0;
+  const next = offset + size < list.length ? String(offset + size) : "";
+  return { data: list.slice(offset, offset + size), nextToken: next };
+}
+
+function groupBy(list, keyOf) {
+  const map = new Map();
+  for (const row of list) {
+    const key = keyOf(row);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(row);
+  }
+  return [...map.values()];
+}
+
+export default function createCoupangMockRouter(state) {
+  const router = express.Router();
+
+  const fail = (res, status, message) => res.status(status).json({ code: "ERROR", message });
+  const ok = (res, extra) => res.json({ code: "SUCCESS", message: "", ...extra });
+
+  router.use((req, res, next) => {
+    const auth = parseAuthorization(req.get("authorization"));
+    const { accessKey, secretKey } = state.credentials.COUPANG;
+
+    if (auth.algorithm !== "HmacSHA256" || auth["access-key"] !== accessKey) {
+      return fail(res, 401, "Invalid access key");
+    }
+    const signedAt = parseSignedDate(auth["signed-date"]);
+    if (!signedAt || Math.abs(Date.now() - signedAt.getTime()) > 5 * 60 * 1000) {
+      return fail(res, 401, "Request is not authorized (signed-date expired)");
+    }
+
+    // 마운트 경로(/coupang)를 뺀 경로 + 쿼리 원문으로 서명 재계산
+    const [path, qs = ""] = req.url.split("?");
+    const expected = crypto
+      .createHmac("sha256", secretKey)
+      .update(`${auth["signed-date"]}${req.method}${path}${qs}`)
+      .digest("hex");
+    if (auth.signature !== expected) return fail(res, 401, "Signature mismatch");
+
+    next();
+  });
+
+  const findItem = (vendorItemId) =>
+    state.products.COUPANG.find((p) => vendorItemIdOf(p) === String(vendorItemId));
+
+  // PUT vendor-items/:id/quantities/:quantity
+  router.put(`${SELLER_API}/vendor-items/:id/quantities/:quantity`, (req, res) => {
+    const row = findItem(req.params.id);
+    if (!row) return fail(res, 404, `vendorItemId ${req.params.id} not found`);
+    row.stock = Number(req.params.quantity);
+    ok(res, { data: null });
+  });
+
+  // PUT vendor-items/:id/prices/:price
+  router.put(`${SELLER_API}/vendor-items/:id/prices/:price`, (req, res) => {
+    const row = findItem(req.params.id);
+    if (!row) return fail(res, 404, `vendorItemId ${req.params.id} not found`);
+    row.price = Number(req.params.price);
+    ok(res, { data: null });
+  });
+
+  // GET seller-products
+  router.get(`${SELLER_API}/seller-products`, (req, res) => {
+    if (req.query.vendorId !== state.credentials.COUPANG.vendorId) {
+      return fail(res, 403, "vendorId mismatch");
+    }
+    const products = groupBy(state.products.COUPANG, (p) => p.productId).map((rows) => ({
+      sellerProductId: Number(rows[0].productId) || rows[0].productId,
+      sellerProductName: rows[0].name,
+      statusName: "승인완료",
+    }));
+    ok(res, page(products, req.query.nextToken, req.query.maxPerPage, state.pageSize));
+  });
+
+  const checkVendor = (req, res, next) => {
+    if (req.params.vendorId !== state.credentials.COUPANG.vendorId) {
+      return fail(res, 403, "vendorId mismatch");
+    }
+    next();
+  };
+
+  // GET ordersheets?createdAtFrom=YYYY-MM-DD&createdAtTo=YYYY-MM-DD&status=ACCEPT
+  router.get(`${ORDER_API}/ordersheets`, checkVendor, (req, res) => {
+    const from = String(req.query.createdAtFrom || "");
+    const to = String(req.query.createdAtTo || "");
+    if (!from || !to) return fail(res, 400, "createdAtFrom/createdAtTo required");
+
+    // 모의 서버의 결제 완료 주문은 모두 ACCEPT(결제완료) 상태로 봄
+    const lines =
+      req.query.status === "ACCEPT"
+        ? state.orders.COUPANG.filter((o) => {
+            const day = o.orderedAt.slice(0, 10);
+            return o.status === "PAID" && day >= from && day <= to;
+          })
+        : [];
+
+    const sheets = groupBy(lines, (o) => o.orderId).map((rows) => ({
+      shipmentBoxId: Number(rows[0].orderId) || rows[0].orderId,
+      orderId: Number(rows[0].orderId) || rows[0].orderId,
+      orderedAt: rows[0].orderedAt,
+      paidAt: rows[0].orderedAt,
+      status: "ACCEPT",
+      orderItems: rows.map((o) => ({
+        vendorItemId: Number(vendorItemIdOf(o)) || vendorItemIdOf(o),
+        sellerProductId: Number(o.productId) || o.productId,
+        externalVendorSkuCode: o.sku,
+        shippingCount: o.quantity,
+        salesPrice: o.unitPrice,
+        orderPrice: o.unitPrice * o.quantity,
+      })),
+    }));
+    ok(res, page(sheets, req.query.nextToken, req.query.maxPerPage, state.pageSize));
+  });
+
+  // GET returnRequests?cancelType=CANCEL&createdAtFrom=YYYY-MM-DDTHH:mm&createdAtTo=…
+  router.get(`${ORDER_API}/returnRequests`, checkVendor, (req, res) => {
+    const from = String(req.query.createdAtFrom || "");
+    const to = String(req.query.createdAtTo || "");
+    if (!from || !to) return fail(res, 400, "createdAtFrom/createdAtTo required");
+
+    const lines =
+      req.query.cancelType === "CANCEL"
+        ? state.orders.COUPANG.filter((o) => {
+            const at = o.changedAt.slice(0, 16);
+            return o.status === "CANCELLED" && at >= from && at <= to;
+          })
+        : [];
+
+    const receipts = groupBy(lines, (o) => o.orderId).map((rows) => ({
+      receiptId: Number(rows[0].orderId) || rows[0].orderId,
+      orderId: Number(rows[0].orderId) || rows[0].orderId,
+      receiptType: "CANCEL",
+      createdAt: rows[0].changedAt,
+      returnItems: rows.map((o) => ({
+        vendorItemId: Number(vendorItemIdOf(o)) || vendorItemIdOf(o),
+        sellerProductId: Number(o.productId) || o.productId,
+        externalVendorSkuCode: o.sku,
+        purchaseCount: o.quantity,
+        cancelCount: o.cancelledQuantity,
+      })),
+    }));
+    ok(res, page(receipts, req.query.nextToken, null, state.pageSize));
+  });
+
+  return router;
+}
@@ -0,0 +1,155 @@
+import express from "express";
+import { xmlText } from "../providers/http.js";
+
+// 모의 11번가 Open API
+// - openapikey 헤더 확인, 요청/응답 XML
+// - 실제처럼 업무 오류는 HTTP 200 + resultCode 로 응답, 주문 조회는 7일 이내 기간만
+
+const NS = "http://skt.tmall.business.openapi.spring.service.client.domain/";
+
+// yyyyMMddHHmm(한국 시간)
+function toElevenstTime(iso) {
+  const kst = new Date(new Date(iso).getTime() + 9 * 60 * 60 * 1000);
+  return kst.toISOString().slice(0, 16).replace(/[-T:]/g, "");
+}
+
+function parseElevenstTime(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(String(value || ""));
+  if (!m) return null;
+  const [, y, M, d, h, mi] = m.map(Number);
+  return new Date(Date.UTC(y, M - 1, d, h - 9, mi));
+}
+
+function tag(name, value) {
+  return value === null || value === undefined ? "" : `<${name}>${value}</${name}>`;
+}
+
+function xml(body) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>${body}`;
+}
+
+function message(resultCode, text) {
+  const inner = `${tag("resultCode", resultCode)}${tag("message", text)}`;
+  return xml(`<ClientMessage>${inner}</ClientMessage>`);
+}
+
+export default function createElevenstMockRouter(state) {
+  const router = express.Router();
+
+  const send = (res, body, status = 200) =>
+    res.status(status).type("application/xml; charset=UTF-8").send(body);
+
+  router.use((req, res, next) => {
+    if (req.get("openapikey") !== state.credentials.ELEVENST.apiKey) {
+      return send(res, message(401, "인증키가 유효하지 않습니다."), 401);
+    }
+    next();
+  });
+
+  // PUT /rest/prodservices/stockqty/:prdStckNo
+  router.put("/rest/prodservices/stockqty/:prdStckNo", (req, res) => {
+    const body = String(req.body ?? "");
+    const prdNo = xmlText(body, "prdNo");
+    const qty = Number(xmlText(body, "stckQty"));
+    const row = state.products.ELEVENST.find(
+      (p) => p.optionId === req.params.prdStckNo && (!prdNo || p.productId === prdNo)
+    );
+    if (!row) return send(res, message(-1, "재고번호가 존재하지 않습니다."));
+    if (!Number.isFinite(qty) || qty < 0) {
+      return send(res, message(-1, "재고수량이 올바르지 않습니다."));
+    }
+
+    row.stock = qty;
+    send(res, message(200, "SUCCESS"));
+  });
+
+  // POST /rest/prodservices/product/priceCoupon/:prdNo
+  router.post("/rest/prodservices/product/priceCoupon/:prdNo", (req, res) => {
+    const rows = state.products.ELEVENST.filter((p) => p.productId === req.params.prdNo);
+    const price = Number(xmlText(String(req.body ?? ""), "selPrc"));
+    if (rows.length === 0) return send(res, message(-1, "상품번호가 존재하지 않습니다."));
+    if (!Number.isFinite(price) || price <= 0) {
+      return send(res, message(-1, "판매가가 올바르지 않습니다."));
+    }
+
+    for (const row of rows) row.price = price;
+    send(res, message(200, "SUCCESS"));
+  });
+
+  // POST /rest/prodmarketservice/prodmarket (<SearchProduct><start/><end/>)
+  router.post("/rest/prodmarketservice/prodmarket", (req, res) => {
+    const body = String(req.body ?? "");
+    const start = Math.max(1, Number(xmlText(body, "start")) || 1);
+    const end = Math.max(start, Number(xmlText(body, "end")) || start + 49);
+
+    const byProduct = new Map();
+    for (const row of state.products.ELEVENST) {
+      if (!byProduct.has(row.productId)) byProduct.set(row.productId, []);
+      byProduct.get(row.productId).push(row);
+    }
+    const products = [...byProduct.values()].slice(start - 1, end).map((rows) =>
+      [
+        "<ns2:product>",
+        tag("prdNo", rows[0].productId),
+        tag("prdNm", rows[0].name),
+        tag("sellerPrdCd", rows[0].sku),
+        tag("selPrc", rows[0].price),
+        tag("prdSelQty", rows.reduce((s, r) => s + r.stock, 0)),
+        "</ns2:product>",
+      ].join("")
+    );
+
+    send(res, xml(`<ns2:products xmlns:ns2="${NS}">${products.join("")}</ns2:products>`));
+  });
+
+  const ordersIn = (req, res, pick) => {
+    const from = parseElevenstTime(req.params.from);
+    const to = parseElevenstTime(req.params.to);
+    if (!from || !to || from > to) return send(res, message(-1, "조회 기간이 올바르지 않습니다."));
+    if (to - from > 7 * 24 * 60 * 60 * 1000) {
+      return send(res, message(-1, "조회 기간은 7일 이내로 입력하세요."));
+    }
+
+    const start = toElevenstTime(from.toISOString());
+    const end = toElevenstTime(to.toISOString());
+    const orders = pick(start, end).map((o) =>
+      [
+        "<ns2:order>",
+        tag("ordNo", o.orderId),
+        tag("ordPrdSeq", o.lineId),
+        tag("prdNo", o.productId),
+        tag("prdStckNo", o.optionId),
+        tag("sellerPrdCd", o.sku),
+        tag("ordQty", o.quantity),
+        tag("ordCnQty", o.status === "CANCELLED" ? o.cancelledQuantity : null),
+        tag("selPrc", o.unitPrice),
+        tag("ordDt", toElevenstTime(o.orderedAt)),
+        "</ns2:order>",
+      ].join("")
+    );
+
+    send(res, xml(`<ns2:orders xmlns:ns2="${NS}">${orders.join("")}</ns2:orders>`));
+  };
+
+  // GET /rest/ordservices/complete/:from/:to (결제완료)
+  router.get("/rest/ordservices/complete/:from/:to", (req, res) =>
+    ordersIn(req, res, (start, end) =>
+      state.orders.ELEVENST.filter((o) => {
+        const at = toElevenstTime(o.orderedAt);
+        return o.status === "PAID" && at >= start && at <= end;
+      })
+    )
+  );
+
+  // GET /rest/claimservice/cancelorders/:from/:to (취소)
+  router.get("/rest/claimservice/cancelorders/:from/:to", (req, res) =>
+    ordersIn(req, res, (start, end) =>
+      state.orders.ELEVENST.filter((o) => {
+        const at = toElevenstTime(o.changedAt);
+        return o.status === "CANCELLED" && at >= start && at <= end;
+      })
+    )
+  );
+
+  return router;
+}
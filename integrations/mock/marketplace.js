@@ -0,0 +1,405 @@
+import express from "express";
+import createNaverMockRouter from "./naver.js";
+import createCoupangMockRouter from "./coupang.js";
+import createElevenstMockRouter from "./elevenst.js";
+
+// 통합 테스트용 모의 마켓 서버(네이버/쿠팡/11번가)
+// - 마켓별 경로: /naver, /coupang, /elevenst → 어댑터 baseUrl 로 지정
+//   (NAVER_COMMERCE_BASE_URL / COUPANG_BASE_URL / ELEVENST_BASE_URL 또는 getProviderClient baseUrl)
+// - 인증 서명을 실제처럼 검증, 페이지 단위 응답
+// - /__mock/* 제어 API 또는 반환 객체의 함수로 상품/주문 등록, 장애 주입, 호출 기록 조회
+
+const PROVIDERS = ["NAVER", "COUPANG", "ELEVENST"];
+
+const PREFIXES = {
+  NAVER: "/naver",
+  COUPANG: "/coupang",
+  ELEVENST: "/elevenst",
+};
+
+// 모의 서버가 받아 주는 인증 정보(ChannelConnection.credentials 에 그대로 넣으면 됨)
+const DEFAULT_CREDENTIALS = {
+  NAVER: { clientId: "mock-client", clientSecret: "$2a$04$mockmockmockmockmockmo" },
+  COUPANG: { accessKey: "mock-access", secretKey: "mock-secret", vendorId: "A00000001" },
+  ELEVENST: { apiKey: "mock-api-key" },
+};
+
+function createState({ credentials, pageSize } = {}) {
+  const state = {
+    pageSize: pageSize ?? 50,
+    credentials: {},
+    products: {},
+    orders: {},
+    rules: [],
+    rateLimits: {},
+    flakiness: {},
+    hits: {},
+    tokens: new Map(),
+    calls: [],
+  };
+  for (const provider of PROVIDERS) {
+    state.credentials[provider] = { ...DEFAULT_CREDENTIALS[provider], ...credentials?.[provider] };
+    state.products[provider] = [];
+    state.orders[provider] = [];
+    state.hits[provider] = [];
+  }
+  return state;
+}
+
+function providerOf(value) {
+  const provider = String(value || "").toUpperCase();
+  if (!PROVIDERS.includes(provider)) {
+    const error = new Error(`unknown provider: ${value}`);
+    error.status = 400;
+    throw error;
+  }
+  return provider;
+}
+
+/* ================= 상품 / 주문 ================= */
+
+// product: { productId, optionId?, sku?, name?, price?, stock? }
+function seedProducts(state, provider, products) {
+  const list = state.products[providerOf(provider)];
+  for (const p of products ?? []) {
+    const productId = String(p.productId);
+    const optionId = p.optionId == null ? null : String(p.optionId);
+    const existing = list.find((x) => x.productId === productId && x.optionId === optionId);
+    const next = {
+      productId,
+      optionId,
+      sku: p.sku ?? null,
+      name: p.name ?? `product ${productId}`,
+      price: Number(p.price ?? 10000),
+      stock: Number(p.stock ?? 0),
+    };
+    if (existing) Object.assign(existing, next);
+    else list.push(next);
+  }
+  return list;
+}
+
+// order line: { orderId, lineId?, productId, optionId?, sku?, quantity, unitPrice?, status?, orderedAt? }
+function seedOrders(state, provider, orders) {
+  const list = state.orders[providerOf(provider)];
+  for (const o of orders ?? []) {
+    const orderedAt = new Date(o.orderedAt ?? Date.now()).toISOString();
+    list.push({
+      orderId: String(o.orderId),
+      lineId: String(o.lineId ?? `${o.orderId}-${list.length + 1}`),
+      productId: String(o.productId),
+      optionId: o.optionId == null ? null : String(o.optionId),
+      sku: o.sku ?? null,
+      quantity: Number(o.quantity ?? 1),
+      unitPrice: Number(o.unitPrice ?? 10000),
+      status: o.status === "CANCELLED" ? "CANCELLED" : "PAID",
+      cancelledQuantity: o.status === "CANCELLED" ? Number(o.quantity ?? 1) : 0,
+      orderedAt,
+      changedAt: orderedAt,
+    });
+  }
+  return list;
+}
+
+// 주문 취소(lineId 없으면 주문 전체)
+function cancelOrder(state, provider, orderId, lineId) {
+  const now = new Date().toISOString();
+  const lines = state.orders[providerOf(provider)].filter(
+    (o) => o.orderId === String(orderId) && (lineId == null || o.lineId === String(lineId))
+  );
+  for (const line of lines) {
+    line.status = "CANCELLED";
+    line.cancelledQuantity = line.quantity;
+    line.changedAt = now;
+  }
+  return lines;
+}
+
+/* ================= 장애 주입 ================= */
+
+// rule: { provider?, method?, path?(포함 문자열), status, times?(기본 1, null=무제한),
+//         retryAfter?, body?, delayMs? }
+function addRule(state, rule) {
+  const next = {
+    provider: rule.provider ? providerOf(rule.provider) : null,
+    method: rule.method ? String(rule.method).toUpperCase() : null,
+    path: rule.path ?? null,
+    status: Number(rule.status ?? 500),
+    remaining: rule.times === null ? Infinity : Number(rule.times ?? 1),
+    retryAfter: rule.retryAfter ?? null,
+    body: rule.body ?? null,
+    delayMs: Number(rule.delayMs ?? 0),
+  };
+  state.rules.push(next);
+  return next;
+}
+
+function takeRule(state, provider, req) {
+  const rule = state.rules.find(
+    (r) =>
+      r.remaining > 0 &&
+      (!r.provider || r.provider === provider) &&
+      (!r.method || r.method === req.method) &&
+      (!r.path || req.url.includes(r.path))
+  );
+  if (rule) rule.remaining -= 1;
+  return rule ?? null;
+}
+
+// 분당/초당 호출 제한 초과면 재시도까지 남은 초
+function rateLimited(state, provider) {
+  const limit = state.rateLimits[provider];
+  if (!limit) return null;
+
+  const now = Date.now();
+  const hits = state.hits[provider].filter((t) => now - t < limit.windowMs);
+  state.hits[provider] = hits;
+  if (hits.length >= limit.limit) {
+    return Math.max(1, Math.ceil((limit.windowMs - (now - hits[0])) / 1000));
+  }
+  hits.push(now);
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function failureBody(provider, status, message) {
+  if (provider === "ELEVENST") {
+    return (
+      `<?xml version="1.0" encoding="UTF-8"?><ClientMessage>` +
+      `<resultCode>${status}</resultCode><message>${message}</message></ClientMessage>`
+    );
+  }
+  if (provider === "COUPANG") return { code: "ERROR", message };
+  return { code: String(status), message };
+}
+
+// 마켓 라우터 앞단: 호출 기록, 주입된 장애, 호출 제한, 무작위 5xx
+function createGate(state, provider) {
+  return async (req, res, next) => {
+    const call = {
+      at: new Date().toISOString(),
+      provider,
+      method: req.method,
+      path: req.path,
+      query: { ...req.query },
+      body: req.body,
+      status: null,
+      injected: null,
+    };
+    state.calls.push(call);
+    res.on("finish", () => {
+      call.status = res.statusCode;
+    });
+
+    const send = (status, message, retryAfter) => {
+      if (retryAfter) res.set("Retry-After", String(retryAfter));
+      const body = failureBody(provider, status, message);
+      if (typeof body === "string") return res.status(status).type("application/xml").send(body);
+      return res.status(status).json(body);
+    };
+
+    const rule = takeRule(state, provider, req);
+    if (rule) {
+      call.injected = "rule";
+      if (rule.delayMs > 0) await sleep(rule.delayMs);
+      if (rule.body !== null) {
+        if (rule.retryAfter) res.set("Retry-After", String(rule.retryAfter));
+        return res.status(rule.status).send(rule.body);
+      }
+      return send(rule.status, "injected failure", rule.retryAfter);
+    }
+
+    const retryAfter = rateLimited(state, provider);
+    if (retryAfter !== null) {
+      call.injected = "rate-limit";
+      return send(429, "too many requests", retryAfter);
+    }
+
+    const rate = state.flakiness[provider] ?? 0;
+    if (rate > 0 && Math.random() < rate) {
+      call.injected = "flaky";
+      return send(503, "service unavailable");
+    }
+
+    next();
+  };
+}
+
+/* ================= 제어 API ================= */
+
+function createControlRouter(mock) {
+  const router = express.Router();
+  const { state } = mock;
+
+  const wrap = (fn) => (req, res) => {
+    try {
+      fn(req, res);
+    } catch (e) {
+      res.status(e.status || 500).json({ ok: false, message: e.message });
+    }
+  };
+
+  router.post("/reset", wrap((req, res) => {
+    mock.reset();
+    res.json({ ok: true });
+  }));
+
+  router.get("/state", wrap((req, res) => {
+    res.json({
+      ok: true,
+      credentials: state.credentials,
+      products: state.products,
+      orders: state.orders,
+      rules: state.rules,
+      rateLimits: state.rateLimits,
+      flakiness: state.flakiness,
+      pageSize: state.pageSize,
+    });
+  }));
+
+  router.put("/page-size", wrap((req, res) => {
+    state.pageSize = Math.max(1, Number(req.body?.pageSize) || 50);
+    res.json({ ok: true, pageSize: state.pageSize });
+  }));
+
+  router.post("/:provider/products", wrap((req, res) => {
+    const products = seedProducts(state, req.params.provider, req.body?.products);
+    res.json({ ok: true, products });
+  }));
+
+  router.post("/:provider/orders", wrap((req, res) => {
+    const orders = seedOrders(state, req.params.provider, req.body?.orders);
+    res.json({ ok: true, orders });
+  }));
+
+  router.post("/:provider/orders/:orderId/cancel", wrap((req, res) => {
+    const lines = cancelOrder(state, req.params.provider, req.params.orderId, req.body?.lineId);
+    if (lines.length === 0) return res.status(404).json({ ok: false, message: "order not found" });
+    res.json({ ok: true, lines });
+  }));
+
+  router.post("/rules", wrap((req, res) => {
+    res.json({ ok: true, rule: addRule(state, req.body ?? {}) });
+  }));
+
+  router.delete("/rules", wrap((req, res) => {
+    state.rules = [];
+    res.json({ ok: true });
+  }));
+
+  // { limit, windowMs } 또는 null(해제)
+  router.put("/:provider/rate-limit", wrap((req, res) => {
+    const provider = providerOf(req.params.provider);
+    const limit = Number(req.body?.limit);
+    state.rateLimits[provider] =
+      limit > 0 ? { limit, windowMs: Number(req.body?.windowMs) || 1000 } : null;
+    state.hits[provider] = [];
+    res.json({ ok: true, rateLimit: state.rateLimits[provider] });
+  }));
+
+  // { rate: 0~1 } 확률로 503
+  router.put("/:provider/flakiness", wrap((req, res) => {
+    const provider = providerOf(req.params.provider);
+    state.flakiness[provider] = Math.min(1, Math.max(0, Number(req.body?.rate) || 0));
+    res.json({ ok: true, rate: state.flakiness[provider] });
+  }));
+
+  router.get("/calls", wrap((req, res) => {
+    res.json({ ok: true, calls: mock.calls(req.query) });
+  }));
+
+  router.delete("/calls", wrap((req, res) => {
+    state.calls = [];
+    res.json({ ok: true });
+  }));
+
+  return router;
+}
+
+/**
+ * 모의 마켓 서버 생성
+ * - options: { credentials?: { NAVER?, COUPANG?, ELEVENST? }, pageSize? }
+ * - listen(port) 후 baseUrls 를 어댑터/연결 설정에 넣어 사용
+ */
+function createMockMarketplace(options = {}) {
+  const app = express();
+  const mock = {
+    app,
+    state: createState(options),
+    server: null,
+    baseUrls: null,
+
+    reset() {
+      const fresh = createState(options);
+      for (const key of Object.keys(mock.state)) delete mock.state[key];
+      Object.assign(mock.state, fresh);
+    },
+    seedProducts: (provider, products) => seedProducts(mock.state, provider, products),
+    seedOrders: (provider, orders) => seedOrders(mock.state, provider, orders),
+    cancelOrder: (provider, orderId, lineId) => cancelOrder(mock.state, provider, orderId, lineId),
+    fail: (rule) => addRule(mock.state, rule),
+    setRateLimit(provider, limit) {
+      mock.state.rateLimits[providerOf(provider)] = limit;
+      mock.state.hits[providerOf(provider)] = [];
+    },
+    setFlakiness(provider, rate) {
+      mock.state.flakiness[providerOf(provider)] = rate;
+    },
+    // 받은 호출(provider / method / path 로 거르기)
+    calls({ provider, method, path } = {}) {
+      return mock.state.calls.filter(
+        (c) =>
+          (!provider || c.provider === String(provider).toUpperCase()) &&
+          (!method || c.method === String(method).toUpperCase()) &&
+          (!path || c.path.includes(path))
+      );
+    },
+    clearCalls() {
+      mock.state.calls = [];
+    },
+
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        mock.server = app.listen(port, () => {
+          const origin = `http://127.0.0.1:${mock.server.address().port}`;
+          mock.baseUrls = Object.fromEntries(
+            PROVIDERS.map((p) => [p, `${origin}${PREFIXES[p]}`])
+          );
+          resolve(mock);
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => {
+        if (!mock.server) return resolve();
+        mock.server.close(() => resolve());
+      });
+    },
+  };
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.text({ type: ["text/xml", "application/xml"] }));
+
+  app.use("/__mock", createControlRouter(mock));
+
+  const routers = {
+    NAVER: createNaverMockRouter,
+    COUPANG: createCoupangMockRouter,
+    ELEVENST: createElevenstMockRouter,
+  };
+  for (const provider of PROVIDERS) {
+    app.use(PREFIXES[provider], createGate(mock.state, provider), routers[provider](mock.state));
+  }
+
+  app.use((req, res) => {
+    res.status(404).json({ ok: false, message: "not found" });
+  });
+
+  return mock;
+}
+
+export { PROVIDERS, DEFAULT_CREDENTIALS, createMockMarketplace };
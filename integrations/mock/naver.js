@@ -0,0 +1,170 @@
+import crypto from "crypto";
+import express from "express";
+import bcrypt from "bcryptjs";
+
+// 모의 네이버 커머스API
+// - 토큰 발급 시 client_secret_sign(bcrypt) 검증, 이후 Bearer 토큰 확인
+// - 변경 주문 조회는 moreSequence 로 페이지를 넘김
+
+const TOKEN_TTL_SECONDS = 3 * 60 * 60;
+
+function groupByProduct(rows) {
+  const map = new Map();
+  for (const row of rows) {
+    if (!map.has(row.productId)) map.set(row.productId, []);
+    map.get(row.productId).push(row);
+  }
+  return [...map.entries()];
+}
+
+function productOrderStatusOf(line) {
+  return line.status === "CANCELLED" ? "CANCELED" : "PAYED";
+}
+
+export default function createNaverMockRouter(state) {
+  const router = express.Router();
+
+  const unauthorized = (res, message) =>
+    res.status(401).json({ code: "GW.AUTHN", message, timestamp: new Date().toISOString() });
+
+  // POST /v1/oauth2/token
+  router.post("/v1/oauth2/token", (req, res) => {
+    const { client_id: clientId, timestamp, client_secret_sign: sign } = req.body ?? {};
+    const expected = state.credentials.NAVER;
+
+    if (clientId !== expected.clientId) return unauthorized(res, "client_id invalid");
+    if (!(Math.abs(Date.now() - Number(timestamp)) <= 5 * 60 * 1000)) {
+      return unauthorized(res, "timestamp expired");
+    }
+    const hashed = bcrypt.hashSync(`${clientId}_${timestamp}`, expected.clientSecret);
+    if (sign !== Buffer.from(hashed).toString("base64")) {
+      return unauthorized(res, "client_secret_sign invalid");
+    }
+
+    const token = crypto.randomBytes(16).toString("hex");
+    state.tokens.set(token, Date.now() + TOKEN_TTL_SECONDS * 1000);
+    res.json({ access_token: token, expires_in: TOKEN_TTL_SECONDS, token_type: "Bearer" });
+  });
+
+  router.use((req, res, next) => {
+    const token = String(req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const expiresAt = state.tokens.get(token);
+    if (!expiresAt || expiresAt < Date.now()) return unauthorized(res, "access token invalid");
+    next();
+  });
+
+  // PUT /v1/products/origin-products/:no/option-stock
+  router.put("/v1/products/origin-products/:no/option-stock", (req, res) => {
+    const rows = state.products.NAVER.filter((p) => p.productId === req.params.no);
+    if (rows.length === 0) {
+      return res.status(404).json({ code: "NOT_FOUND", message: "origin product not found" });
+    }
+
+    const body = req.body ?? {};
+    const combinations = body.optionInfo?.optionCombinations;
+    if (Array.isArray(combinations)) {
+      for (const c of combinations) {
+        const row = rows.find((r) => r.optionId === String(c.id));
+        if (!row) {
+          return res
+            .status(400)
+            .json({ code: "INVALID_OPTION", message: `option ${c.id} not found` });
+        }
+        if (c.stockQuantity !== undefined) row.stock = Number(c.stockQuantity);
+      }
+    } else if (body.stockQuantity !== undefined) {
+      rows[0].stock = Number(body.stockQuantity);
+    }
+    if (body.productSalePrice?.salePrice !== undefined) {
+      for (const row of rows) row.price = Number(body.productSalePrice.salePrice);
+    }
+
+    res.json({ timestamp: new Date().toISOString() });
+  });
+
+  // POST /v1/products/search
+  router.post("/v1/products/search", (req, res) => {
+    const size = Math.min(Number(req.body?.size) || 50, state.pageSize);
+    const page = Math.max(1, Number(req.body?.page) || 1);
+    const products = groupByProduct(state.products.NAVER);
+
+    const contents = products.slice((page - 1) * size, page * size).map(([productId, rows]) => ({
+      originProductNo: Number(productId) || productId,
+      channelProducts: [
+        {
+          channelProductNo: Number(productId) || productId,
+          name: rows[0].name,
+          salePrice: rows[0].price,
+          stockQuantity: rows.reduce((s, r) => s + r.stock, 0),
+          sellerManagementCode: rows[0].sku,
+        },
+      ],
+    }));
+
+    res.json({
+      contents,
+      page,
+      size,
+      totalElements: products.length,
+      totalPages: Math.max(1, Math.ceil(products.length / size)),
+    });
+  });
+
+  // GET /v1/pay-order/seller/product-orders/last-changed-statuses
+  router.get("/v1/pay-order/seller/product-orders/last-changed-statuses", (req, res) => {
+    const from = new Date(String(req.query.lastChangedFrom || ""));
+    if (Number.isNaN(from.getTime())) {
+      return res.status(400).json({ code: "INVALID_PARAMETER", message: "lastChangedFrom required" });
+    }
+    const to = req.query.lastChangedTo ? new Date(String(req.query.lastChangedTo)) : null;
+
+    const changed = state.orders.NAVER.filter((o) => {
+      const at = new Date(o.changedAt);
+      return at >= from && (!to || at <= to);
+    }).sort((a, b) => a.changedAt.localeCompare(b.changedAt) || a.lineId.localeCompare(b.lineId));
+
+    const offset = Number(req.query.moreSequence) || 0;
+    const page = changed.slice(offset, offset + state.pageSize);
+    const nextOffset = offset + state.pageSize;
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      data: {
+        lastChangeStatuses: page.map((o) => ({
+          orderId: o.orderId,
+          productOrderId: o.lineId,
+          lastChangedType: o.status === "CANCELLED" ? "CLAIM_COMPLETED" : "PAYED",
+          lastChangedDate: o.changedAt,
+          productOrderStatus: productOrderStatusOf(o),
+        })),
+        count: page.length,
+        more:
+          nextOffset < changed.length
+            ? { moreFrom: String(req.query.lastChangedFrom), moreSequence: String(nextOffset) }
+            : null,
+      },
+    });
+  });
+
+  // POST /v1/pay-order/seller/product-orders/query
+  router.post("/v1/pay-order/seller/product-orders/query", (req, res) => {
+    const ids = new Set((req.body?.productOrderIds ?? []).map(String));
+    const data = state.orders.NAVER.filter((o) => ids.has(o.lineId)).map((o) => ({
+      order: { orderId: o.orderId, orderDate: o.orderedAt, paymentDate: o.orderedAt },
+      productOrder: {
+        productOrderId: o.lineId,
+        productId: o.productId,
+        originalProductId: o.productId,
+        optionCode: o.optionId,
+        sellerProductCode: o.sku,
+        quantity: o.quantity,
+        unitPrice: o.unitPrice,
+        totalPaymentAmount: o.unitPrice * o.quantity,
+        productOrderStatus: productOrderStatusOf(o),
+      },
+    }));
+    res.json({ timestamp: new Date().toISOString(), data });
+  });
+
+  return router;
+}
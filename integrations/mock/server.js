@@ -0,0 +1,12 @@
+import { createMockMarketplace } from "./marketplace.js";
+
+const port = Number(process.env.MOCK_MARKETPLACE_PORT) || 4010;
+
+const mock = createMockMarketplace();
+await mock.listen(port);
+
+console.log(`[mock-marketplace] listening on ${port}`);
+console.log("[mock-marketplace] NAVER_COMMERCE_BASE_URL=%s", mock.baseUrls.NAVER);
+console.log("[mock-marketplace] COUPANG_BASE_URL=%s", mock.baseUrls.COUPANG);
+console.log("[mock-marketplace] ELEVENST_BASE_URL=%s", mock.baseUrls.ELEVENST);
+console.log("[mock-marketplace] credentials: %j", mock.state.credentials);
@@ -1,11 +1,214 @@
-async function updateStock({ listing, targetQty }) {
-  console.log("[COUPANG][stub] updateStock", {
-    listingId: listing?.id,
-    channelProductId: listing?.channelProductId,
-    channelOptionId: listing?.channelOptionId,
-    targetQty,
+import crypto from "crypto";
+import {
+  providerError,
+  requireCredentials,
+  resolveBaseUrl,
+  toQueryString,
+  request,
+} from "./http.js";
+
+// 쿠팡 WING Open API
+// - credentials: { accessKey, secretKey, vendorId }
+// - 인증: CEA HMAC-SHA256(signed-date + method + path + query) 서명을 요청마다 Authorization 헤더로
+// - listing.channelOptionId(없으면 channelProductId) = vendorItemId
+
+const PROVIDER = "COUPANG";
+const DEFAULT_BASE_URL = "https://api-gateway.coupang.com";
+const SELLER_API = "/v2/providers/seller_api/apis/api/v1/marketplace";
+
+// 주문 조회 단계: 결제완료/상품준비중 주문서 → 취소 요청
+const ORDER_STAGES = ["ACCEPT", "INSTRUCT", "CANCEL"];
+
+// yyMMdd'T'HHmmss'Z' (UTC)
+function signedDateOf(now) {
+  return now
+    .toISOString()
+    .slice(2, 19)
+    .replace(/[-:]/g, "")
+    .concat("Z");
+}
+
+function authorizationOf({ accessKey, secretKey }, method, path, qs, now = new Date()) {
+  const signedDate = signedDateOf(now);
+  const signature = crypto
+    .createHmac("sha256", secretKey)
+    .update(`${signedDate}${method}${path}${qs}`)
+    .digest("hex");
+  return (
+    `CEA algorithm=HmacSHA256, access-key=${accessKey}, ` +
+    `signed-date=${signedDate}, signature=${signature}`
+  );
+}
+
+function toDateOnly(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function createCoupangClient({ credentials = {}, baseUrl, fetchImpl } = {}) {
+  const base = resolveBaseUrl({
+    override: baseUrl,
+    envName: "COUPANG_BASE_URL",
+    fallback: DEFAULT_BASE_URL,
   });
-  return { ok: true };
+
+  const keys = () =>
+    requireCredentials(PROVIDER, credentials, ["accessKey", "secretKey", "vendorId"]);
+
+  // 쿠팡은 HTTP 200 에 code: "ERROR" 로 실패를 주기도 함
+  async function signed({ method = "GET", path, query, body }) {
+    const creds = keys();
+    const qs = toQueryString(query);
+    const { data } = await request(PROVIDER, {
+      fetchImpl,
+      baseUrl: base,
+      method,
+      path: qs ? `${path}?${qs}` : path,
+      body,
+      headers: {
+        Authorization: authorizationOf(creds, method, path, qs),
+        "X-Requested-By": creds.vendorId,
+      },
+    });
+
+    if (data && typeof data === "object" && String(data.code).toUpperCase() === "ERROR") {
+      throw providerError(PROVIDER, data.message || "request failed", {
+        code: "REJECTED",
+        body: data,
+      });
+    }
+    return data;
+  }
+
+  function vendorItemIdOf(listing) {
+    const id = listing?.channelOptionId || listing?.channelProductId;
+    if (!id) {
+      throw providerError(PROVIDER, "listing has no vendorItemId", { code: "LISTING_INVALID" });
+    }
+    return encodeURIComponent(id);
+  }
+
+  async function updateStock({ listing, targetQty }) {
+    const qty = Math.max(0, Math.trunc(Number(targetQty) || 0));
+    await signed({
+      method: "PUT",
+      path: `${SELLER_API}/vendor-items/${vendorItemIdOf(listing)}/quantities/${qty}`,
+    });
+    return { ok: true };
+  }
+
+  async function updatePrice({ listing, price }) {
+    const amount = Math.round(Number(price));
+    await signed({
+      method: "PUT",
+      path: `${SELLER_API}/vendor-items/${vendorItemIdOf(listing)}/prices/${amount}`,
+      query: { forceSalePriceUpdate: true },
+    });
+    return { ok: true };
+  }
+
+  // cursor = 쿠팡 nextToken
+  async function fetchListings({ cursor, pageSize = 50 } = {}) {
+    const { vendorId } = keys();
+    const data = await signed({
+      path: `${SELLER_API}/seller-products`,
+      query: { vendorId, nextToken: cursor || undefined, maxPerPage: pageSize },
+    });
+
+    const listings = (data?.data ?? []).map((p) => ({
+      productId: String(p.sellerProductId),
+      optionId: null,
+      sku: null,
+      name: p.sellerProductName ?? null,
+      price: null,
+      stock: null,
+    }));
+    return { listings, nextCursor: data?.nextToken || null };
+  }
+
+  // 주문서는 상태별로 따로 조회해야 해서 단계를 차례로 넘김
+  // cursor = `${단계}:${nextToken}`
+  async function fetchOrders({ since, until, cursor } = {}) {
+    const { vendorId } = keys();
+    const raw = cursor ? String(cursor) : `${ORDER_STAGES[0]}:`;
+    const stageName = raw.slice(0, raw.indexOf(":"));
+    const token = raw.slice(raw.indexOf(":") + 1);
+    const stage = ORDER_STAGES.indexOf(stageName);
+    if (stage < 0) {
+      throw providerError(PROVIDER, `invalid cursor: ${cursor}`, { code: "CURSOR_INVALID" });
+    }
+
+    const vendorPath = `/v2/providers/openapi/apis/api/v4/vendors/${encodeURIComponent(vendorId)}`;
+    const from = toDateOnly(since ?? Date.now() - 24 * 60 * 60 * 1000);
+    const to = toDateOnly(until ?? Date.now());
+    const orders = [];
+    let data;
+
+    if (stageName === "CANCEL") {
+      data = await signed({
+        path: `${vendorPath}/returnRequests`,
+        query: {
+          searchType: "timeFrame",
+          createdAtFrom: `${from}T00:00`,
+          createdAtTo: `${to}T23:59`,
+          cancelType: "CANCEL",
+          nextToken: token || undefined,
+        },
+      });
+      for (const receipt of data?.data ?? []) {
+        for (const item of receipt.returnItems ?? []) {
+          orders.push({
+            orderId: String(receipt.orderId),
+            lineId: String(item.vendorItemId),
+            productId: item.sellerProductId ? String(item.sellerProductId) : null,
+            optionId: String(item.vendorItemId),
+            sku: item.externalVendorSkuCode ?? null,
+            quantity: Number(item.cancelCount ?? item.purchaseCount) || 0,
+            unitPrice: null,
+            status: "CANCELLED",
+            orderedAt: receipt.createdAt ?? null,
+          });
+        }
+      }
+    } else {
+      data = await signed({
+        path: `${vendorPath}/ordersheets`,
+        query: {
+          createdAtFrom: from,
+          createdAtTo: to,
+          status: stageName,
+          maxPerPage: 50,
+          nextToken: token || undefined,
+        },
+      });
+      for (const sheet of data?.data ?? []) {
+        for (const item of sheet.orderItems ?? []) {
+          orders.push({
+            orderId: String(sheet.orderId),
+            lineId: String(item.vendorItemId),
+            productId: item.sellerProductId ? String(item.sellerProductId) : null,
+            optionId: String(item.vendorItemId),
+            sku: item.externalVendorSkuCode ?? null,
+            quantity: Number(item.shippingCount) || 0,
+            unitPrice: item.salesPrice ?? null,
+            status: "PAID",
+            orderedAt: sheet.paidAt ?? sheet.orderedAt ?? null,
+          });
+        }
+      }
+    }
+
+    let nextCursor = null;
+    if (data?.nextToken) nextCursor = `${stageName}:${data.nextToken}`;
+    else if (stage + 1 < ORDER_STAGES.length) nextCursor = `${ORDER_STAGES[stage + 1]}:`;
+    return { orders, nextCursor };
+  }
+
+  async function testConnection() {
+    await fetchListings({ pageSize: 1 });
+    return { ok: true };
+  }
+
+  return { updateStock, updatePrice, fetchListings, fetchOrders, testConnection };
 }
 
-export { updateStock };
+export { createCoupangClient };
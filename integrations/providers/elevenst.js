@@ -1,11 +1,161 @@
-async function updateStock({ listing, targetQty }) {
-  console.log("[ELEVENST][stub] updateStock", {
-    listingId: listing?.id,
-    channelProductId: listing?.channelProductId,
-    channelOptionId: listing?.channelOptionId,
-    targetQty,
+import {
+  providerError,
+  requireCredentials,
+  resolveBaseUrl,
+  request,
+  xmlBlocks,
+  xmlText,
+  toXml,
+} from "./http.js";
+
+// 11번가 Open API
+// - credentials: { apiKey } (openapikey 헤더)
+// - 요청/응답 모두 XML, 응답은 EUC-KR 인 경우가 있음(request 에서 charset 대로 디코딩)
+// - listing.channelProductId = 상품번호(prdNo), channelOptionId = 재고번호(prdStckNo)
+
+const PROVIDER = "ELEVENST";
+const DEFAULT_BASE_URL = "https://api.11st.co.kr";
+
+// 주문 조회 단계: 결제완료 → 취소
+const ORDER_STAGES = ["PAID", "CANCELLED"];
+
+// 11번가 일시: yyyyMMddHHmm (한국 시간)
+function toElevenstTime(date) {
+  const kst = new Date(new Date(date).getTime() + 9 * 60 * 60 * 1000);
+  return kst.toISOString().slice(0, 16).replace(/[-T:]/g, "");
+}
+
+function numberOrNull(v) {
+  return v === null || v === "" ? null : Number(v);
+}
+
+function createElevenstClient({ credentials = {}, baseUrl, fetchImpl } = {}) {
+  const base = resolveBaseUrl({
+    override: baseUrl,
+    envName: "ELEVENST_BASE_URL",
+    fallback: DEFAULT_BASE_URL,
   });
-  return { ok: true };
+
+  // 실패도 HTTP 200 + <resultCode> 로 오는 경우가 있음
+  async function call({ method = "GET", path, body }) {
+    const { apiKey } = requireCredentials(PROVIDER, credentials, ["apiKey"]);
+    const { data } = await request(PROVIDER, {
+      fetchImpl,
+      baseUrl: base,
+      method,
+      path,
+      body,
+      contentType: "text/xml; charset=UTF-8",
+      headers: { openapikey: apiKey, Accept: "application/xml" },
+    });
+
+    const xml = String(data ?? "");
+    const resultCode = xmlText(xml, "resultCode") ?? xmlText(xml, "result_code");
+    if (resultCode !== null && !["0", "200"].includes(resultCode)) {
+      const message = xmlText(xml, "message") ?? xmlText(xml, "result_text") ?? "request failed";
+      throw providerError(PROVIDER, `${resultCode}: ${message}`, { code: "REJECTED", body: xml });
+    }
+    return xml;
+  }
+
+  function productNoOf(listing) {
+    if (!listing?.channelProductId) {
+      throw providerError(PROVIDER, "listing has no channelProductId", { code: "LISTING_INVALID" });
+    }
+    return encodeURIComponent(listing.channelProductId);
+  }
+
+  async function updateStock({ listing, targetQty }) {
+    productNoOf(listing);
+    if (!listing.channelOptionId) {
+      throw providerError(PROVIDER, "listing has no channelOptionId(prdStckNo)", {
+        code: "LISTING_INVALID",
+      });
+    }
+    const qty = Math.max(0, Math.trunc(Number(targetQty) || 0));
+
+    await call({
+      method: "PUT",
+      path: `/rest/prodservices/stockqty/${encodeURIComponent(listing.channelOptionId)}`,
+      body: toXml("ProductStock", {
+        prdNo: listing.channelProductId,
+        prdStckNo: listing.channelOptionId,
+        stckQty: qty,
+      }),
+    });
+    return { ok: true };
+  }
+
+  async function updatePrice({ listing, price }) {
+    await call({
+      method: "POST",
+      path: `/rest/prodservices/product/priceCoupon/${productNoOf(listing)}`,
+      body: toXml("Product", { selPrc: Math.round(Number(price)) }),
+    });
+    return { ok: true };
+  }
+
+  // cursor = 시작 위치(1부터)
+  async function fetchListings({ cursor, pageSize = 50 } = {}) {
+    const start = Number(cursor) || 1;
+    const xml = await call({
+      method: "POST",
+      path: "/rest/prodmarketservice/prodmarket",
+      body: toXml("SearchProduct", { start, end: start + pageSize - 1 }),
+    });
+
+    const listings = xmlBlocks(xml, "product").map((p) => ({
+      productId: xmlText(p, "prdNo"),
+      optionId: null,
+      sku: xmlText(p, "sellerPrdCd"),
+      name: xmlText(p, "prdNm"),
+      price: numberOrNull(xmlText(p, "selPrc")),
+      stock: numberOrNull(xmlText(p, "prdSelQty")),
+    }));
+    return { listings, nextCursor: listings.length < pageSize ? null : String(start + pageSize) };
+  }
+
+  // 기간 단위 조회라 페이지가 없음, cursor = 다음 단계 이름
+  async function fetchOrders({ since, until, cursor } = {}) {
+    const stageName = cursor || ORDER_STAGES[0];
+    const stage = ORDER_STAGES.indexOf(stageName);
+    if (stage < 0) {
+      throw providerError(PROVIDER, `invalid cursor: ${cursor}`, { code: "CURSOR_INVALID" });
+    }
+
+    const from = toElevenstTime(since ?? Date.now() - 24 * 60 * 60 * 1000);
+    const to = toElevenstTime(until ?? Date.now());
+    const cancelled = stageName === "CANCELLED";
+    const xml = await call({
+      path: cancelled
+        ? `/rest/claimservice/cancelorders/${from}/${to}`
+        : `/rest/ordservices/complete/${from}/${to}`,
+    });
+
+    const orders = xmlBlocks(xml, "order").map((o) => ({
+      orderId: xmlText(o, "ordNo"),
+      lineId: xmlText(o, "ordPrdSeq"),
+      productId: xmlText(o, "prdNo"),
+      optionId: xmlText(o, "prdStckNo"),
+      sku: xmlText(o, "sellerPrdCd"),
+      quantity: Number(xmlText(o, cancelled ? "ordCnQty" : "ordQty")) || 0,
+      unitPrice: cancelled ? null : numberOrNull(xmlText(o, "selPrc")),
+      status: cancelled ? "CANCELLED" : "PAID",
+      orderedAt: xmlText(o, "ordDt"),
+    }));
+
+    return {
+      orders,
+      nextCursor: stage + 1 < ORDER_STAGES.length ? ORDER_STAGES[stage + 1] : null,
+    };
+  }
+
+  async function testConnection() {
+    await fetchListings({ pageSize: 1 });
+    return { ok: true };
+  }
+
+  return { updateStock, updatePrice, fetchListings, fetchOrders, testConnection };
 }
 
-export { updateStock };
+export { createElevenstClient };
@@ -1,11 +1,16 @@
-async function updateStock({ listing, targetQty }) {
-  console.log("[ETC][stub] updateStock", {
-    listingId: listing?.id,
-    channelProductId: listing?.channelProductId,
-    channelOptionId: listing?.channelOptionId,
-    targetQty,
-  });
-  return { ok: true };
+// 기타(직접 관리) 채널: 연동할 마켓 API 가 없음
+// - 재고 반영은 할 일이 없으므로 성공(skipped) 처리, 나머지 기능은 지원하지 않음
+
+function createEtcClient() {
+  async function updateStock() {
+    return { ok: true, skipped: true };
+  }
+
+  async function testConnection() {
+    return { ok: true };
+  }
+
+  return { updateStock, testConnection };
 }
 
-export { updateStock };
+export { createEtcClient };
@@ -0,0 +1,186 @@
+// 마켓 API 공통 HTTP 처리
+// - baseUrl 은 호출 옵션 > 환경 변수 > 기본값 순서(로컬 모의 서버 테스트용)
+// - 실패는 Error 에 provider / status / code / retryable / retryAfter(초) 를 붙여서 던짐
+//   retryable: 429, 5xx, 네트워크 오류(동기화 작업이 다시 시도), 그 외(인증 실패 등)는 다시 시도해도 소용없음
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function providerError(provider, message, extra = {}) {
+  const error = new Error(`[${provider}] ${message}`);
+  error.provider = provider;
+  error.status = extra.status ?? null;
+  error.code = extra.code ?? "PROVIDER_ERROR";
+  error.retryable = extra.retryable ?? false;
+  error.retryAfter = extra.retryAfter ?? null;
+  if (extra.body !== undefined) error.body = extra.body;
+  return error;
+}
+
+// 지원하지 않는 기능: 호출하면 UNSUPPORTED 오류
+function unsupported(provider, capability) {
+  return async () => {
+    throw providerError(provider, `${capability} is not supported`, { code: "UNSUPPORTED" });
+  };
+}
+
+// 필수 인증 정보 확인(없으면 CREDENTIALS_MISSING)
+function requireCredentials(provider, credentials, fields) {
+  const missing = fields.filter(
+    (f) => credentials?.[f] == null || String(credentials[f]).trim() === ""
+  );
+  if (missing.length > 0) {
+    throw providerError(provider, `missing credentials: ${missing.join(", ")}`, {
+      code: "CREDENTIALS_MISSING",
+    });
+  }
+  return Object.fromEntries(fields.map((f) => [f, String(credentials[f]).trim()]));
+}
+
+// 사용자가 저장하는 인증 정보로는 바꿀 수 없음(서버가 임의 주소로 요청하지 않도록)
+function resolveBaseUrl({ override, envName, fallback }) {
+  const url = override || process.env[envName] || fallback;
+  return String(url).replace(/\/+$/, "");
+}
+
+// 값이 있는 파라미터만, 넣은 순서대로(서명 계산에 그대로 쓰임)
+function toQueryString(query) {
+  return Object.entries(query ?? {})
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(String(v))}`)
+    .join("&");
+}
+
+function charsetOf(contentType) {
+  const match = /charset=([^;]+)/i.exec(contentType || "");
+  return match ? match[1].trim().toLowerCase() : "utf-8";
+}
+
+function messageOf(data) {
+  if (data && typeof data === "object") {
+    return data.message || data.error_description || data.error || JSON.stringify(data).slice(0, 200);
+  }
+  return String(data ?? "").slice(0, 200);
+}
+
+/**
+ * HTTP 요청
+ * - body: 객체면 JSON, 문자열이면 그대로(contentType 지정), form: x-www-form-urlencoded
+ * - 반환: { status, data, headers } (JSON 응답은 파싱, 그 외는 문자열)
+ */
+async function request(
+  provider,
+  { fetchImpl = fetch, baseUrl, method = "GET", path, query, headers, body, form, contentType, timeoutMs }
+) {
+  const qs = toQueryString(query);
+  const url = `${baseUrl}${path}${qs ? `?${qs}` : ""}`;
+
+  const init = { method, headers: { Accept: "application/json", ...headers } };
+  if (form) {
+    init.body = new URLSearchParams(form).toString();
+    init.headers["Content-Type"] = "application/x-www-form-urlencoded";
+  } else if (body !== undefined) {
+    init.body = typeof body === "string" ? body : JSON.stringify(body);
+    init.headers["Content-Type"] = contentType || "application/json";
+  }
+  init.signal = AbortSignal.timeout(timeoutMs ?? DEFAULT_TIMEOUT_MS);
+
+  let res;
+  try {
+    res = await fetchImpl(url, init);
+  } catch (e) {
+    throw providerError(provider, `network error: ${e?.message || e}`, {
+      code: "NETWORK",
+      retryable: true,
+    });
+  }
+
+  // 11번가처럼 EUC-KR 로 응답하는 곳이 있어 charset 대로 디코딩
+  const type = res.headers.get("content-type") || "";
+  const text = new TextDecoder(charsetOf(type)).decode(await res.arrayBuffer());
+  let data = text;
+  if (type.includes("json") && text) {
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = text;
+    }
+  }
+
+  if (!res.ok) {
+    const retryAfter = Number(res.headers.get("retry-after"));
+    throw providerError(provider, `HTTP ${res.status}: ${messageOf(data)}`, {
+      status: res.status,
+      code:
+        res.status === 429
+          ? "RATE_LIMITED"
+          : res.status === 401 || res.status === 403
+            ? "UNAUTHORIZED"
+            : "HTTP_ERROR",
+      retryable: res.status === 429 || res.status >= 500,
+      retryAfter: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null,
+      body: data,
+    });
+  }
+
+  return { status: res.status, data, headers: res.headers };
+}
+
+// 한국 시간(+09:00) ISO 문자열: 2026-10-19T09:30:00.000+09:00
+function toKstIso(date) {
+  const shifted = new Date(new Date(date).getTime() + 9 * 60 * 60 * 1000);
+  return shifted.toISOString().replace("Z", "+09:00");
+}
+
+/* ================= XML (11번가) ================= */
+
+function decodeXml(v) {
+  return v
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function escapeXml(v) {
+  return String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// <tag>…</tag> 블록들의 안쪽 문자열(네임스페이스 접두어 무시)
+function xmlBlocks(xml, tag) {
+  const re = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, "g");
+  return [...String(xml ?? "").matchAll(re)].map((m) => m[1]);
+}
+
+// 첫 번째 <tag> 의 값(없으면 null)
+function xmlText(xml, tag) {
+  const [inner] = xmlBlocks(xml, tag);
+  return inner === undefined ? null : decodeXml(inner);
+}
+
+function toXml(root, fields) {
+  const inner = Object.entries(fields)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `<${k}>${escapeXml(v)}</${k}>`)
+    .join("");
+  return `<?xml version="1.0" encoding="UTF-8"?><${root}>${inner}</${root}>`;
+}
+
+export {
+  providerError,
+  unsupported,
+  requireCredentials,
+  resolveBaseUrl,
+  toQueryString,
+  toKstIso,
+  request,
+  xmlBlocks,
+  xmlText,
+  toXml,
+};
@@ -1,21 +1,58 @@
-import { updateStock as updateNaverStock } from "./naver.js";
-import { updateStock as updateCoupangStock } from "./coupang.js";
-import { updateStock as updateElevenstStock } from "./elevenst.js";
-import { updateStock as updateEtcStock } from "./etc.js";
+import { createNaverClient } from "./naver.js";
+import { createCoupangClient } from "./coupang.js";
+import { createElevenstClient } from "./elevenst.js";
+import { createEtcClient } from "./etc.js";
+import { unsupported } from "./http.js";
 
-function getProviderClient(provider) {
-  switch (provider) {
-    case "NAVER":
-      return { updateStock: updateNaverStock };
-    case "COUPANG":
-      return { updateStock: updateCoupangStock };
-    case "ELEVENST":
-      return { updateStock: updateElevenstStock };
-    case "ETC":
-      return { updateStock: updateEtcStock };
-    default:
-      return { updateStock: updateEtcStock };
+// 마켓 어댑터가 제공하는 기능
+// - updateStock({ listing, targetQty }) / updatePrice({ listing, price }) → { ok }
+// - fetchListings({ cursor, pageSize }) → { listings, nextCursor }
+// - fetchOrders({ since, until, cursor }) → { orders, nextCursor }
+//   orders: { orderId, lineId, productId, optionId, sku, quantity, unitPrice,
+//             status: "PAID" | "PENDING" | "CANCELLED" | "RETURNED"(배송 후 반품/교환), orderedAt }
+// - testConnection() → { ok }
+const CAPABILITIES = [
+  "updateStock",
+  "updatePrice",
+  "fetchListings",
+  "fetchOrders",
+  "testConnection",
+];
+
+// 마켓별 인증 정보 필드
+const CREDENTIAL_FIELDS = {
+  NAVER: ["clientId", "clientSecret"],
+  COUPANG: ["vendorId", "accessKey", "secretKey"],
+  ELEVENST: ["apiKey"],
+  ETC: [],
+};
+
+const FACTORIES = {
+  NAVER: createNaverClient,
+  COUPANG: createCoupangClient,
+  ELEVENST: createElevenstClient,
+  ETC: createEtcClient,
+};
+
+/**
+ * 마켓 어댑터 생성
+ * - credentials: ChannelConnection.credentials
+ * - baseUrl / fetchImpl: 모의 서버 등으로 바꿔 끼울 때
+ * - 어댑터에 없는 기능은 호출 시 UNSUPPORTED 오류, capabilities 로 미리 확인 가능
+ */
+function getProviderClient(provider, { credentials, baseUrl, fetchImpl } = {}) {
+  const factory = FACTORIES[provider];
+  if (!factory) throw new Error(`unknown provider: ${provider}`);
+
+  const adapter = factory({ credentials: credentials ?? {}, baseUrl, fetchImpl });
+  const client = {
+    provider,
+    capabilities: CAPABILITIES.filter((c) => typeof adapter[c] === "function"),
+  };
+  for (const c of CAPABILITIES) {
+    client[c] = adapter[c] ?? unsupported(provider, c);
   }
+  return client;
 }
 
-export { getProviderClient };
+export { CAPABILITIES, CREDENTIAL_FIELDS, getProviderClient };
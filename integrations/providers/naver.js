@@ -1,11 +1,195 @@
-async function updateStock({ listing, targetQty }) {
-  console.log("[NAVER][stub] updateStock", {
-    listingId: listing?.id,
-    channelProductId: listing?.channelProductId,
-    channelOptionId: listing?.channelOptionId,
-    targetQty,
+import bcrypt from "bcryptjs";
+import {
+  providerError,
+  requireCredentials,
+  resolveBaseUrl,
+  toKstIso,
+  request,
+} from "./http.js";
+
+// 네이버 커머스API(스마트스토어)
+// - credentials: { clientId, clientSecret }
+// - 인증: client_secret_sign = base64(bcrypt(`${clientId}_${timestamp}`, clientSecret)) 로 토큰 발급
+// - listing.channelProductId = 원상품번호, channelOptionId = 조합형 옵션 ID
+
+const PROVIDER = "NAVER";
+const DEFAULT_BASE_URL = "https://api.commerce.naver.com/external";
+
+const CANCELLED_STATUSES = new Set(["CANCELED", "CANCELED_BY_NOPAYMENT"]);
+// 배송 후 반품/교환은 취소가 아님(판매를 되돌리지 않고 반품 요청으로 처리)
+const RETURNED_STATUSES = new Set(["RETURNED", "EXCHANGED"]);
+
+function orderStatusOf(status) {
+  if (CANCELLED_STATUSES.has(status)) return "CANCELLED";
+  if (RETURNED_STATUSES.has(status)) return "RETURNED";
+  if (status === "PAYMENT_WAITING") return "PENDING";
+  return "PAID";
+}
+
+function createNaverClient({ credentials = {}, baseUrl, fetchImpl } = {}) {
+  const base = resolveBaseUrl({
+    override: baseUrl,
+    envName: "NAVER_COMMERCE_BASE_URL",
+    fallback: DEFAULT_BASE_URL,
   });
-  return { ok: true };
+  const call = (opts) => request(PROVIDER, { fetchImpl, baseUrl: base, ...opts });
+
+  let token = null; // { value, expiresAt }
+
+  async function issueToken() {
+    const { clientId, clientSecret } = requireCredentials(PROVIDER, credentials, [
+      "clientId",
+      "clientSecret",
+    ]);
+    const timestamp = Date.now();
+
+    let sign;
+    try {
+      const hashed = bcrypt.hashSync(`${clientId}_${timestamp}`, clientSecret);
+      sign = Buffer.from(hashed).toString("base64");
+    } catch {
+      throw providerError(PROVIDER, "clientSecret is not a valid bcrypt salt", {
+        code: "CREDENTIALS_INVALID",
+      });
+    }
+
+    const { data } = await call({
+      method: "POST",
+      path: "/v1/oauth2/token",
+      form: {
+        client_id: clientId,
+        timestamp,
+        client_secret_sign: sign,
+        grant_type: "client_credentials",
+        type: "SELF",
+      },
+    });
+    if (!data?.access_token) {
+      throw providerError(PROVIDER, "token response has no access_token", { code: "UNAUTHORIZED" });
+    }
+
+    token = {
+      value: data.access_token,
+      expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000,
+    };
+    return token.value;
+  }
+
+  async function authed(opts) {
+    // 만료 1분 전이면 새로 발급
+    const valid = token && token.expiresAt - 60 * 1000 > Date.now();
+    const value = valid ? token.value : await issueToken();
+    return call({ ...opts, headers: { Authorization: `Bearer ${value}`, ...opts.headers } });
+  }
+
+  function originProductNoOf(listing) {
+    if (!listing?.channelProductId) {
+      throw providerError(PROVIDER, "listing has no channelProductId", { code: "LISTING_INVALID" });
+    }
+    return encodeURIComponent(listing.channelProductId);
+  }
+
+  async function updateStock({ listing, targetQty }) {
+    const qty = Math.max(0, Math.trunc(Number(targetQty) || 0));
+    const body = listing.channelOptionId
+      ? {
+          optionInfo: {
+            optionCombinations: [{ id: Number(listing.channelOptionId), stockQuantity: qty }],
+          },
+        }
+      : { stockQuantity: qty };
+
+    await authed({
+      method: "PUT",
+      path: `/v1/products/origin-products/${originProductNoOf(listing)}/option-stock`,
+      body,
+    });
+    return { ok: true };
+  }
+
+  async function updatePrice({ listing, price }) {
+    await authed({
+      method: "PUT",
+      path: `/v1/products/origin-products/${originProductNoOf(listing)}/option-stock`,
+      body: { productSalePrice: { salePrice: Math.round(Number(price)) } },
+    });
+    return { ok: true };
+  }
+
+  // cursor = 페이지 번호(1부터)
+  async function fetchListings({ cursor, pageSize = 50 } = {}) {
+    const page = Number(cursor) || 1;
+    const { data } = await authed({
+      method: "POST",
+      path: "/v1/products/search",
+      body: { page, size: pageSize },
+    });
+
+    const listings = [];
+    for (const product of data?.contents ?? []) {
+      for (const cp of product.channelProducts ?? [null]) {
+        listings.push({
+          productId: String(product.originProductNo),
+          optionId: null,
+          sku: cp?.sellerManagementCode ?? null,
+          name: cp?.name ?? null,
+          price: cp?.salePrice ?? null,
+          stock: cp?.stockQuantity ?? null,
+        });
+      }
+    }
+
+    const totalPages = Number(data?.totalPages) || page;
+    return { listings, nextCursor: page < totalPages ? String(page + 1) : null };
+  }
+
+  // 변경된 상품주문 ID 조회 → 상세 조회
+  // cursor = `${moreFrom}|${moreSequence}` (네이버가 돌려준 다음 조회 위치)
+  async function fetchOrders({ since, until, cursor } = {}) {
+    const [moreFrom, moreSequence] = cursor ? String(cursor).split("|") : [];
+    const { data: changed } = await authed({
+      path: "/v1/pay-order/seller/product-orders/last-changed-statuses",
+      query: {
+        lastChangedFrom: moreFrom || toKstIso(since ?? Date.now() - 24 * 60 * 60 * 1000),
+        lastChangedTo: until ? toKstIso(until) : undefined,
+        moreSequence: moreSequence || undefined,
+      },
+    });
+
+    const statuses = changed?.data?.lastChangeStatuses ?? [];
+    const more = changed?.data?.more;
+    const nextCursor = more?.moreFrom ? `${more.moreFrom}|${more.moreSequence ?? ""}` : null;
+    if (statuses.length === 0) return { orders: [], nextCursor };
+
+    const { data: detail } = await authed({
+      method: "POST",
+      path: "/v1/pay-order/seller/product-orders/query",
+      body: { productOrderIds: statuses.map((s) => s.productOrderId) },
+    });
+
+    const orders = (detail?.data ?? []).map(({ order, productOrder }) => ({
+      orderId: String(order.orderId),
+      lineId: String(productOrder.productOrderId),
+      productId: String(productOrder.originalProductId ?? productOrder.productId),
+      optionId: productOrder.optionCode ? String(productOrder.optionCode) : null,
+      sku: productOrder.optionManageCode || productOrder.sellerProductCode || null,
+      quantity: Number(productOrder.quantity) || 0,
+      unitPrice: productOrder.unitPrice ?? null,
+      status: orderStatusOf(productOrder.productOrderStatus),
+      orderedAt: order.paymentDate ?? order.orderDate ?? null,
+    }));
+
+    return { orders, nextCursor };
+  }
+
+  // 토큰 발급이 되면 인증 정보는 유효
+  async function testConnection() {
+    token = null;
+    await issueToken();
+    return { ok: true };
+  }
+
+  return { updateStock, updatePrice, fetchListings, fetchOrders, testConnection };
 }
 
-export { updateStock };
+export { createNaverClient };
@@ -0,0 +1,69 @@
+-- Warehouse / StockTransfer / StockAudit 는 db push 로 먼저 만들어진 환경이 있어 IF NOT EXISTS 로 보강
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "Warehouse" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "location" TEXT,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "Warehouse_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "Warehouse_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "StockTransfer" (
+    "id" SERIAL NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "reason" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'COMPLETED',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+    "itemId" INTEGER NOT NULL,
+    "fromWarehouseId" INTEGER NOT NULL,
+    "toWarehouseId" INTEGER NOT NULL,
+
+    CONSTRAINT "StockTransfer_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "StockTransfer_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "StockTransfer_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "Item"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "StockTransfer_fromWarehouseId_fkey" FOREIGN KEY ("fromWarehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "StockTransfer_toWarehouseId_fkey" FOREIGN KEY ("toWarehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "StockAudit" (
+    "id" SERIAL NOT NULL,
+    "expectedQuantity" INTEGER NOT NULL,
+    "actualQuantity" INTEGER NOT NULL,
+    "difference" INTEGER NOT NULL,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+    "itemId" INTEGER NOT NULL,
+    "warehouseId" INTEGER NOT NULL,
+
+    CONSTRAINT "StockAudit_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "StockAudit_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "StockAudit_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "Item"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "StockAudit_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "Warehouse_userId_name_key" ON "Warehouse"("userId", "name");
+CREATE INDEX IF NOT EXISTS "Warehouse_userId_idx" ON "Warehouse"("userId");
+CREATE INDEX IF NOT EXISTS "StockTransfer_userId_createdAt_idx" ON "StockTransfer"("userId", "createdAt");
+CREATE INDEX IF NOT EXISTS "StockTransfer_itemId_idx" ON "StockTransfer"("itemId");
+CREATE INDEX IF NOT EXISTS "StockAudit_userId_createdAt_idx" ON "StockAudit"("userId", "createdAt");
+CREATE INDEX IF NOT EXISTS "StockAudit_itemId_idx" ON "StockAudit"("itemId");
+CREATE INDEX IF NOT EXISTS "StockAudit_warehouseId_idx" ON "StockAudit"("warehouseId");
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN "warehouseId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Record_userId_warehouseId_itemId_idx" ON "Record"("userId", "warehouseId", "itemId");
+
+-- AddForeignKey
+ALTER TABLE "Record" ADD CONSTRAINT "Record_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- AlterEnum
+ALTER TYPE "RecordType" ADD VALUE 'ADJUSTMENT';
+
+-- CreateEnum
+CREATE TYPE "TransferStatus" AS ENUM ('DRAFT', 'IN_TRANSIT', 'RECEIVED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "StockTransfer" ADD COLUMN     "receivedQuantity" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "receiveNotes" TEXT,
+ADD COLUMN     "dispatchedAt" TIMESTAMP(3),
+ADD COLUMN     "receivedAt" TIMESTAMP(3),
+ADD COLUMN     "cancelledAt" TIMESTAMP(3);
+
+-- 기존 이동(COMPLETED)은 즉시 도착한 것으로 간주
+UPDATE "StockTransfer"
+SET "status" = 'RECEIVED',
+    "receivedQuantity" = "quantity",
+    "dispatchedAt" = "createdAt",
+    "receivedAt" = "createdAt"
+WHERE "status" NOT IN ('DRAFT', 'IN_TRANSIT', 'RECEIVED', 'CANCELLED');
+
+ALTER TABLE "StockTransfer" ALTER COLUMN "status" DROP DEFAULT;
+ALTER TABLE "StockTransfer" ALTER COLUMN "status" TYPE "TransferStatus" USING ("status"::"TransferStatus");
+ALTER TABLE "StockTransfer" ALTER COLUMN "status" SET DEFAULT 'DRAFT';
+
+-- CreateIndex
+CREATE INDEX "StockTransfer_userId_status_idx" ON "StockTransfer"("userId", "status");
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN     "transferId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Record_transferId_idx" ON "Record"("transferId");
+
+-- AddForeignKey
+ALTER TABLE "Record" ADD CONSTRAINT "Record_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "StockTransfer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
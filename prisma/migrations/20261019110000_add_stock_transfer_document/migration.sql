@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "StockTransferDocument" (
+    "id" SERIAL NOT NULL,
+    "referenceNo" TEXT NOT NULL,
+    "reason" TEXT,
+    "createdBy" TEXT,
+    "status" "TransferStatus" NOT NULL DEFAULT 'DRAFT',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "fromWarehouseId" INTEGER NOT NULL,
+    "toWarehouseId" INTEGER NOT NULL,
+
+    CONSTRAINT "StockTransferDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "StockTransfer" ADD COLUMN     "documentId" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockTransferDocument_userId_referenceNo_key" ON "StockTransferDocument"("userId", "referenceNo");
+
+-- CreateIndex
+CREATE INDEX "StockTransferDocument_userId_createdAt_idx" ON "StockTransferDocument"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockTransfer_documentId_idx" ON "StockTransfer"("documentId");
+
+-- AddForeignKey
+ALTER TABLE "StockTransferDocument" ADD CONSTRAINT "StockTransferDocument_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransferDocument" ADD CONSTRAINT "StockTransferDocument_fromWarehouseId_fkey" FOREIGN KEY ("fromWarehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransferDocument" ADD CONSTRAINT "StockTransferDocument_toWarehouseId_fkey" FOREIGN KEY ("toWarehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "StockTransferDocument"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,73 @@
+-- CreateEnum
+CREATE TYPE "CountSessionStatus" AS ENUM ('OPEN', 'CLOSED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "StockCountSession" (
+    "id" SERIAL NOT NULL,
+    "status" "CountSessionStatus" NOT NULL DEFAULT 'OPEN',
+    "blind" BOOLEAN NOT NULL DEFAULT false,
+    "notes" TEXT,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "warehouseId" INTEGER NOT NULL,
+
+    CONSTRAINT "StockCountSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockCountLine" (
+    "id" SERIAL NOT NULL,
+    "expectedQuantity" INTEGER NOT NULL,
+    "countedQuantity" INTEGER,
+    "countedAt" TIMESTAMP(3),
+    "notes" TEXT,
+    "sessionId" INTEGER NOT NULL,
+    "itemId" INTEGER NOT NULL,
+
+    CONSTRAINT "StockCountLine_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "StockAudit" ADD COLUMN     "sessionId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN     "auditId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "StockCountSession_userId_createdAt_idx" ON "StockCountSession"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockCountSession_warehouseId_status_idx" ON "StockCountSession"("warehouseId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockCountLine_sessionId_itemId_key" ON "StockCountLine"("sessionId", "itemId");
+
+-- CreateIndex
+CREATE INDEX "StockCountLine_itemId_idx" ON "StockCountLine"("itemId");
+
+-- CreateIndex
+CREATE INDEX "StockAudit_sessionId_idx" ON "StockAudit"("sessionId");
+
+-- CreateIndex
+CREATE INDEX "Record_auditId_idx" ON "Record"("auditId");
+
+-- AddForeignKey
+ALTER TABLE "StockCountSession" ADD CONSTRAINT "StockCountSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCountSession" ADD CONSTRAINT "StockCountSession_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCountLine" ADD CONSTRAINT "StockCountLine_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "StockCountSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockCountLine" ADD CONSTRAINT "StockCountLine_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "Item"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockAudit" ADD CONSTRAINT "StockAudit_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "StockCountSession"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Record" ADD CONSTRAINT "Record_auditId_fkey" FOREIGN KEY ("auditId") REFERENCES "StockAudit"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "WarehouseBin" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "zone" TEXT,
+    "aisle" TEXT,
+    "shelf" TEXT,
+    "bin" TEXT,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "warehouseId" INTEGER NOT NULL,
+
+    CONSTRAINT "WarehouseBin_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN     "binId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "StockTransfer" ADD COLUMN     "fromBinId" INTEGER,
+ADD COLUMN     "toBinId" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WarehouseBin_warehouseId_code_key" ON "WarehouseBin"("warehouseId", "code");
+
+-- CreateIndex
+CREATE INDEX "WarehouseBin_userId_idx" ON "WarehouseBin"("userId");
+
+-- CreateIndex
+CREATE INDEX "Record_binId_idx" ON "Record"("binId");
+
+-- AddForeignKey
+ALTER TABLE "WarehouseBin" ADD CONSTRAINT "WarehouseBin_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WarehouseBin" ADD CONSTRAINT "WarehouseBin_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "Warehouse"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Record" ADD CONSTRAINT "Record_binId_fkey" FOREIGN KEY ("binId") REFERENCES "WarehouseBin"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_fromBinId_fkey" FOREIGN KEY ("fromBinId") REFERENCES "WarehouseBin"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_toBinId_fkey" FOREIGN KEY ("toBinId") REFERENCES "WarehouseBin"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
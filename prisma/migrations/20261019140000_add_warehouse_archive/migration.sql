@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Warehouse" ADD COLUMN "archivedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Warehouse_userId_archivedAt_idx" ON "Warehouse"("userId", "archivedAt");
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "defaultWarehouseId" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_defaultWarehouseId_key" ON "User"("defaultWarehouseId");
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_defaultWarehouseId_fkey" FOREIGN KEY ("defaultWarehouseId") REFERENCES "Warehouse"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: 창고 미지정 재고 기록이 있는데 창고가 하나도 없는 사용자에게 기본 창고 생성
+INSERT INTO "Warehouse" ("name", "userId", "updatedAt")
+SELECT '기본 창고', u."id", CURRENT_TIMESTAMP
+FROM "User" u
+WHERE NOT EXISTS (SELECT 1 FROM "Warehouse" w WHERE w."userId" = u."id")
+  AND EXISTS (
+    SELECT 1 FROM "Record" r
+    WHERE r."userId" = u."id" AND r."warehouseId" IS NULL AND r."type" IN ('IN', 'OUT', 'ADJUSTMENT')
+  );
+
+-- Backfill: 가장 먼저 만든(보관되지 않은) 창고를 기본 창고로 지정
+UPDATE "User" u
+SET "defaultWarehouseId" = (
+  SELECT w."id" FROM "Warehouse" w
+  WHERE w."userId" = u."id" AND w."archivedAt" IS NULL
+  ORDER BY w."createdAt" ASC, w."id" ASC
+  LIMIT 1
+);
+
+-- Backfill: 창고 미지정 재고 기록을 기본 창고로 (PURCHASE 는 재고가 아니므로 제외)
+UPDATE "Record" r
+SET "warehouseId" = u."defaultWarehouseId"
+FROM "User" u
+WHERE r."userId" = u."id"
+  AND r."warehouseId" IS NULL
+  AND r."type" IN ('IN', 'OUT', 'ADJUSTMENT')
+  AND u."defaultWarehouseId" IS NOT NULL;
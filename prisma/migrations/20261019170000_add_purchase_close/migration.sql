@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "PurchaseCloseReason" AS ENUM ('SHORT_SHIPPED', 'CANCELLED', 'LOST');
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN "closedCount" INTEGER,
+ADD COLUMN "closeReason" "PurchaseCloseReason",
+ADD COLUMN "closeNotes" TEXT,
+ADD COLUMN "closedAt" TIMESTAMP(3);
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN "expectedDate" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Record_userId_expectedDate_idx" ON "Record"("userId", "expectedDate");
+
+-- Backfill: 발주서 라인은 발주서의 입고 예정일을 따름
+UPDATE "Record" r
+SET "expectedDate" = po."expectedDate"
+FROM "PurchaseOrder" po
+WHERE r."purchaseOrderId" = po."id" AND po."expectedDate" IS NOT NULL;
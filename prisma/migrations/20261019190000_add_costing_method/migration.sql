@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "CostingMethod" AS ENUM ('MOVING_AVERAGE', 'FIFO');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "costingMethod" "CostingMethod" NOT NULL DEFAULT 'MOVING_AVERAGE';
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "PeriodLockAction" AS ENUM ('CLOSE', 'REOPEN');
+
+-- CreateTable
+CREATE TABLE "PeriodLock" (
+    "id" SERIAL NOT NULL,
+    "period" TEXT NOT NULL,
+    "notes" TEXT,
+    "closedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "PeriodLock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PeriodLockEvent" (
+    "id" SERIAL NOT NULL,
+    "period" TEXT NOT NULL,
+    "action" "PeriodLockAction" NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "PeriodLockEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PeriodLock_userId_period_key" ON "PeriodLock"("userId", "period");
+
+-- CreateIndex
+CREATE INDEX "PeriodLockEvent_userId_createdAt_idx" ON "PeriodLockEvent"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PeriodLockEvent_userId_period_idx" ON "PeriodLockEvent"("userId", "period");
+
+-- AddForeignKey
+ALTER TABLE "PeriodLock" ADD CONSTRAINT "PeriodLock_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PeriodLockEvent" ADD CONSTRAINT "PeriodLockEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
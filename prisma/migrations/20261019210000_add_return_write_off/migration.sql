@@ -0,0 +1,21 @@
+-- AlterEnum
+ALTER TYPE "RecordType" ADD VALUE 'RETURN';
+ALTER TYPE "RecordType" ADD VALUE 'WRITE_OFF';
+
+-- CreateEnum
+CREATE TYPE "RecordReason" AS ENUM ('CUSTOMER_RETURN', 'DEFECTIVE', 'DAMAGED', 'WRONG_ITEM', 'EXPIRED', 'LOST', 'THEFT', 'SAMPLE', 'COUNT_CORRECTION', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN     "reason" "RecordReason",
+ADD COLUMN     "returnOfId" INTEGER,
+ADD COLUMN     "restocked" BOOLEAN;
+
+-- CreateIndex
+CREATE INDEX "Record_returnOfId_idx" ON "Record"("returnOfId");
+
+-- AddForeignKey
+ALTER TABLE "Record" ADD CONSTRAINT "Record_returnOfId_fkey" FOREIGN KEY ("returnOfId") REFERENCES "Record"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- 자동 생성된 조정 기록의 사유 채우기
+UPDATE "Record" SET "reason" = 'LOST' WHERE "type" = 'ADJUSTMENT' AND "transferId" IS NOT NULL;
+UPDATE "Record" SET "reason" = 'COUNT_CORRECTION' WHERE "type" = 'ADJUSTMENT' AND "reason" IS NULL;
@@ -0,0 +1,69 @@
+-- CreateEnum
+CREATE TYPE "ReturnStatus" AS ENUM ('REQUESTED', 'RECEIVED', 'INSPECTED', 'REFUNDED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN     "provider" "Provider",
+ADD COLUMN     "externalOrderId" TEXT,
+ADD COLUMN     "returnAuthorizationId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ReturnAuthorization" (
+    "id" SERIAL NOT NULL,
+    "rmaNo" TEXT NOT NULL,
+    "status" "ReturnStatus" NOT NULL DEFAULT 'REQUESTED',
+    "quantity" INTEGER NOT NULL,
+    "reason" "RecordReason" NOT NULL DEFAULT 'CUSTOMER_RETURN',
+    "notes" TEXT,
+    "provider" "Provider",
+    "externalOrderId" TEXT,
+    "restockedQuantity" INTEGER,
+    "damagedQuantity" INTEGER,
+    "inspectionNotes" TEXT,
+    "refundAmount" INTEGER,
+    "rejectReason" TEXT,
+    "requestedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "receivedAt" TIMESTAMP(3),
+    "inspectedAt" TIMESTAMP(3),
+    "refundedAt" TIMESTAMP(3),
+    "rejectedAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "itemId" INTEGER NOT NULL,
+    "saleId" INTEGER,
+    "warehouseId" INTEGER,
+
+    CONSTRAINT "ReturnAuthorization_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Record_userId_provider_externalOrderId_idx" ON "Record"("userId", "provider", "externalOrderId");
+
+-- CreateIndex
+CREATE INDEX "Record_returnAuthorizationId_idx" ON "Record"("returnAuthorizationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReturnAuthorization_userId_rmaNo_key" ON "ReturnAuthorization"("userId", "rmaNo");
+
+-- CreateIndex
+CREATE INDEX "ReturnAuthorization_userId_status_idx" ON "ReturnAuthorization"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "ReturnAuthorization_itemId_idx" ON "ReturnAuthorization"("itemId");
+
+-- CreateIndex
+CREATE INDEX "ReturnAuthorization_saleId_idx" ON "ReturnAuthorization"("saleId");
+
+-- AddForeignKey
+ALTER TABLE "Record" ADD CONSTRAINT "Record_returnAuthorizationId_fkey" FOREIGN KEY ("returnAuthorizationId") REFERENCES "ReturnAuthorization"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReturnAuthorization" ADD CONSTRAINT "ReturnAuthorization_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReturnAuthorization" ADD CONSTRAINT "ReturnAuthorization_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "Item"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReturnAuthorization" ADD CONSTRAINT "ReturnAuthorization_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Record"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReturnAuthorization" ADD CONSTRAINT "ReturnAuthorization_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
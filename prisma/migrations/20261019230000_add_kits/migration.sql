@@ -0,0 +1,77 @@
+-- CreateEnum
+CREATE TYPE "KitAssemblyType" AS ENUM ('ASSEMBLE', 'DISASSEMBLE');
+
+-- AlterEnum
+ALTER TYPE "RecordType" ADD VALUE 'ASSEMBLY_IN';
+ALTER TYPE "RecordType" ADD VALUE 'ASSEMBLY_OUT';
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN     "kitAssemblyId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "KitComponent" (
+    "id" SERIAL NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+    "kitItemId" INTEGER NOT NULL,
+    "componentItemId" INTEGER NOT NULL,
+
+    CONSTRAINT "KitComponent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "KitAssembly" (
+    "id" SERIAL NOT NULL,
+    "type" "KitAssemblyType" NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitCost" DOUBLE PRECISION,
+    "date" TIMESTAMP(3) NOT NULL,
+    "memo" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+    "kitItemId" INTEGER NOT NULL,
+    "warehouseId" INTEGER,
+    "sourceRecordId" INTEGER,
+
+    CONSTRAINT "KitAssembly_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Record_kitAssemblyId_idx" ON "Record"("kitAssemblyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KitComponent_kitItemId_componentItemId_key" ON "KitComponent"("kitItemId", "componentItemId");
+
+-- CreateIndex
+CREATE INDEX "KitComponent_componentItemId_idx" ON "KitComponent"("componentItemId");
+
+-- CreateIndex
+CREATE INDEX "KitAssembly_userId_kitItemId_idx" ON "KitAssembly"("userId", "kitItemId");
+
+-- CreateIndex
+CREATE INDEX "KitAssembly_sourceRecordId_idx" ON "KitAssembly"("sourceRecordId");
+
+-- AddForeignKey
+ALTER TABLE "Record" ADD CONSTRAINT "Record_kitAssemblyId_fkey" FOREIGN KEY ("kitAssemblyId") REFERENCES "KitAssembly"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KitComponent" ADD CONSTRAINT "KitComponent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KitComponent" ADD CONSTRAINT "KitComponent_kitItemId_fkey" FOREIGN KEY ("kitItemId") REFERENCES "Item"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KitComponent" ADD CONSTRAINT "KitComponent_componentItemId_fkey" FOREIGN KEY ("componentItemId") REFERENCES "Item"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KitAssembly" ADD CONSTRAINT "KitAssembly_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KitAssembly" ADD CONSTRAINT "KitAssembly_kitItemId_fkey" FOREIGN KEY ("kitItemId") REFERENCES "Item"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KitAssembly" ADD CONSTRAINT "KitAssembly_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "Warehouse"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KitAssembly" ADD CONSTRAINT "KitAssembly_sourceRecordId_fkey" FOREIGN KEY ("sourceRecordId") REFERENCES "Record"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- CreateEnum
+CREATE TYPE "ConnectionStatus" AS ENUM ('OK', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "ChannelConnection" ADD COLUMN     "lastCheckedAt" TIMESTAMP(3),
+ADD COLUMN     "lastError" TEXT,
+ADD COLUMN     "lastStatus" "ConnectionStatus";
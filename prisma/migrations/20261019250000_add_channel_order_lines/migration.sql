@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "MarketOrderStatus" AS ENUM ('PAID', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "OrderLineStatus" AS ENUM ('PENDING', 'IMPORTED', 'UNMAPPED', 'FAILED', 'CANCELLED', 'IGNORED');
+
+-- AlterTable
+ALTER TABLE "ChannelConnection" ADD COLUMN     "ordersSyncedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ChannelOrderLine" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "provider" "Provider" NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "lineId" TEXT NOT NULL,
+    "productId" TEXT,
+    "optionId" TEXT,
+    "sku" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "unitPrice" INTEGER,
+    "orderedAt" TIMESTAMP(3) NOT NULL,
+    "marketStatus" "MarketOrderStatus" NOT NULL,
+    "status" "OrderLineStatus" NOT NULL DEFAULT 'PENDING',
+    "message" TEXT,
+    "itemId" INTEGER,
+    "recordId" INTEGER,
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ChannelOrderLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChannelOrderLine_recordId_key" ON "ChannelOrderLine"("recordId");
+
+-- CreateIndex
+CREATE INDEX "ChannelOrderLine_userId_status_idx" ON "ChannelOrderLine"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "ChannelOrderLine_itemId_idx" ON "ChannelOrderLine"("itemId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChannelOrderLine_userId_provider_orderId_lineId_key" ON "ChannelOrderLine"("userId", "provider", "orderId", "lineId");
+
+-- AddForeignKey
+ALTER TABLE "ChannelOrderLine" ADD CONSTRAINT "ChannelOrderLine_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChannelOrderLine" ADD CONSTRAINT "ChannelOrderLine_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "Item"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChannelOrderLine" ADD CONSTRAINT "ChannelOrderLine_recordId_fkey" FOREIGN KEY ("recordId") REFERENCES "Record"("id") ON DELETE SET NULL ON UPDATE CASCADE;
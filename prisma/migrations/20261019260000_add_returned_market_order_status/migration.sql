@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "MarketOrderStatus" ADD VALUE 'RETURNED';
@@ -2,6 +2,7 @@ import express from "express";
 import bcrypt from "bcryptjs";
 import { PrismaClient } from "@prisma/client";
 import { requireAuth } from "../middlewares/requireAuth.js";
+import { COSTING_METHODS } from "../api/services/costing.js";
 const prisma = new PrismaClient();
 const router = express.Router();
 
@@ -44,6 +45,7 @@ router.get("/", requireAuth, async (req, res) => {
         id: true,
         email: true,
         name: true,
+        costingMethod: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -106,6 +108,61 @@ router.patch("/", requireAuth, async (req, res) => {
   }
 });
 
+/* ======================= PATCH /api/me/costing-method ======================= */
+/**
+ * 판매 원가 계산 방식 변경
+ * body: { costingMethod: "MOVING_AVERAGE" | "FIFO" }
+ * - 마감된 기간이 있으면 변경 불가(마감된 기간의 판매 원가/재고 금액이 소급해서 바뀌므로)
+ */
+router.patch("/costing-method", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const costingMethod = String(req.body?.costingMethod ?? "").trim().toUpperCase();
+
+    if (!COSTING_METHODS.has(costingMethod)) {
+      return res.status(400).json({
+        ok: false,
+        message: "원가 계산 방식은 MOVING_AVERAGE 또는 FIFO 중 하나여야 합니다.",
+      });
+    }
+
+    const current = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, costingMethod: true },
+    });
+    if (current?.costingMethod === costingMethod) {
+      return res.json({ ok: true, user: current });
+    }
+
+    const closed = await prisma.periodLock.findFirst({
+      where: { userId },
+      orderBy: { period: "asc" },
+      select: { period: true },
+    });
+    if (closed) {
+      return res.status(409).json({
+        ok: false,
+        message: "마감된 기간이 있어 원가 계산 방식을 바꿀 수 없습니다.",
+        period: closed.period,
+      });
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: userId },
+      data: { costingMethod },
+      select: { id: true, costingMethod: true },
+    });
+
+    return res.json({ ok: true, user: updated });
+  } catch (err) {
+    console.error("❌ PATCH /api/me/costing-method error:", err);
+    return res.status(500).json({
+      ok: false,
+      message: "server error",
+    });
+  }
+});
+
 /* ======================= PATCH /api/me/password ======================= */
 /**
  * 비밀번호 변경
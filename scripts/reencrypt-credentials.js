@@ -0,0 +1,19 @@
+import { prisma } from "../lib/prisma.js";
+import { reencryptChannelCredentials } from "../api/services/channelCredentials.js";
+
+// 전체 사용자의 판매 채널 인증 정보를 현재 키(CHANNEL_CREDENTIALS_KEYS 첫 번째)로 다시 암호화
+// 키 교체 후 옛 키를 빼기 전에 실행
+
+try {
+  const result = await reencryptChannelCredentials(prisma);
+  const { scanned, updated, failed } = result;
+  console.log(
+    `[reencrypt-credentials] scanned ${scanned}, updated ${updated}, failed ${failed.length}`
+  );
+  for (const f of failed) {
+    console.log(`[reencrypt-credentials] #${f.id} ${f.provider}: ${f.message}`);
+  }
+  process.exitCode = failed.length > 0 ? 1 : 0;
+} finally {
+  await prisma.$disconnect();
+}